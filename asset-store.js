@@ -0,0 +1,234 @@
+/*!
+ * Rumble Live Ops - asset-store.js
+ * Version: v4.0.0
+ * Description: IndexedDB-backed media library (alert sounds + background images),
+ *              shared by the background (importScripts), options and offscreen pages.
+ *
+ * Core responsibilities
+ * ─────────────────────
+ * • Records
+ *   - DB 'rlo-assets' → store 'assets' (keyPath id, index 'type').
+ *   - { id, type: 'raid'|'rant'|'bg', name, mime, size, duration, addedAt, blob }.
+ *   - Ids are '<type>:<addedAt>' so alert rule sound refs stay valid across the migration.
+ *
+ * • API (self.RloAssets)
+ *   - list(type): metadata only (no blob), oldest first — lists never load the files.
+ *   - get(id): full record incl. blob (lazy: only when a file is shown or played).
+ *   - put({ type, name, blob, duration }) → metadata; update(id, patch); remove(id).
+ *   - getSelected(type) / setSelected(type, id): default pick per type in chrome.storage.local
+ *     (raidSelectedId / rantSelectedId / bgSelectedId); sounds fall back to the first asset,
+ *     backgrounds to the built-in image (null).
+ *
+ * • Migration
+ *   - migrateFromStorage(): moves legacy base64 raidSounds / rantSounds / bgImages arrays from
+ *     chrome.storage.local into IndexedDB, converts *SelectedIndex → *SelectedId, then removes
+ *     the old keys once every item has moved; items that failed stay behind to be retried on the
+ *     next call. Safe to call repeatedly (already-moved items are reused); concurrent calls
+ *     share one run.
+ *
+ * Author: TheRealTombi
+ * Website: https://rumble.com/TheRealTombi
+ * License: MIT
+ */
+
+self.RloAssets = (() => {
+    const DB_NAME = 'rlo-assets';
+    const STORE = 'assets';
+    const LEGACY_KEYS = {
+        raid: ['raidSounds', 'raidSelectedIndex'],
+        rant: ['rantSounds', 'rantSelectedIndex'],
+        bg: ['bgImages', 'bgSelectedIndex']
+    };
+    const SELECTED_KEYS = {
+        raid: 'raidSelectedId',
+        rant: 'rantSelectedId',
+        bg: 'bgSelectedId'
+    };
+    let dbPromise = null;
+    let migrating = null;
+
+    function open() {
+        dbPromise ||= new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                const store = req.result.createObjectStore(STORE, {
+                    keyPath: 'id'
+                });
+                store.createIndex('type', 'type');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                dbPromise = null;
+                reject(req.error);
+            };
+        });
+        return dbPromise;
+    }
+
+    async function run(mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const req = fn(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    function meta(record) {
+        if (!record) return null;
+        const {
+            blob,
+            ...rest
+        } = record;
+        return rest;
+    }
+
+    async function list(type) {
+        const records = await run('readonly', store => store.index('type').getAll(type));
+        return (records || []).map(meta).sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    function get(id) {
+        if (!id) return Promise.resolve(null);
+        return run('readonly', store => store.get(id)).then(r => r || null);
+    }
+
+    async function put({
+        type,
+        name,
+        blob,
+        duration = null,
+        addedAt = Date.now()
+    }) {
+        let at = addedAt;
+        while (await get(`${type}:${at}`)) at++;
+        const record = {
+            id: `${type}:${at}`,
+            type,
+            name: name || `${type} asset`,
+            mime: blob?.type || '',
+            size: blob?.size || 0,
+            duration: typeof duration === 'number' && isFinite(duration) ? duration : null,
+            addedAt: at,
+            blob
+        };
+        await run('readwrite', store => store.put(record));
+        return meta(record);
+    }
+
+    async function update(id, patch) {
+        const record = await get(id);
+        if (!record) return null;
+        const next = {
+            ...record,
+            ...patch,
+            id: record.id,
+            blob: record.blob
+        };
+        await run('readwrite', store => store.put(next));
+        return meta(next);
+    }
+
+    function remove(id) {
+        return run('readwrite', store => store.delete(id));
+    }
+
+    async function getSelected(type) {
+        const key = SELECTED_KEYS[type];
+        const {
+            [key]: selected
+        } = await chrome.storage.local.get(key);
+        const items = await list(type);
+        const match = items.find(a => a.id === selected)?.id || null;
+        // No background pick means the built-in image; sounds fall back to the first upload.
+        return type === 'bg' ? match : match || items[0]?.id || null;
+    }
+
+    function setSelected(type, id) {
+        return chrome.storage.local.set({
+            [SELECTED_KEYS[type]]: id ?? null
+        });
+    }
+
+    // Items that fail to convert stay in the legacy key (with the selection index when it points
+    // at one of them) so the next run retries them; the key is only removed once all moved.
+    async function migrateOnce() {
+        const keys = [...Object.values(LEGACY_KEYS).flat(), ...Object.values(SELECTED_KEYS)];
+        const data = await chrome.storage.local.get(keys);
+        for (const [type, [listKey, selKey]] of Object.entries(LEGACY_KEYS)) {
+            const legacy = data[listKey];
+            if (!Array.isArray(legacy)) continue;
+            const ids = [];
+            const failed = [];
+            for (const [i, item] of legacy.entries()) {
+                const existing = item?.addedAt && await get(`${type}:${item.addedAt}`);
+                if (existing) {
+                    ids.push(existing.id);
+                    continue;
+                }
+                try {
+                    const blob = await (await fetch(item.dataUrl)).blob();
+                    const saved = await put({
+                        type,
+                        name: item.name,
+                        blob,
+                        addedAt: item.addedAt || Date.now() + i
+                    });
+                    ids.push(saved.id);
+                } catch (e) {
+                    console.warn('[Assets] could not migrate', listKey, item?.name, e);
+                    ids.push(null);
+                    failed.push(item);
+                }
+            }
+            const sel = data[selKey];
+            const selectedKey = SELECTED_KEYS[type];
+            const selectedFailed = typeof sel === 'number' && ids[sel] === null;
+            if (typeof sel === 'number' && !selectedFailed) {
+                await chrome.storage.local.set({
+                    [selectedKey]: ids[sel] ?? null
+                });
+            } else if (!selectedFailed && !data[selectedKey]) {
+                await chrome.storage.local.set({
+                    [selectedKey]: type === 'bg' ? null : ids.find(Boolean) ?? null
+                });
+            }
+            if (failed.length) {
+                await chrome.storage.local.set({
+                    [listKey]: failed
+                });
+                if (selectedFailed) {
+                    await chrome.storage.local.set({
+                        [selKey]: failed.indexOf(legacy[sel])
+                    });
+                } else {
+                    await chrome.storage.local.remove(selKey);
+                }
+            } else {
+                await chrome.storage.local.remove([listKey, selKey]);
+            }
+            console.log(`[Assets] migrated ${ids.filter(Boolean).length}/${legacy.length} from ${listKey}${failed.length ? ` (${failed.length} kept for retry)` : ''}`);
+        }
+    }
+
+    function migrateFromStorage() {
+        migrating ||= migrateOnce().finally(() => {
+            migrating = null;
+        });
+        return migrating;
+    }
+
+    return {
+        list,
+        get,
+        put,
+        update,
+        remove,
+        getSelected,
+        setSelected,
+        migrateFromStorage,
+        SELECTED_KEYS
+    };
+})();
@@ -7,7 +7,8 @@
  * ─────────────────────
  * • Offscreen parsing
  * - Creates/closes a single offscreen document (offscreen.html).
- * - Proxies HTML parsing via runtime messages (parse-html → parse-result).
+ * - Proxies HTML parsing via runtime messages (parse-html → parse-result, matched by requestId
+ *   so parses can run in parallel; times out after OFFSCREEN_PARSE_TIMEOUT_MS).
  *
  * • Fetch helpers
  * - fetchPage(): unauthenticated, no-cache text fetch.
@@ -38,6 +39,107 @@
  * - Detects stream owner in active tab; gates raid commands to owner only.
  * - Shows in-page popup + toast when not owner.
  *
+ * • Raid roster
+ * - applyRaidRoster(): drops blocklisted channels, pins favourites (rotated by last raid),
+ *   groups by tag and sorts by raidRoster.sortMode (favorites | viewers-asc | viewers-desc).
+ * - recordRaidedTarget(): remembers confirmed raid targets in raidLastTargets.
+ *
+ * • Raid train
+ * - resolveRaidTrainTarget(): after our latest ended slot in raidTrain.slots, returns the next
+ *   channel that is live (getRaidTargets detection) plus the offline channels it skipped.
+ * - claimRaidFiring(): one tab per day (auto-raid) / per slot (raid train) gets to fire;
+ *   chained check + write of autoRaidLastFired / raidTrainLastFired.
+ *
+ * • Raid target details
+ * - getRaidTargetDetails(urls): channel page → live video page, parsed offscreen in parallel
+ *   (RAID_DETAILS_CONCURRENCY) → { title, category, startedAt, thumbnail }; cached 5 min in storage.session.
+ *
+ * • Raid preflight
+ * - preflightRaid(): before /raid is sent, re-checks our live status (API) and re-fetches the
+ *   target (must still be live); warns on unverifiable targets, disabled chat or age restriction.
+ *   Failures are journaled and returned as { status: 'failed', stage: 'preflight', reason }.
+ *
+ * • Raid execution
+ * - raidViaCurrentChat(): asks the caller's tab (any frame with a chat input) to type /raid and
+ *   wait for Rumble's confirm; falls back to the hidden own-stream tab when no chat is present.
+ * - isOwnStreamTab(): the direct path is only used from Studio or our own livestream's page;
+ *   any other sender tab raids through the hidden own-stream tab.
+ * - Structured result { ok, status, path, raidCommandId, reason } with status
+ *   started | sent | confirm-shown | confirmed | failed and path chat | hidden-tab.
+ * - confirmRaidCommand()/finishAutoRaid(): shared confirm + journal + cleanup for both paths.
+ *
+ * • Raid journal
+ * - raidJournal (storage, capped RAID_JOURNAL_MAX): outbound raids (target, time, our viewers,
+ *   confirmed or error) and inbound raids detected from chat; appendRaidJournal() writes are chained.
+ *
+ * • Auto-raid
+ * - fetchRaidTargets(): shared user page → /following live target scrape (roster applied);
+ *   one scrape in flight at a time, raw results cached in raidTargetsCache.
+ * - resolveAutoRaidTarget(): applies the autoRaid rule (largest / priority / specific).
+ * - AUTO_RAID_DEFAULTS / RAID_TRAIN_DEFAULTS: importScripts('raid-defaults.js') (RloRaidDefaults),
+ *   the same file content.js and options load.
+ * - autoConfirm raids click Rumble's confirm in the hidden tab and report rlo-auto-raid-result.
+ *
+ * • Alert rules
+ * - alertRules (storage): { muted, rules: { raid|rant|follow|subscription|gifted: { enabled, sound,
+ *   volume, durationMs, template, cooldownSec, tiers: [{ min, sound, volume, durationMs, template }] } } }.
+ * - resolveAlertRule(): picks the highest tier the rant amount / raid viewers / gifted count reaches,
+ *   renders {user} {amount} {viewers} {count} {text}; cooldown drops the alert, mute only the sound.
+ *
+ * • Rant text-to-speech
+ * - ttsSettings (storage): enabled, minAmount, maxLength, profanity/URL filters + blockedWords, voice, rate.
+ * - rantSpeechFor(): buildRantSpeech() → { text, voice, rate, volume }, spoken by the offscreen
+ *   player right after the rant sound; works with the Rumble tab in the background.
+ *
+ * • Alert queue
+ * - AlertQueue: every live and test alert plays strictly one at a time — overlay + tab dispatch,
+ *   then playInOffscreen() ({type:'alert-play'}: sound, rant speech, at least durationMs).
+ * - Playing + pending items and the paused flag in storage.session (alertQueue; a playing item
+ *   left there by a worker restart is replayed first); last ALERT_HISTORY_MAX played
+ *   alerts in alertHistory for replay. Changes are broadcast as rlo-alert-queue-updated.
+ * - skip-alert command (manifest hotkey) skips the playing alert ({type:'alert-skip'}).
+ *
+ * • Media library
+ * - importScripts('asset-store.js') → RloAssets (IndexedDB: sounds + background images with
+ *   mime/size/duration); migrateFromStorage() moves legacy base64 raidSounds/rantSounds/bgImages.
+ * - resolveAlertSoundId(): alert sound ref → asset id; the offscreen player loads the blob lazily.
+ *
+ * • Chat log
+ * - importScripts('chat-log-store.js') → RloChatLog (IndexedDB, one log per stream).
+ * - chatLogAppend: chat rows batched by content.js are stored under the stream id from
+ *   deriveLivestreamLink() — the tab's /v<id> URL on live pages, our API livestream in Studio.
+ *
+ * • Clip markers
+ * - addClipMarker(): clipMarkers (storage, capped CLIP_MARKERS_MAX) tagged with the stream from
+ *   chatLogStreamFor(); viewer markers are de-duplicated by chat message id, our own by
+ *   stream + CLIP_OWNER_DEDUPE_MS (button press in one tab, our !clip row in another).
+ * - editClipMarkers(): the one write chain for adds, note edits and deletes.
+ *
+ * • Content-side logs
+ * - appendStorageLog(): chained append + cap for the logs content.js writes (STORAGE_LOG_KEYS),
+ *   so rows handled in Studio and on the live page at once don't overwrite each other.
+ *
+ * • Chat command responder
+ * - claimResponderReply(): content.js asks before replying to a viewer's !command; the first
+ *   claim per message wins (RESPONDER_CLAIM_TTL_MS) and command / per-user cooldowns live here.
+ * - claimAnnouncementSlot(): one timed announcement per slot across tabs (chained check + write
+ *   of announcementState.lastAt).
+ *
+ * • Audio output
+ * - All sound plays in the offscreen document; audioSettings (storage: deviceId, masterVolume,
+ *   duck, duckLevel) travel with each request so alerts reach the stream-mix device.
+ *
+ * • Live events
+ * - LiveEventPoller: polls the API every LIVE_POLL_MS while livestreams[0].is_live,
+ *   backing off (OFFLINE_POLL_MIN_MS → OFFLINE_POLL_MAX_MS) when offline.
+ * - Diffs recent_followers / recent_subscribers / recent_gifted / recent_rants
+ *   between payloads (seen keys kept in storage.session) and emits typed events.
+ * - emitLiveEvent(): de-dupes via isDuplicateLiveEvent() (same eventId, or one API copy paired
+ *   with one chat copy by kind|user|amount), attaches event.alert (resolveAlertRule) and
+ *   enqueues it; AlertQueue broadcasts rlo-overlay-alert to overlay.html and sends rlo-live-event
+ *   to the best Studio/Live tab.
+ * - Toggled by functionStates['enable-live-alerts']; alarm watchdog restarts it.
+ *
  * • Navigation + tab lifecycle
  * - webNavigation.onCompleted / onHistoryStateUpdated: ensures Streamer/Gamify.
  * - tabs.onUpdated: orchestrates one-shot injections (scrapers, raid, playlist workers).
@@ -49,12 +151,28 @@
  * - verifyStreamOwnership (oEmbed ID ↔ API livestream.id)
  * - getHiddenCampaignNames / addHiddenCampaignName / removeHiddenCampaignName / resetHiddenCampaignNames
  * - getApiData (augments livestream with streamUrl/streamId)
- * - getRaidTargets (user page → fallback /following)
+ * - getRaidTargets (user page → fallback /following; refreshes raidTargetsCache)
+ * - getCachedRaidTargets (last scrape with roster re-applied, for the instant raid console)
+ * - getRaidTargetDetails (stream title / category / start time / thumbnail per target URL)
  * - harvestVideos / fetchPlaylists (kick off harvesters)
- * - raidButtonPressed (owner-guarded; injects /raid into chat)
- * - playAlertSound (proxy to offscreen)
+ * - raidButtonPressed (owner-guarded; /raid in the current tab's chat, else a hidden tab; optional autoConfirm)
+ * - resolveAutoRaidTarget (auto-raid rule → live target)
+ * - resolveRaidTrainTarget (raid train → next live channel after our slot)
+ * - overlayTestAlert (Simulate buttons → queued test alert; alert rules without cooldown)
+ * - ttsTest (reads a sample rant with the saved voice settings)
+ * - alertQueueStatus / alertQueueSkip / alertQueuePause / alertQueueReplay (alert queue control panel)
+ * - previewSound (options Preview buttons → offscreen, on the chosen output device)
  * - clearPlaylistsFromVideos (per-video workers with timeout)
  * - broadcastFunctionStates (echo to all *rumble.com* tabs + hide-campaigns toggle)
+ * - raidProcessFailed (hidden tab never showed the confirm → journaled, rlo-raid-failed to the tab)
+ * - chatAlertEvent (raid/rant/gifted rows classified in chat → emitLiveEvent)
+ * - chatLogAppend (batched chat rows → RloChatLog under the current stream)
+ * - clipMarkerAdd (clip button / viewer !clip → clipMarkers under the current stream)
+ * - clipMarkerUpdate / clipMarkerRemove (options note edits and deletes, same write chain)
+ * - chatResponderClaim (chat command responder: one reply per message across tabs + cooldowns)
+ * - announcementClaim (timed announcements: one tab posts each slot)
+ * - raidFiringClaim (auto-raid / raid train: one tab shows the countdown and raids)
+ * - storageLogAppend (content-side capped logs: modLog, responderLog, announcementLog, pollHistory)
  * - liveStreamersFromScrape / playlistWorkerLog (telemetry)
  *
  * • Playlist workers
@@ -70,13 +188,13 @@
  * - Bulk tab orchestration (playlist automation), hidden-tab lifecycle safety.
  *
  * Emits (selected)
- * - toast, play-sound
+ * - toast, sound-preview, alert-play, alert-skip, rlo-alert-queue-updated, rlo-live-event (to tabs), rlo-overlay-alert (to extension pages)
  * - videos-harvest-complete, videosUpdated, playlistsUpdated
  * - playlist-apply-started, playlist-apply-progress, playlist-apply-complete, playlist-apply-error
  * - function-states-updated, rlo-hidden-campaigns-updated
  *
  * Key constants/flags
- * - HARVEST_MAX_PAGES, __RLO_DEBUG, __RLO_DEBOUNCE_MS
+ * - HARVEST_MAX_PAGES, __RLO_DEBUG, __RLO_DEBOUNCE_MS, LIVE_POLL_MS
  *
  * Author: TheRealTombi
  * Website: https://rumble.com/user/TheRealTombi
@@ -84,7 +202,10 @@
  */
 
 
+importScripts('asset-store.js', 'chat-log-store.js', 'raid-defaults.js');
+
 console.log("✅ [RLO] Background Service Worker Loaded:", location.href);
+RloAssets.migrateFromStorage().catch(e => console.warn('[Assets] migration failed:', e?.message || e));
 
 let pendingScrapes = {};
 let pendingRaidCommands = {};
@@ -97,6 +218,9 @@ let pendingPlaylistUpdates = {};
 let isScraping = false;
 let isPlaylistScraping = false;
 let creatingOffscreenPromise;
+let activeOffscreenParses = 0;
+let activeOffscreenPlayback = 0;
+const OFFSCREEN_PARSE_TIMEOUT_MS = 20000;
 const HARVEST_MAX_PAGES = 100;
 let currentBulkTabId = null;
 let pendingBulkJobs = [];
@@ -168,7 +292,7 @@ async function setupOffscreenDocument() {
                 await chrome.offscreen.createDocument({
                     url: 'offscreen.html',
                     reasons: [chrome.offscreen.Reason.DOM_PARSER, chrome.offscreen.Reason.AUDIO_PLAYBACK],
-                    justification: 'Parse HTML strings from fetch requests',
+                    justification: 'Parse HTML strings from fetch requests and read rants aloud',
                 });
             } catch (err) {
                 const msg = String(err && err.message ? err.message : err);
@@ -184,24 +308,37 @@ async function setupOffscreenDocument() {
     await creatingOffscreenPromise;
 }
 async function closeOffscreenDocument() {
-    if (await hasOffscreenDocument() && !isScraping && !isPlaylistScraping) {
+    if (await hasOffscreenDocument() && !isScraping && !isPlaylistScraping && !activeOffscreenParses && !activeOffscreenPlayback) {
         await chrome.offscreen.closeDocument();
     }
 }
+// Each request carries its own id so parallel parses don't pick up each other's results.
 async function parseHtmlWithOffscreen(html, parseType, page) {
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    activeOffscreenParses++;
     return new Promise((resolve) => {
+        const finish = (data) => {
+            chrome.runtime.onMessage.removeListener(listener);
+            clearTimeout(timer);
+            activeOffscreenParses--;
+            resolve(data);
+        };
         const listener = (message) => {
-            if (message && message.type === 'parse-result') {
-                chrome.runtime.onMessage.removeListener(listener);
-                resolve(message.data);
+            if (message && message.type === 'parse-result' && message.requestId === requestId) {
+                finish(message.data);
             }
         };
+        const timer = setTimeout(() => {
+            console.warn('[Offscreen] parse timed out:', parseType);
+            finish(null);
+        }, OFFSCREEN_PARSE_TIMEOUT_MS);
         chrome.runtime.onMessage.addListener(listener);
         chrome.runtime.sendMessage({
             type: 'parse-html',
             html,
             parseType,
-            page
+            page,
+            requestId
         });
     });
 }
@@ -650,7 +787,8 @@ function injectedRaidScript(targetUrl) {
         .catch(error => {
             console.error("Raid process failed in hidden tab:", error);
             chrome.runtime.sendMessage({
-                type: 'raidProcessFailed'
+                type: 'raidProcessFailed',
+                reason: String(error?.message || error)
             });
         });
 
@@ -929,6 +1067,339 @@ function scrapeRaidTargetsViaTab(url) {
     });
 }
 
+const RAID_TARGETS_CACHE_MAX_AGE_MS = 30 * 60 * 1000;
+let __RLO_RAID_TARGETS_INFLIGHT = null;
+
+async function scrapeRaidTargets() {
+    let {
+        rumbleUsername
+    } = await chrome.storage.local.get('rumbleUsername');
+    if (!rumbleUsername) {
+        const {
+            rumbleApiKey
+        } = await chrome.storage.local.get(['rumbleApiKey']);
+        if (rumbleApiKey) {
+            try {
+                const res = await fetch(rumbleApiKey);
+                if (res.ok) {
+                    const j = await res.json();
+                    const derived = (j.username || '').replace(/^@/, '').trim();
+                    if (derived) {
+                        rumbleUsername = derived;
+                        await chrome.storage.local.set({
+                            rumbleUsername
+                        });
+                    }
+                }
+            } catch (e) {
+                console.warn('[RaidTargets] API key fetch for username failed', e);
+            }
+        }
+    }
+
+    let targets = [];
+    if (rumbleUsername) {
+        const userPageUrl = `https://rumble.com/user/${encodeURIComponent(rumbleUsername)}`;
+        console.log('[RaidTargets] Scraping user page via hidden tab:', userPageUrl);
+        targets = await scrapeRaidTargetsViaTab(userPageUrl);
+    }
+
+    if (!targets || targets.length === 0) {
+        console.log('[RaidTargets] User page scrape failed, trying /following...');
+        targets = await scrapeRaidTargetsViaTab('https://rumble.com/following');
+    }
+    targets = targets || [];
+    await chrome.storage.local.set({
+        raidTargetsCache: {
+            at: Date.now(),
+            targets
+        }
+    });
+    return targets;
+}
+
+// Concurrent callers (console refresh, auto-raid) share a single hidden-tab scrape.
+async function fetchRaidTargets() {
+    if (!__RLO_RAID_TARGETS_INFLIGHT) {
+        __RLO_RAID_TARGETS_INFLIGHT = scrapeRaidTargets().finally(() => {
+            __RLO_RAID_TARGETS_INFLIGHT = null;
+        });
+    }
+    return applyRaidRoster(await __RLO_RAID_TARGETS_INFLIGHT);
+}
+
+async function getCachedRaidTargets() {
+    const {
+        raidTargetsCache
+    } = await chrome.storage.local.get('raidTargetsCache');
+    if (!raidTargetsCache || !Array.isArray(raidTargetsCache.targets)) return null;
+    if (Date.now() - (raidTargetsCache.at || 0) > RAID_TARGETS_CACHE_MAX_AGE_MS) return null;
+    return {
+        at: raidTargetsCache.at,
+        targets: await applyRaidRoster(raidTargetsCache.targets),
+        refreshing: !!__RLO_RAID_TARGETS_INFLIGHT
+    };
+}
+
+/* =========================
+   RAID ROSTER (favourites / blocklist / tags / rotation)
+========================= */
+const RAID_ROSTER_DEFAULTS = {
+    favorites: [],
+    blocked: [],
+    tags: {},
+    sortMode: 'favorites'
+};
+
+async function getRaidRoster() {
+    const {
+        raidRoster,
+        raidLastTargets
+    } = await chrome.storage.local.get(['raidRoster', 'raidLastTargets']);
+    return {
+        roster: {
+            ...RAID_ROSTER_DEFAULTS,
+            ...(raidRoster || {})
+        },
+        lastRaided: raidLastTargets || {}
+    };
+}
+
+async function recordRaidedTarget(targetUrl) {
+    const handle = handleFromChannelRef(targetUrl);
+    if (!handle) return;
+    const {
+        raidLastTargets = {}
+    } = await chrome.storage.local.get('raidLastTargets');
+    raidLastTargets[handle] = Date.now();
+    await chrome.storage.local.set({
+        raidLastTargets
+    });
+}
+
+async function applyRaidRoster(targets) {
+    const {
+        roster,
+        lastRaided
+    } = await getRaidRoster();
+    const favs = (roster.favorites || []).map(handleFromChannelRef).filter(Boolean);
+    const blocked = new Set((roster.blocked || []).map(handleFromChannelRef).filter(Boolean));
+    const tagMap = {};
+    Object.keys(roster.tags || {}).forEach(k => {
+        tagMap[handleFromChannelRef(k)] = roster.tags[k] || [];
+    });
+
+    const annotated = targets
+        .map((t, scrapeIndex) => {
+            const handles = targetHandles(t);
+            const favIndex = favs.findIndex(f => handles.includes(f));
+            const tags = handles.map(h => tagMap[h]).find(Boolean) || [];
+            const lastRaidedAt = handles.map(h => lastRaided[h]).find(Boolean) || null;
+            return {
+                ...t,
+                handle: handles[0] || null,
+                favorite: favIndex !== -1,
+                favIndex,
+                tags,
+                lastRaidedAt,
+                scrapeIndex,
+                section: favIndex !== -1 ? 'Favourites' : (tags[0] || 'Live now')
+            };
+        })
+        .filter(t => !targetHandles(t).some(h => blocked.has(h)));
+
+    const sectionRank = t => t.favorite ? 0 : (t.tags.length ? 1 : 2);
+    const byViewers = (a, b) => roster.sortMode === 'viewers-asc' ? (a.viewers || 0) - (b.viewers || 0) : (b.viewers || 0) - (a.viewers || 0);
+    annotated.sort((a, b) => {
+        const r = sectionRank(a) - sectionRank(b);
+        if (r) return r;
+        if (a.section !== b.section) return a.section.localeCompare(b.section);
+        if (roster.sortMode === 'favorites') {
+            if (a.favorite) {
+                const rot = (a.lastRaidedAt || 0) - (b.lastRaidedAt || 0);
+                return rot || a.favIndex - b.favIndex;
+            }
+            return a.scrapeIndex - b.scrapeIndex;
+        }
+        return byViewers(a, b) || a.scrapeIndex - b.scrapeIndex;
+    });
+    return annotated.map(({
+        favIndex,
+        scrapeIndex,
+        ...t
+    }) => t);
+}
+
+/* =========================
+   AUTO-RAID (scheduled / end-of-stream)
+========================= */
+const AUTO_RAID_DEFAULTS = self.RloRaidDefaults.autoRaid; // raid-defaults.js
+
+function handleFromChannelRef(ref) {
+    const s = String(ref || '').trim();
+    const m = s.match(/rumble\.com\/(?:c|user)\/([^/?#]+)/i) || s.match(/^\/(?:c|user)\/([^/?#]+)/i);
+    return normalizeHandle(m ? decodeURIComponent(m[1]) : s);
+}
+
+function targetHandles(t) {
+    return [normalizeHandle(t?.username), handleFromChannelRef(t?.url)].filter(Boolean);
+}
+
+function pickAutoRaidTarget(targets, settings) {
+    const live = Array.isArray(targets) ? targets : [];
+    if (!live.length) return null;
+    if (settings.rule === 'specific') {
+        const want = handleFromChannelRef(settings.targetUrl);
+        return live.find(t => targetHandles(t).includes(want)) || null;
+    }
+    if (settings.rule === 'priority') {
+        for (const ref of settings.priority || []) {
+            const want = handleFromChannelRef(ref);
+            const hit = want && live.find(t => targetHandles(t).includes(want));
+            if (hit) return hit;
+        }
+        return null;
+    }
+    return live.slice().sort((a, b) => (b.viewers || 0) - (a.viewers || 0))[0];
+}
+
+async function resolveAutoRaidTarget() {
+    const {
+        autoRaid
+    } = await chrome.storage.local.get('autoRaid');
+    const settings = {
+        ...AUTO_RAID_DEFAULTS,
+        ...(autoRaid || {})
+    };
+    const apiData = await fetchApiData();
+    if (!apiData) return {
+        ok: false,
+        reason: 'API key not found.'
+    };
+    if (!apiData.livestreams?.[0]?.is_live) return {
+        ok: false,
+        reason: 'You are not live.'
+    };
+    const targets = await fetchRaidTargets();
+    const target = pickAutoRaidTarget(targets, settings);
+    if (!target) {
+        return {
+            ok: false,
+            reason: settings.rule === 'largest' ? 'No live followed channels found.' : 'No channel matching your auto-raid rule is live.'
+        };
+    }
+    return {
+        ok: true,
+        target: {
+            ...target,
+            url: target.url && !/^https?:/i.test(target.url) ? `https://rumble.com${target.url}` : target.url
+        }
+    };
+}
+
+/* =========================
+   RAID TRAIN
+========================= */
+const RAID_TRAIN_DEFAULTS = self.RloRaidDefaults.raidTrain; // raid-defaults.js
+
+// Next live channel after our most recently ended slot; offline channels are skipped.
+async function resolveRaidTrainTarget() {
+    const {
+        raidTrain
+    } = await chrome.storage.local.get('raidTrain');
+    const train = {
+        ...RAID_TRAIN_DEFAULTS,
+        ...(raidTrain || {})
+    };
+    const own = await getOwnUsername();
+    const slots = Array.isArray(train.slots) ? train.slots : [];
+    const now = Date.now();
+    let ownIndex = -1;
+    slots.forEach((slot, idx) => {
+        if (handleFromChannelRef(slot.channel) !== own || Date.parse(slot.end) > now) return;
+        if (ownIndex === -1 || Date.parse(slot.end) >= Date.parse(slots[ownIndex].end)) ownIndex = idx;
+    });
+    if (!own || ownIndex === -1) return {
+        ok: false,
+        reason: 'None of your raid train slots has ended yet.'
+    };
+
+    const apiData = await fetchApiData();
+    if (!apiData) return {
+        ok: false,
+        reason: 'API key not found.'
+    };
+    if (!apiData.livestreams?.[0]?.is_live) return {
+        ok: false,
+        reason: 'You are not live.'
+    };
+    const live = await fetchRaidTargets();
+    const skipped = [];
+    for (const slot of slots.slice(ownIndex + 1)) {
+        const handle = handleFromChannelRef(slot.channel);
+        if (!handle || handle === own) continue;
+        const target = live.find(t => targetHandles(t).includes(handle));
+        if (target) {
+            return {
+                ok: true,
+                target: {
+                    ...target,
+                    url: target.url && !/^https?:/i.test(target.url) ? `https://rumble.com${target.url}` : target.url
+                },
+                slot,
+                skipped
+            };
+        }
+        skipped.push(slot.channel);
+    }
+    return {
+        ok: false,
+        reason: skipped.length ? 'Nobody later in the raid train is live.' : 'You are the last stop on the raid train.',
+        skipped
+    };
+}
+
+const RAID_FIRING_KEYS = {
+    autoRaid: ['autoRaidLastFired', 'date'],
+    raidTrain: ['raidTrainLastFired', 'slotKey']
+};
+let raidFiringClaimChain = Promise.resolve();
+
+// Auto-raid (once per day) and the raid train (once per slot) run in every owner tab; the
+// tab that claims here is the only one that shows the countdown. Check + write are one
+// chained step, like claimAnnouncementSlot().
+function claimRaidFiring({
+    kind,
+    key,
+    targetUrl = null
+} = {}) {
+    const [storageKey, field] = RAID_FIRING_KEYS[kind] || [];
+    if (!storageKey || !key) return Promise.resolve({
+        claimed: false,
+        reason: 'bad-request'
+    });
+    const run = raidFiringClaimChain.then(async () => {
+        const stored = (await chrome.storage.local.get(storageKey))[storageKey];
+        if (stored?.[field] === key) return {
+            claimed: false,
+            reason: 'already-fired'
+        };
+        await chrome.storage.local.set({
+            [storageKey]: {
+                [field]: key,
+                at: Date.now(),
+                ...(targetUrl && {
+                    targetUrl
+                })
+            }
+        });
+        return {
+            claimed: true
+        };
+    });
+    raidFiringClaimChain = run.catch(() => {});
+    return run;
+}
 
 /* =========================
    RAID OWNERSHIP GUARDS
@@ -1018,6 +1489,23 @@ async function isTabOwnedByUser(tabId) {
     return !!owner && owner === me;
 }
 
+// /raid may only be typed into our own chat: Studio, or the live page of our current livestream.
+// Any other sender (e.g. the demo popup on someone else's stream) raids through the hidden tab.
+function isOwnStreamTab(tab, livestream) {
+    let url;
+    try {
+        url = new URL(tab?.url || '');
+    } catch {
+        return false;
+    }
+    if (url.hostname === 'studio.rumble.com') return true;
+    if (url.hostname !== 'rumble.com') return false;
+    const tabId = url.pathname.match(/^\/v([a-zA-Z0-9]+)(?:-|\.html|$)/)?.[1]?.toLowerCase();
+    if (!tabId || !livestream) return false;
+    const ownIds = [deriveLivestreamLink(livestream).streamId, livestream.id].filter(Boolean).map(id => String(id).toLowerCase());
+    return ownIds.includes(tabId);
+}
+
 async function showNotOwnerPopup(tabId, text = 'Not the Stream Owner') {
     try {
         await chrome.scripting.executeScript({
@@ -1266,6 +1754,232 @@ function deriveLivestreamLink(ls = {}) {
     };
 }
 
+async function fetchApiData() {
+    const {
+        rumbleApiKey
+    } = await chrome.storage.local.get("rumbleApiKey");
+    if (!rumbleApiKey) return null;
+    const res = await fetch(rumbleApiKey);
+    if (!res.ok) throw new Error(`API responded with status: ${res.status}`);
+    const apiData = await res.json();
+    const ls = Array.isArray(apiData?.livestreams) ? apiData.livestreams[0] : null;
+    if (ls) {
+        const {
+            streamUrl,
+            streamId
+        } = deriveLivestreamLink(ls);
+        ls.streamUrl = streamUrl;
+        ls.streamId = streamId;
+    }
+    return apiData;
+}
+
+const CHAT_LOG_STREAM_TTL_MS = 60000;
+let chatLogApiStream = null;
+
+// Live pages carry the stream id in the URL; Studio chat is always our own stream (API, cached briefly).
+async function chatLogStreamFor(sender) {
+    const tabUrl = sender?.tab?.url || '';
+    if (/^https:\/\/rumble\.com\/v/i.test(tabUrl)) {
+        const fromTab = deriveLivestreamLink({
+            url: tabUrl.split(/[?#]/)[0]
+        });
+        if (fromTab.streamId) return {
+            ...fromTab,
+            title: (sender.tab.title || '').replace(/\s*[-|]\s*Rumble\s*$/i, '')
+        };
+    }
+    if (!chatLogApiStream || Date.now() - chatLogApiStream.at > CHAT_LOG_STREAM_TTL_MS) {
+        const apiData = await fetchApiData().catch(() => null);
+        const ls = Array.isArray(apiData?.livestreams) ? apiData.livestreams[0] : null;
+        chatLogApiStream = {
+            at: Date.now(),
+            streamId: ls?.streamId || null,
+            streamUrl: ls?.streamUrl || null,
+            title: ls?.title || ''
+        };
+    }
+    return chatLogApiStream;
+}
+
+const CLIP_MARKERS_MAX = 500;
+const CLIP_OWNER_DEDUPE_MS = 10000;
+let clipMarkerWrite = Promise.resolve();
+
+// Every read-modify-write of clipMarkers (adds from content.js, note edits / deletes from
+// options) goes through this chain so concurrent writers can't drop each other's changes.
+// fn(list) returns { list, result }; list is only written when present.
+function editClipMarkers(fn) {
+    const run = clipMarkerWrite.then(async () => {
+        const {
+            clipMarkers = []
+        } = await chrome.storage.local.get('clipMarkers');
+        const {
+            list,
+            result
+        } = await fn(clipMarkers);
+        if (list) await chrome.storage.local.set({
+            clipMarkers: list.slice(-CLIP_MARKERS_MAX)
+        });
+        return result;
+    });
+    clipMarkerWrite = run.catch(() => {});
+    return run;
+}
+
+// A viewer's !clip seen in both Studio and the live page is stored once (same message id).
+// Our own press is seen twice too (button in one tab, our !clip row in the other), so owner
+// markers for the same stream within CLIP_OWNER_DEDUPE_MS are also stored once.
+async function addClipMarker(stream, marker) {
+    if (!marker || !stream?.streamId) return null;
+    const me = await getOwnUsername().catch(() => null);
+    const isOwner = m => m.source === 'button' || (!!me && normalizeHandle(m.user || '') === me);
+    return editClipMarkers(clipMarkers => {
+        const sameStream = clipMarkers.filter(m => m.streamId === stream.streamId);
+        if (marker.msgId && sameStream.some(m => m.msgId === marker.msgId)) return {
+            result: null
+        };
+        if (isOwner(marker) && sameStream.some(m => isOwner(m) && Math.abs(m.at - marker.at) < CLIP_OWNER_DEDUPE_MS)) return {
+            result: null
+        };
+        const saved = {
+            ...marker,
+            id: `clip:${marker.at}:${Math.random().toString(36).slice(2, 8)}`,
+            streamId: stream.streamId,
+            streamUrl: stream.streamUrl || null,
+            title: stream.title || ''
+        };
+        return {
+            list: [...clipMarkers, saved],
+            result: saved
+        };
+    });
+}
+
+function updateClipMarker(id, patch = {}) {
+    const allowed = 'note' in patch ? {
+        note: String(patch.note || '').trim()
+    } : {};
+    return editClipMarkers(clipMarkers => ({
+        list: clipMarkers.map(m => m.id === id ? {
+            ...m,
+            ...allowed
+        } : m),
+        result: true
+    }));
+}
+
+function removeClipMarkers({
+    id,
+    streamId
+} = {}) {
+    if (!id && !streamId) return Promise.resolve(false);
+    return editClipMarkers(clipMarkers => ({
+        list: clipMarkers.filter(m => id ? m.id !== id : m.streamId !== streamId),
+        result: true
+    }));
+}
+
+// Capped logs that content scripts append to from whichever tab handled the row; one chain
+// for all of them so Studio and the live page can't overwrite each other's entries.
+const STORAGE_LOG_KEYS = new Set(['modLog', 'responderLog', 'announcementLog', 'pollHistory']);
+const STORAGE_LOG_MAX = 1000;
+let storageLogWrite = Promise.resolve();
+
+function appendStorageLog(key, entry, max = STORAGE_LOG_MAX) {
+    if (!STORAGE_LOG_KEYS.has(key) || !entry || typeof entry !== 'object') return Promise.resolve(false);
+    const cap = Math.min(STORAGE_LOG_MAX, Math.max(1, Number(max) || STORAGE_LOG_MAX));
+    const run = storageLogWrite.then(async () => {
+        const list = (await chrome.storage.local.get(key))[key];
+        const next = [...(Array.isArray(list) ? list : []), entry].slice(-cap);
+        await chrome.storage.local.set({
+            [key]: next
+        });
+        return true;
+    });
+    storageLogWrite = run.catch(() => {});
+    return run;
+}
+
+const RESPONDER_CLAIM_TTL_MS = 120000;
+const __RLO_RESPONDER_CLAIMS = new Map();
+const __RLO_RESPONDER_LAST = new Map();
+
+// Studio and the live page can both show our chat: the first tab to claim a message replies,
+// and command / per-user cooldowns are kept here so they hold across tabs.
+function claimResponderReply({
+    msgId,
+    commandId,
+    user,
+    cooldownSec = 0,
+    userCooldownSec = 0
+} = {}) {
+    const now = Date.now();
+    for (const [key, at] of __RLO_RESPONDER_CLAIMS) {
+        if (now - at > RESPONDER_CLAIM_TTL_MS) __RLO_RESPONDER_CLAIMS.delete(key);
+    }
+    if (!msgId || !commandId) return {
+        claimed: false,
+        reason: 'bad-request'
+    };
+    if (__RLO_RESPONDER_CLAIMS.has(msgId)) return {
+        claimed: false,
+        reason: 'duplicate'
+    };
+    __RLO_RESPONDER_CLAIMS.set(msgId, now);
+    const userKey = `${commandId}|${String(user || '').toLowerCase()}`;
+    const checks = [
+        [commandId, cooldownSec, 'cooldown'],
+        [userKey, userCooldownSec, 'user-cooldown']
+    ];
+    for (const [key, sec, reason] of checks) {
+        const left = (__RLO_RESPONDER_LAST.get(key) || 0) + Math.max(0, Number(sec) || 0) * 1000 - now;
+        if (left > 0) return {
+            claimed: false,
+            reason,
+            remainingSec: Math.ceil(left / 1000)
+        };
+    }
+    __RLO_RESPONDER_LAST.set(commandId, now);
+    __RLO_RESPONDER_LAST.set(userKey, now);
+    return {
+        claimed: true
+    };
+}
+
+let announceClaimChain = Promise.resolve();
+
+// Timed announcements: Studio and the live page both tick, so the slot is claimed here — the
+// check of announcementState.lastAt and the write of the new lastAt happen in one chained step.
+// notBefore is the claiming tab's own start time (no post right after a tab opens).
+function claimAnnouncementSlot({
+    minSinceMs = 0,
+    notBefore = 0
+} = {}) {
+    const run = announceClaimChain.then(async () => {
+        const {
+            announcementState: state = {}
+        } = await chrome.storage.local.get('announcementState');
+        const now = Date.now();
+        const since = now - Math.max(state.lastAt || 0, Number(notBefore) || 0);
+        if (since < Math.max(0, Number(minSinceMs) || 0)) return {
+            claimed: false
+        };
+        await chrome.storage.local.set({
+            announcementState: {
+                ...state,
+                lastAt: now
+            }
+        });
+        return {
+            claimed: true,
+            state
+        };
+    });
+    announceClaimChain = run.catch(() => {});
+    return run;
+}
+
 async function broadcastHideCampaigns(enabled) {
     try {
         const studioTabs = await chrome.tabs.query({
@@ -1464,25 +2178,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'getApiData': {
             (async () => {
                 try {
-                    const {
-                        rumbleApiKey
-                    } = await chrome.storage.local.get("rumbleApiKey");
-                    if (!rumbleApiKey) return void sendResponse({
+                    const apiData = await fetchApiData();
+                    if (!apiData) return void sendResponse({
                         success: false,
                         error: "API Key not found."
                     });
-                    const res = await fetch(rumbleApiKey);
-                    if (!res.ok) throw new Error(`API responded with status: ${res.status}`);
-                    const apiData = await res.json();
-                    const ls = Array.isArray(apiData?.livestreams) ? apiData.livestreams[0] : null;
-                    if (ls) {
-                        const {
-                            streamUrl,
-                            streamId
-                        } = deriveLivestreamLink(ls);
-                        ls.streamUrl = streamUrl;
-                        ls.streamId = streamId;
-                    }
                     sendResponse({
                         success: true,
                         data: apiData
@@ -1499,44 +2199,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'getRaidTargets': {
             (async () => {
                 try {
-                    let {
-                        rumbleUsername
-                    } = await chrome.storage.local.get('rumbleUsername');
-                    if (!rumbleUsername) {
-                        const {
-                            rumbleApiKey
-                        } = await chrome.storage.local.get(['rumbleApiKey']);
-                        if (rumbleApiKey) {
-                            try {
-                                const res = await fetch(rumbleApiKey);
-                                if (res.ok) {
-                                    const j = await res.json();
-                                    const derived = (j.username || '').replace(/^@/, '').trim();
-                                    if (derived) {
-                                        rumbleUsername = derived;
-                                        await chrome.storage.local.set({
-                                            rumbleUsername
-                                        });
-                                    }
-                                }
-                            } catch (e) {
-                                console.warn('[RaidTargets] API key fetch for username failed', e);
-                            }
-                        }
-                    }
-
-                    let targets = [];
-                    if (rumbleUsername) {
-                        const userPageUrl = `https://rumble.com/user/${encodeURIComponent(rumbleUsername)}`;
-                        console.log('[RaidTargets] Scraping user page via hidden tab:', userPageUrl);
-                        targets = await scrapeRaidTargetsViaTab(userPageUrl);
-                    }
-
-                    if (!targets || targets.length === 0) {
-                        console.log('[RaidTargets] User page scrape failed, trying /following...');
-                        targets = await scrapeRaidTargetsViaTab('https://rumble.com/following');
-                    }
-
+                    const targets = await fetchRaidTargets();
                     sendResponse({
                         success: true,
                         targets
@@ -1551,46 +2214,176 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             break;
         }
 
-        case 'harvestVideos': {
-            runVideoHarvest();
-            try {
-                sendResponse({
-                    status: 'started'
-                });
-            } catch {}
-            break;
-        }
-        case 'fetchPlaylists': {
-            runPlaylistHarvest();
-            try {
-                sendResponse({
-                    status: 'started'
-                });
-            } catch {}
-            break;
-        }
-        case 'playAlertSound': {
-            chrome.runtime.sendMessage({
-                type: 'play-sound',
-                src: message.soundSrc
-            });
-            break;
-        }
-        case 'playlistWorkerLog': {
-            console.log('[Bulk/DBG]', message.where, message.data || {});
-            break;
-        }
-
-        case 'clearPlaylistsFromVideos': {
-            DirectVideoApplyJob.start({
-                videoUrls: message.payload?.videoUrls || [],
-                clearAll: true,
-                perVideoTimeoutMs: 30000
-            });
+        case 'getCachedRaidTargets': {
+            (async () => {
+                try {
+                    const cached = await getCachedRaidTargets();
+                    sendResponse(cached ? {
+                        success: true,
+                        ...cached
+                    } : {
+                        success: false,
+                        error: 'no-cache'
+                    });
+                } catch (e) {
+                    sendResponse({
+                        success: false,
+                        error: String(e?.message || e)
+                    });
+                }
+            })();
             break;
         }
 
-        case 'rlo-reset-hidden-campaigns': {
+        case 'resolveRaidTrainTarget': {
+            (async () => {
+                try {
+                    sendResponse(await resolveRaidTrainTarget());
+                } catch (e) {
+                    sendResponse({
+                        ok: false,
+                        reason: String(e?.message || e)
+                    });
+                }
+            })();
+            break;
+        }
+
+        case 'getRaidTargetDetails': {
+            (async () => {
+                try {
+                    const details = await getRaidTargetDetails(message.payload?.urls || []);
+                    sendResponse({
+                        success: true,
+                        details
+                    });
+                } catch (e) {
+                    sendResponse({
+                        success: false,
+                        error: String(e?.message || e)
+                    });
+                }
+            })();
+            break;
+        }
+
+        case 'resolveAutoRaidTarget': {
+            (async () => {
+                try {
+                    sendResponse(await resolveAutoRaidTarget());
+                } catch (e) {
+                    sendResponse({
+                        ok: false,
+                        reason: String(e?.message || e)
+                    });
+                }
+            })();
+            break;
+        }
+
+        case 'harvestVideos': {
+            runVideoHarvest();
+            try {
+                sendResponse({
+                    status: 'started'
+                });
+            } catch {}
+            break;
+        }
+        case 'fetchPlaylists': {
+            runPlaylistHarvest();
+            try {
+                sendResponse({
+                    status: 'started'
+                });
+            } catch {}
+            break;
+        }
+        case 'overlayTestAlert': {
+            (async () => {
+                const event = {
+                    ...(message.payload?.event || {}),
+                    test: true
+                };
+                const alert = await resolveAlertRule(event, {
+                    ignoreCooldown: true
+                });
+                await AlertQueue.enqueue(alert ? {
+                    ...event,
+                    alert
+                } : event);
+                sendResponse({
+                    ok: true
+                });
+            })();
+            return true;
+        }
+
+        case 'ttsTest': {
+            (async () => {
+                const speech = await rantSpeechFor({
+                    kind: 'rant',
+                    user: 'Awesome Raider',
+                    amount: 5,
+                    text: message.payload?.text || 'This is how rants will sound. Great stream!'
+                }, {
+                    force: true
+                });
+                if (speech) playInOffscreen({
+                    speech
+                });
+                sendResponse({
+                    ok: !!speech
+                });
+            })();
+            return true;
+        }
+
+        case 'alertQueueStatus': {
+            AlertQueue.status().then(sendResponse);
+            return true;
+        }
+        case 'alertQueueSkip': {
+            AlertQueue.skip(message.payload?.id).then(() => sendResponse({
+                ok: true
+            }));
+            return true;
+        }
+        case 'alertQueuePause': {
+            AlertQueue.setPaused(!!message.payload?.paused).then(() => sendResponse({
+                ok: true
+            }));
+            return true;
+        }
+        case 'alertQueueReplay': {
+            AlertQueue.replay(message.payload?.id).then(id => sendResponse({
+                ok: !!id,
+                id
+            }));
+            return true;
+        }
+
+        case 'previewSound': {
+            previewSound(message.payload?.kind, message.payload?.sound).then(ok => sendResponse({
+                ok
+            }));
+            return true;
+        }
+        case 'playlistWorkerLog': {
+            console.log('[Bulk/DBG]', message.where, message.data || {});
+            break;
+        }
+
+        case 'clearPlaylistsFromVideos': {
+            DirectVideoApplyJob.start({
+                videoUrls: message.payload?.videoUrls || [],
+                clearAll: true,
+                perVideoTimeoutMs: 30000
+            });
+            break;
+        }
+
+        case 'rlo-reset-hidden-campaigns': {
             (async () => {
                 try {
                     await chrome.storage.local.set({
@@ -1622,7 +2415,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             (async () => {
                 try {
                     const {
-                        targetUrl
+                        targetUrl,
+                        autoConfirm = false,
+                        acknowledgeWarnings = false
                     } = message.payload || {};
                     if (!targetUrl) {
                         return sendResponse({
@@ -1661,6 +2456,44 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
                     const ownStreamUrl = `https://rumble.com/v${livestream.id}`;
                     const raidCommandId = Date.now().toString();
+                    const command = {
+                        originalTabId: sender.tab.id,
+                        raidTargetUrl: targetUrl,
+                        autoConfirm: !!autoConfirm,
+                        ownViewers: typeof livestream.watching_now === 'number' ? livestream.watching_now : null,
+                        scriptInjected: false
+                    };
+
+                    const preflight = await preflightRaid(targetUrl, livestream);
+                    if (!preflight.ok) {
+                        await recordOutboundRaid(command, false, preflight.reason);
+                        return sendResponse({
+                            ok: false,
+                            status: 'failed',
+                            stage: 'preflight',
+                            reason: preflight.reason,
+                            error: preflight.reason
+                        });
+                    }
+                    if (preflight.warnings.length && !acknowledgeWarnings && !autoConfirm) {
+                        return sendResponse({
+                            ok: false,
+                            status: 'preflight-warning',
+                            stage: 'preflight',
+                            warnings: preflight.warnings
+                        });
+                    }
+
+                    const direct = isOwnStreamTab(sender.tab, livestream) ? await raidViaCurrentChat(sender.tab.id, raidCommandId, targetUrl) : null;
+                    if (direct) {
+                        pendingRaidCommands[raidCommandId] = {
+                            ...command,
+                            tabId: sender.tab.id,
+                            direct: true,
+                            scriptInjected: true
+                        };
+                        return sendResponse(await handleDirectRaidResult(raidCommandId, direct));
+                    }
 
                     chrome.tabs.create({
                         url: ownStreamUrl,
@@ -1672,15 +2505,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                         }
 
                         pendingRaidCommands[raidCommandId] = {
-                            tabId: tab.id,
-                            originalTabId: sender.tab.id,
-                            raidTargetUrl: targetUrl,
-                            scriptInjected: false
+                            ...command,
+                            tabId: tab.id
                         };
                     });
 
                     sendResponse({
-                        ok: true
+                        ok: true,
+                        status: 'started',
+                        path: 'hidden-tab',
+                        raidCommandId
                     });
 
                 } catch (e) {
@@ -1703,14 +2537,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
                 if (raidCommandId) {
                     const {
-                        originalTabId
+                        originalTabId,
+                        autoConfirm,
+                        raidTargetUrl
                     } = pendingRaidCommands[raidCommandId];
+                    if (autoConfirm) {
+                        sendResponse(await finishAutoRaid(raidCommandId));
+                        return;
+                    }
                     try {
                         await chrome.tabs.sendMessage(originalTabId, {
                             type: 'showRaidConfirmation',
                             payload: {
                                 html: html,
-                                raidCommandId: raidCommandId
+                                raidCommandId: raidCommandId,
+                                targetUrl: raidTargetUrl
                             }
                         });
                         sendResponse({
@@ -1748,22 +2589,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 }
 
                 try {
-
-                    await chrome.tabs.sendMessage(command.tabId, {
-                        type: 'clickConfirm'
-                    });
+                    const result = await confirmRaidCommand(raidCommandId);
                     sendResponse({
-                        ok: true
+                        ...result,
+                        ...(!result.ok && {
+                            error: result.reason
+                        })
                     });
-
-                    setTimeout(() => {
-                        try {
-                            chrome.tabs.remove(command.tabId);
-                            delete pendingRaidCommands[raidCommandId];
-                        } catch (e) {
-                        }
-                    }, 1500);
-
                 } catch (e) {
                     sendResponse({
                         ok: false,
@@ -1789,7 +2621,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 }
 
                 try {
-                    await chrome.tabs.remove(command.tabId);
+                    if (command.direct) {
+                        await chrome.tabs.sendMessage(command.tabId, {
+                            type: 'rlo-direct-raid-cancel',
+                            payload: {
+                                raidCommandId
+                            }
+                        }).catch(() => {});
+                    } else {
+                        await chrome.tabs.remove(command.tabId);
+                    }
                     delete pendingRaidCommands[raidCommandId];
                     sendResponse({
                         ok: true
@@ -1808,6 +2649,167 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 
 
+        case 'raidProcessFailed': {
+            (async () => {
+                const raidCommandId = Object.keys(pendingRaidCommands).find(id => pendingRaidCommands[id].tabId === sender.tab?.id);
+                if (raidCommandId) {
+                    const command = pendingRaidCommands[raidCommandId];
+                    const reason = message.reason || 'raid-popup-not-shown';
+                    await recordOutboundRaid(command, false, reason);
+                    chrome.tabs.sendMessage(command.originalTabId, command.autoConfirm ? {
+                        type: 'rlo-auto-raid-result',
+                        payload: {
+                            ok: false,
+                            targetUrl: command.raidTargetUrl,
+                            reason
+                        }
+                    } : {
+                        type: 'rlo-raid-failed',
+                        payload: {
+                            raidCommandId,
+                            targetUrl: command.raidTargetUrl,
+                            reason
+                        }
+                    }).catch(() => {});
+                    try {
+                        chrome.tabs.remove(command.tabId);
+                    } catch {}
+                    delete pendingRaidCommands[raidCommandId];
+                }
+                sendResponse({
+                    ok: true
+                });
+            })();
+            break;
+        }
+
+        case 'chatAlertEvent': {
+            (async () => {
+                const emitted = await emitLiveEvent(message.payload?.event);
+                sendResponse({
+                    ok: true,
+                    emitted
+                });
+            })();
+            break;
+        }
+
+        case 'chatLogAppend': {
+            (async () => {
+                try {
+                    const stream = await chatLogStreamFor(sender);
+                    if (!stream.streamId) return void sendResponse({
+                        ok: false,
+                        reason: 'no-stream'
+                    });
+                    const added = await RloChatLog.append(stream, message.payload?.messages || []);
+                    sendResponse({
+                        ok: true,
+                        added
+                    });
+                } catch (e) {
+                    console.warn('[ChatLog] append failed:', e?.message || e);
+                    sendResponse({
+                        ok: false,
+                        reason: String(e?.message || e)
+                    });
+                }
+            })();
+            break;
+        }
+
+        case 'clipMarkerAdd': {
+            (async () => {
+                try {
+                    const stream = await chatLogStreamFor(sender);
+                    const marker = await addClipMarker(stream, message.payload?.marker);
+                    sendResponse({
+                        ok: !!marker,
+                        marker
+                    });
+                } catch (e) {
+                    console.warn('[ClipMarkers] add failed:', e?.message || e);
+                    sendResponse({
+                        ok: false,
+                        reason: String(e?.message || e)
+                    });
+                }
+            })();
+            break;
+        }
+
+        case 'clipMarkerUpdate': {
+            updateClipMarker(message.payload?.id, message.payload?.patch)
+                .then(() => sendResponse({
+                    ok: true
+                }))
+                .catch(e => sendResponse({
+                    ok: false,
+                    reason: String(e?.message || e)
+                }));
+            break;
+        }
+
+        case 'clipMarkerRemove': {
+            removeClipMarkers(message.payload)
+                .then(ok => sendResponse({
+                    ok
+                }))
+                .catch(e => sendResponse({
+                    ok: false,
+                    reason: String(e?.message || e)
+                }));
+            break;
+        }
+
+        case 'storageLogAppend': {
+            appendStorageLog(message.payload?.key, message.payload?.entry, message.payload?.max)
+                .then(ok => sendResponse({
+                    ok
+                }))
+                .catch(e => sendResponse({
+                    ok: false,
+                    reason: String(e?.message || e)
+                }));
+            break;
+        }
+
+        case 'raidFiringClaim': {
+            claimRaidFiring(message.payload)
+                .then(res => sendResponse({
+                    ok: true,
+                    ...res
+                }))
+                .catch(e => sendResponse({
+                    ok: false,
+                    claimed: false,
+                    reason: String(e?.message || e)
+                }));
+            break;
+        }
+
+        case 'announcementClaim': {
+            claimAnnouncementSlot(message.payload)
+                .then(res => sendResponse({
+                    ok: true,
+                    ...res
+                }))
+                .catch(e => sendResponse({
+                    ok: false,
+                    claimed: false,
+                    reason: String(e?.message || e)
+                }));
+            break;
+        }
+
+        case 'chatResponderClaim': {
+            sendResponse({
+                ok: true,
+                ...claimResponderReply(message.payload)
+            });
+            break;
+        }
+
         case 'liveStreamersFromScrape': {
             const resolver = raidTargetResolvers[sender.tab.id];
             if (resolver) {
@@ -2151,6 +3153,1026 @@ async function processPlaylistQueue() {
     };
 }
 
+/* =========================
+   RAID TARGET DETAILS (title / category / uptime / thumbnail)
+========================= */
+const RAID_DETAILS_TTL_MS = 5 * 60 * 1000;
+const RAID_DETAILS_CONCURRENCY = 4;
+
+// Channel URL → live video URL (channel page) → details (video page), both parsed offscreen.
+// Resolves null when the pages could not be fetched, { live: false } when nothing is live.
+async function fetchRaidTargetDetails(url) {
+    let videoUrl = /^https:\/\/rumble\.com\/v/i.test(url) ? url : null;
+    let fromChannel = null;
+    if (!videoUrl) {
+        const channelHtml = await fetchPage(url);
+        if (!channelHtml) return null;
+        fromChannel = await parseHtmlWithOffscreen(channelHtml, 'channelLive');
+        videoUrl = fromChannel?.videoUrl || null;
+        if (!videoUrl) return {
+            live: false
+        };
+    }
+    const videoHtml = await fetchPage(videoUrl);
+    const details = videoHtml ? await parseHtmlWithOffscreen(videoHtml, 'liveDetails') : null;
+    const ended = details?.isLive === false || (!!details?.endedAt && Date.parse(details.endedAt) <= Date.now());
+    return {
+        videoUrl,
+        live: !ended,
+        title: details?.title || fromChannel?.title || '',
+        category: details?.category || '',
+        startedAt: details?.startedAt || null,
+        thumbnail: details?.thumbnail || fromChannel?.thumbnail || '',
+        chatDisabled: !!details?.chatDisabled,
+        ageRestricted: !!details?.ageRestricted
+    };
+}
+
+async function getRaidTargetDetails(urls = []) {
+    const {
+        raidTargetDetails: cache = {}
+    } = await chrome.storage.session.get('raidTargetDetails');
+    const now = Date.now();
+    const out = {};
+    const stale = [];
+    [...new Set(urls)].forEach(url => {
+        const hit = cache[url];
+        if (hit && now - hit.at < RAID_DETAILS_TTL_MS) out[url] = hit.details;
+        else stale.push(url);
+    });
+    if (!stale.length) return out;
+
+    await setupOffscreenDocument();
+    let next = 0;
+    const worker = async () => {
+        while (next < stale.length) {
+            const url = stale[next++];
+            try {
+                out[url] = await fetchRaidTargetDetails(url);
+            } catch (e) {
+                console.warn('[RaidDetails] failed for', url, e);
+                out[url] = null;
+            }
+            cache[url] = {
+                at: Date.now(),
+                details: out[url]
+            };
+        }
+    };
+    await Promise.all(Array.from({
+        length: Math.min(RAID_DETAILS_CONCURRENCY, stale.length)
+    }, worker));
+
+    Object.keys(cache).forEach(url => {
+        if (Date.now() - cache[url].at > RAID_DETAILS_TTL_MS) delete cache[url];
+    });
+    await chrome.storage.session.set({
+        raidTargetDetails: cache
+    });
+    return out;
+}
+
+/* =========================
+   RAID PREFLIGHT
+========================= */
+// Failures block the raid; warnings need acknowledgeWarnings (manual raids only).
+async function preflightRaid(targetUrl, livestream) {
+    if (!livestream?.is_live) return {
+        ok: false,
+        reason: 'own-not-live',
+        warnings: []
+    };
+    await setupOffscreenDocument();
+    const details = await fetchRaidTargetDetails(targetUrl).catch(() => null);
+    if (details && !details.live) return {
+        ok: false,
+        reason: 'target-offline',
+        warnings: []
+    };
+    const warnings = [];
+    if (!details) warnings.push('target-unverified');
+    if (details?.chatDisabled) warnings.push('target-chat-disabled');
+    if (details?.ageRestricted) warnings.push('target-age-restricted');
+    return {
+        ok: true,
+        warnings
+    };
+}
+
+/* =========================
+   RAID EXECUTION (current-tab chat → hidden-tab fallback)
+========================= */
+// Every raid resolves to { ok, status, path, raidCommandId, reason? } where status is
+// 'started' (hidden tab opened, confirm relayed later) | 'sent' | 'confirm-shown' | 'confirmed' | 'failed',
+// or 'preflight-warning' (with warnings[]) before anything is sent.
+function raidResult(raidCommandId, status, extra = {}) {
+    const command = pendingRaidCommands[raidCommandId];
+    return {
+        ok: status !== 'failed',
+        status,
+        path: command?.direct ? 'chat' : 'hidden-tab',
+        raidCommandId,
+        ...extra
+    };
+}
+
+// Resolves null when no frame in the tab has a chat input (caller falls back to the hidden tab).
+async function raidViaCurrentChat(tabId, raidCommandId, targetUrl) {
+    try {
+        const res = await chrome.tabs.sendMessage(tabId, {
+            type: 'rlo-direct-raid',
+            payload: {
+                raidCommandId,
+                targetUrl
+            }
+        });
+        return res && res.status ? res : null;
+    } catch {
+        return null;
+    }
+}
+
+async function clickRaidConfirm(raidCommandId) {
+    const command = pendingRaidCommands[raidCommandId];
+    try {
+        if (command.direct) {
+            return await chrome.tabs.sendMessage(command.tabId, {
+                type: 'rlo-direct-raid-confirm',
+                payload: {
+                    raidCommandId
+                }
+            });
+        }
+        return await chrome.tabs.sendMessage(command.tabId, {
+            type: 'clickConfirm'
+        });
+    } catch (e) {
+        return {
+            ok: false,
+            error: String(e?.message || e)
+        };
+    }
+}
+
+// Closes the hidden tab (never the user's own tab) and forgets the command.
+function releaseRaidCommand(raidCommandId, delayMs = 1500) {
+    const command = pendingRaidCommands[raidCommandId];
+    if (!command) return;
+    setTimeout(() => {
+        if (!command.direct) {
+            try {
+                chrome.tabs.remove(command.tabId);
+            } catch {}
+        }
+        delete pendingRaidCommands[raidCommandId];
+    }, delayMs);
+}
+
+async function confirmRaidCommand(raidCommandId) {
+    const command = pendingRaidCommands[raidCommandId];
+    const res = await clickRaidConfirm(raidCommandId);
+    const confirmed = !!res?.ok;
+    const reason = confirmed ? null : (res?.error || 'confirm-failed');
+    if (confirmed) await recordRaidedTarget(command.raidTargetUrl);
+    await recordOutboundRaid(command, confirmed, reason);
+    const result = raidResult(raidCommandId, confirmed ? 'confirmed' : 'failed', reason ? {
+        reason
+    } : {});
+    releaseRaidCommand(raidCommandId);
+    return result;
+}
+
+async function finishAutoRaid(raidCommandId) {
+    const command = pendingRaidCommands[raidCommandId];
+    const result = await confirmRaidCommand(raidCommandId);
+    chrome.tabs.sendMessage(command.originalTabId, {
+        type: 'rlo-auto-raid-result',
+        payload: {
+            ok: result.ok,
+            targetUrl: command.raidTargetUrl,
+            ...(result.reason && {
+                reason: result.reason
+            })
+        }
+    }).catch(() => {});
+    return result;
+}
+
+async function handleDirectRaidResult(raidCommandId, direct) {
+    const command = pendingRaidCommands[raidCommandId];
+    if (direct.status === 'confirm-shown') {
+        if (command.autoConfirm) return finishAutoRaid(raidCommandId);
+        chrome.tabs.sendMessage(command.originalTabId, {
+            type: 'showRaidConfirmation',
+            payload: {
+                html: direct.html,
+                raidCommandId,
+                targetUrl: command.raidTargetUrl
+            }
+        }).catch(() => {});
+        return raidResult(raidCommandId, 'confirm-shown');
+    }
+    const reason = direct.status === 'sent' ? 'confirm-not-shown' : (direct.reason || 'chat-send-failed');
+    await recordOutboundRaid(command, false, reason);
+    const result = raidResult(raidCommandId, direct.status === 'sent' && !command.autoConfirm ? 'sent' : 'failed', {
+        reason
+    });
+    delete pendingRaidCommands[raidCommandId];
+    return result;
+}
+
+/* =========================
+   RAID JOURNAL (outbound + inbound)
+========================= */
+const RAID_JOURNAL_MAX = 1000;
+let raidJournalWrite = Promise.resolve();
+
+// Chained like addClipMarker: an outbound result and an inbound raid landing together must
+// not overwrite each other's entry.
+function appendRaidJournal(entry) {
+    const run = raidJournalWrite.then(async () => {
+        const {
+            raidJournal = []
+        } = await chrome.storage.local.get('raidJournal');
+        raidJournal.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            at: Date.now(),
+            ...entry
+        });
+        await chrome.storage.local.set({
+            raidJournal: raidJournal.slice(-RAID_JOURNAL_MAX)
+        });
+    });
+    raidJournalWrite = run.catch(() => {});
+    return run;
+}
+
+async function recordOutboundRaid(command, confirmed, error = null) {
+    if (!command || command.journaled) return;
+    command.journaled = true;
+    await appendRaidJournal({
+        direction: 'outbound',
+        channel: handleFromChannelRef(command.raidTargetUrl),
+        url: command.raidTargetUrl,
+        viewers: command.ownViewers ?? null,
+        confirmed: !!confirmed,
+        auto: !!command.autoConfirm,
+        error
+    });
+}
+
+async function recordInboundRaid(event) {
+    await appendRaidJournal({
+        direction: 'inbound',
+        channel: normalizeHandle(event.user),
+        url: `https://rumble.com/user/${encodeURIComponent(String(event.user || '').replace(/^@/, ''))}`,
+        viewers: typeof event.viewers === 'number' ? event.viewers : null,
+        confirmed: true,
+        source: event.source || null
+    });
+}
+
+/* =========================
+   ALERT RULES (per event type, amount tiers, cooldown, mute)
+========================= */
+const ALERT_RULE_KINDS = ['raid', 'rant', 'follow', 'subscription', 'gifted'];
+const ALERT_RULE_DEFAULTS = {
+    raid: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 6000,
+        template: 'is raiding with {viewers} viewers!',
+        cooldownSec: 0,
+        tiers: []
+    },
+    rant: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 6000,
+        template: '{amount} Rant: {text}',
+        cooldownSec: 0,
+        tiers: []
+    },
+    follow: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 5000,
+        template: 'just followed!',
+        cooldownSec: 0,
+        tiers: []
+    },
+    subscription: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 6000,
+        template: 'just subscribed!',
+        cooldownSec: 0,
+        tiers: []
+    },
+    gifted: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 6000,
+        template: 'gifted {count} subs!',
+        cooldownSec: 0,
+        tiers: []
+    }
+};
+const __RLO_ALERT_LAST_FIRED = new Map();
+
+// The number tiers are matched against: rant dollars, raid viewers, gifted sub count.
+function alertTierMetric(event) {
+    if (event.kind === 'rant') return typeof event.amount === 'number' ? event.amount : null;
+    if (event.kind === 'raid') return typeof event.viewers === 'number' ? event.viewers : null;
+    if (event.kind === 'gifted') return typeof event.count === 'number' ? event.count : null;
+    return null;
+}
+
+// null when the template needs a value the event does not carry (pages fall back to their own text).
+function renderAlertTemplate(template, event) {
+    const vars = {
+        user: event.user || 'Someone',
+        amount: typeof event.amount === 'number' ? `$${event.amount.toFixed(2)}` : null,
+        viewers: typeof event.viewers === 'number' ? String(event.viewers) : null,
+        count: typeof event.count === 'number' ? String(event.count) : null,
+        text: event.text || null
+    };
+    let missing = false;
+    const out = String(template || '').replace(/\{(\w+)\}/g, (m, name) => {
+        if (!(name in vars)) return m;
+        if (vars[name] == null) missing = true;
+        return vars[name] ?? '';
+    }).trim();
+    return missing || !out ? null : out;
+}
+
+async function getAlertRules() {
+    const {
+        alertRules
+    } = await chrome.storage.local.get('alertRules');
+    const rules = {};
+    for (const kind of ALERT_RULE_KINDS) {
+        rules[kind] = {
+            ...ALERT_RULE_DEFAULTS[kind],
+            ...(alertRules?.rules?.[kind] || {})
+        };
+    }
+    return {
+        muted: !!alertRules?.muted,
+        rules
+    };
+}
+
+// Resolves an alert sound ref to an asset id in the IndexedDB library ('default' → the selected
+// raid/rant sound); the offscreen player loads the file itself, so no audio data is passed around.
+async function resolveAlertSoundId(kind, soundRef) {
+    if (soundRef === 'none') return null;
+    if (/^(raid|rant):\d+$/.test(soundRef || '') && await RloAssets.get(soundRef)) return soundRef;
+    return RloAssets.getSelected(kind === 'raid' ? 'raid' : 'rant');
+}
+
+/**
+ * Resolves the alert for an event: { message, sound, volume, durationMs, tier, muted },
+ * or null when the rule is disabled or still cooling down (the whole alert is dropped).
+ * sound is 'default' | 'none' | an asset id ('raid:<addedAt>' / 'rant:<addedAt>'); mute only silences it.
+ */
+async function resolveAlertRule(event, {
+    ignoreCooldown = false
+} = {}) {
+    if (!event || !ALERT_RULE_KINDS.includes(event.kind)) return null;
+    const {
+        muted,
+        rules
+    } = await getAlertRules();
+    const rule = rules[event.kind];
+    if (!rule.enabled) return null;
+    const now = Date.now();
+    const cooldownMs = Math.max(0, Number(rule.cooldownSec) || 0) * 1000;
+    if (!ignoreCooldown) {
+        const last = __RLO_ALERT_LAST_FIRED.get(event.kind) || 0;
+        if (cooldownMs && now - last < cooldownMs) return null;
+        __RLO_ALERT_LAST_FIRED.set(event.kind, now);
+    }
+    const metric = alertTierMetric(event);
+    const tier = metric == null ? null : (rule.tiers || [])
+        .filter(t => typeof t?.min === 'number' && metric >= t.min)
+        .sort((a, b) => b.min - a.min)[0] || null;
+    const pick = (field) => (tier && tier[field] != null && tier[field] !== '') ? tier[field] : rule[field];
+    const sound = pick('sound') || 'default';
+    const volume = Number(pick('volume'));
+    return {
+        message: renderAlertTemplate(pick('template'), event),
+        sound: muted ? 'none' : sound,
+        volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 1,
+        durationMs: Math.max(1000, Number(pick('durationMs')) || 6000),
+        tier: tier ? tier.min : null,
+        muted
+    };
+}
+
+/* =========================
+   RANT TEXT-TO-SPEECH (spoken offscreen)
+========================= */
+const TTS_DEFAULTS = {
+    enabled: false,
+    minAmount: 5,
+    maxLength: 200,
+    filterProfanity: true,
+    filterUrls: true,
+    blockedWords: [],
+    voice: '',
+    rate: 1,
+    volume: 1
+};
+const TTS_PROFANITY = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'pussy', 'cock', 'whore', 'slut', 'twat', 'wanker'];
+const TTS_URL_RE = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|gg|tv|co|me|ly|xyz)(?:\/\S*)?/gi;
+
+async function getTtsSettings() {
+    const {
+        ttsSettings
+    } = await chrome.storage.local.get('ttsSettings');
+    return {
+        ...TTS_DEFAULTS,
+        ...(ttsSettings || {})
+    };
+}
+
+function escapeRegExp(s) {
+    return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Cleans a rant message for speech: URLs → "link", profanity / blocked words → "beep", capped length.
+function filterTtsText(text, settings) {
+    let out = String(text || '').replace(/\s+/g, ' ').trim();
+    if (settings.filterUrls) out = out.replace(TTS_URL_RE, 'link');
+    const words = [
+        ...(settings.filterProfanity ? TTS_PROFANITY : []),
+        ...(settings.blockedWords || []).map(w => String(w).trim().toLowerCase()).filter(Boolean)
+    ];
+    if (words.length) {
+        const re = new RegExp(`\\b(?:${words.map(escapeRegExp).join('|')})\\w*`, 'gi');
+        out = out.replace(re, 'beep');
+    }
+    const max = Math.max(20, Number(settings.maxLength) || TTS_DEFAULTS.maxLength);
+    if (out.length > max) out = `${out.slice(0, max).replace(/\s+\S*$/, '')}…`;
+    return out;
+}
+
+// null when the rant is below the threshold (or TTS is off); otherwise the sentence to speak.
+function buildRantSpeech(event, settings) {
+    if (!settings.enabled || event?.kind !== 'rant') return null;
+    const amount = typeof event.amount === 'number' ? event.amount : 0;
+    if (amount < (Number(settings.minAmount) || 0)) return null;
+    const user = filterTtsText(String(event.user || 'Someone').replace(/^@/, ''), settings);
+    const message = filterTtsText(event.text, settings);
+    const dollars = amount ? `${amount % 1 ? amount.toFixed(2) : amount} dollars` : 'a rant';
+    return message ? `${user} sent ${dollars}. ${message}` : `${user} sent ${dollars}.`;
+}
+
+// { text, voice, rate, volume } for the offscreen player, or null (TTS off, below the minimum, muted).
+async function rantSpeechFor(event, {
+    force = false
+} = {}) {
+    if (event?.alert?.muted) return null;
+    const settings = await getTtsSettings();
+    const text = buildRantSpeech(event, force ? {
+        ...settings,
+        enabled: true,
+        minAmount: 0
+    } : settings);
+    if (!text) return null;
+    return {
+        text,
+        voice: settings.voice,
+        rate: Math.min(2, Math.max(0.5, Number(settings.rate) || 1)),
+        volume: Number.isFinite(Number(settings.volume)) ? Math.min(1, Math.max(0, Number(settings.volume))) : 1
+    };
+}
+
+/* =========================
+   ALERT QUEUE (one alert at a time, pause / skip / replay)
+========================= */
+const ALERT_HISTORY_MAX = 50;
+const OFFSCREEN_PLAY_TIMEOUT_MS = 120000;
+
+const AUDIO_DEFAULTS = {
+    deviceId: '',
+    masterVolume: 1,
+    duck: true,
+    duckLevel: 0.3
+};
+
+// Output device / master volume / ducking, sent along with every offscreen playback request.
+async function getAudioSettings() {
+    const {
+        audioSettings
+    } = await chrome.storage.local.get('audioSettings');
+    return {
+        ...AUDIO_DEFAULTS,
+        ...(audioSettings || {})
+    };
+}
+
+// Options "Preview" buttons: plays right away on the chosen device, outside the alert queue.
+async function previewSound(kind, sound) {
+    const assetId = await resolveAlertSoundId(kind, sound);
+    if (!assetId) return false;
+    await setupOffscreenDocument();
+    chrome.runtime.sendMessage({
+        type: 'sound-preview',
+        assetId,
+        volume: 1,
+        output: await getAudioSettings()
+    }).catch(() => {});
+    return true;
+}
+
+// Plays the sound, then the speech, in the offscreen document and resolves once both are done,
+// at least minMs have passed, or the alert was skipped.
+async function playInOffscreen({
+    assetId = null,
+    volume = 1,
+    speech = null,
+    minMs = 0
+} = {}) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const output = await getAudioSettings();
+    await setupOffscreenDocument();
+    activeOffscreenPlayback++;
+    return new Promise((resolve) => {
+        const finish = () => {
+            chrome.runtime.onMessage.removeListener(listener);
+            clearTimeout(timer);
+            activeOffscreenPlayback--;
+            resolve();
+        };
+        const listener = (message) => {
+            if (message && message.type === 'alertPlayed' && message.id === id) finish();
+        };
+        const timer = setTimeout(() => {
+            console.warn('[AlertQueue] offscreen playback timed out');
+            finish();
+        }, minMs + OFFSCREEN_PLAY_TIMEOUT_MS);
+        chrome.runtime.onMessage.addListener(listener);
+        chrome.runtime.sendMessage({
+            type: 'alert-play',
+            id,
+            assetId,
+            volume,
+            speech,
+            minMs,
+            output
+        }).catch(finish);
+    });
+}
+
+async function skipOffscreenPlayback() {
+    if (!(await hasOffscreenDocument())) return;
+    chrome.runtime.sendMessage({
+        type: 'alert-skip'
+    }).catch(() => {});
+}
+
+async function sendLiveEventToTab(event) {
+    const tab = await findAlertTab();
+    if (!tab) {
+        console.log('[LiveEvents] No Rumble tab open for alert:', event.kind, event.user);
+        return false;
+    }
+    try {
+        await chrome.tabs.sendMessage(tab.id, {
+            type: 'rlo-live-event',
+            event
+        }, {
+            frameId: 0
+        });
+    } catch (e) {
+        console.warn('[LiveEvents] dispatch failed:', e?.message || e);
+    }
+    return true;
+}
+
+async function recordAlertHistory(item) {
+    const {
+        alertHistory = []
+    } = await chrome.storage.local.get('alertHistory');
+    alertHistory.push({
+        id: item.id,
+        at: Date.now(),
+        event: item.event
+    });
+    await chrome.storage.local.set({
+        alertHistory: alertHistory.slice(-ALERT_HISTORY_MAX)
+    });
+}
+
+/**
+ * Central alert queue: every live/test alert is shown (overlay + Rumble tab) and heard
+ * (offscreen sound, then rant speech) strictly one at a time. Pending items and the pause
+ * flag live in storage.session so a service worker restart keeps the queue.
+ */
+const AlertQueue = (() => {
+    let pending = [];
+    let current = null;
+    let paused = false;
+    let restored = null;
+
+    const summary = (item) => item && {
+        id: item.id,
+        queuedAt: item.queuedAt,
+        event: item.event
+    };
+
+    function status() {
+        return {
+            paused,
+            current: summary(current),
+            pending: pending.map(summary)
+        };
+    }
+
+    function restore() {
+        restored ||= chrome.storage.session.get('alertQueue').then(({
+            alertQueue
+        }) => {
+            paused = !!alertQueue?.paused;
+            // A stored current means the worker stopped mid-alert: play it again first.
+            pending = [...(alertQueue?.current ? [alertQueue.current] : []), ...(alertQueue?.pending || []), ...pending];
+        }).catch(() => {});
+        return restored;
+    }
+
+    async function persist() {
+        await chrome.storage.session.set({
+            alertQueue: {
+                paused,
+                current,
+                pending
+            }
+        });
+        chrome.runtime.sendMessage({
+            type: 'rlo-alert-queue-updated',
+            status: status()
+        }).catch(() => {});
+    }
+
+    async function play(item) {
+        const event = {
+            ...item.event,
+            queued: true
+        };
+        broadcastOverlayAlert(event);
+        // Test alerts reach the tab through the Simulate buttons' own rlo-test-* messages.
+        if (!event.test) sendLiveEventToTab(event);
+        const alert = event.alert || {};
+        const assetId = await resolveAlertSoundId(event.kind, alert.sound);
+        const speech = event.kind === 'rant' ? await rantSpeechFor(event) : null;
+        await playInOffscreen({
+            assetId,
+            volume: typeof alert.volume === 'number' ? alert.volume : 1,
+            speech,
+            minMs: alert.durationMs || 6000
+        });
+    }
+
+    // current stays in storage until alert-play finishes, so a worker restart mid-alert
+    // doesn't lose it.
+    async function pump() {
+        await restore();
+        if (paused || current || !pending.length) return;
+        current = pending.shift();
+        await persist();
+        try {
+            await play(current);
+            await recordAlertHistory(current);
+        } catch (e) {
+            console.warn('[AlertQueue] play failed:', e?.message || e);
+        }
+        current = null;
+        await persist();
+        pump();
+    }
+
+    return {
+        async enqueue(event, {
+            front = false
+        } = {}) {
+            await restore();
+            const item = {
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                queuedAt: Date.now(),
+                event
+            };
+            if (front) pending.unshift(item);
+            else pending.push(item);
+            await persist();
+            pump();
+            return item.id;
+        },
+        // No id (or the current id) skips what is playing; a pending id drops it from the queue.
+        async skip(id) {
+            await restore();
+            if (!id || current?.id === id) {
+                if (current) await skipOffscreenPlayback();
+                return;
+            }
+            pending = pending.filter(item => item.id !== id);
+            await persist();
+        },
+        async setPaused(value) {
+            await restore();
+            paused = !!value;
+            await persist();
+            if (!paused) pump();
+        },
+        async replay(historyId) {
+            const {
+                alertHistory = []
+            } = await chrome.storage.local.get('alertHistory');
+            const entry = alertHistory.find(h => h.id === historyId);
+            if (!entry) return null;
+            return this.enqueue({
+                ...entry.event,
+                replay: true
+            }, {
+                front: true
+            });
+        },
+        async status() {
+            await restore();
+            return status();
+        },
+        resume: pump
+    };
+})();
+
+AlertQueue.resume();
+
+chrome.commands?.onCommand.addListener((command) => {
+    if (command === 'skip-alert') AlertQueue.skip();
+});
+
+/* =========================
+   LIVE EVENTS (API poller + dispatch)
+========================= */
+const LIVE_POLL_MS = 10000;
+const OFFLINE_POLL_MIN_MS = 60000;
+const OFFLINE_POLL_MAX_MS = 300000;
+const LIVE_EVENT_DEDUPE_MS = 120000;
+// [{ sig, source, eventId, at, matched }] for the last LIVE_EVENT_DEDUPE_MS.
+const __RLO_RECENT_EVENTS = [];
+
+function liveEventSignature(event) {
+    const amount = typeof event.amount === 'number' ? event.amount.toFixed(2) : '';
+    return `${event.kind}|${normalizeHandle(event.user)}|${amount}`;
+}
+
+// Same eventId (one chat row seen by Studio and the live page, or one API item) is always a
+// duplicate. An API event and a chat event with the same signature are one event, but each
+// copy pairs with at most one from the other source, so two real $5 rants from the same
+// viewer both alert.
+function isDuplicateLiveEvent(event, now) {
+    while (__RLO_RECENT_EVENTS.length && now - __RLO_RECENT_EVENTS[0].at > LIVE_EVENT_DEDUPE_MS) {
+        __RLO_RECENT_EVENTS.shift();
+    }
+    const sig = liveEventSignature(event);
+    const source = event.source || 'chat';
+    const eventId = event.eventId ? `${source}|${event.eventId}` : null;
+    if (eventId && __RLO_RECENT_EVENTS.some(e => e.eventId === eventId)) return sig;
+    const twin = __RLO_RECENT_EVENTS.find(e => !e.matched && e.sig === sig && e.source !== source);
+    if (twin) {
+        twin.matched = true;
+        return sig;
+    }
+    __RLO_RECENT_EVENTS.push({
+        sig,
+        source,
+        eventId,
+        at: now,
+        matched: false
+    });
+    return null;
+}
+
+async function findAlertTab() {
+    const tabs = await chrome.tabs.query({
+        url: ['https://studio.rumble.com/*', 'https://rumble.com/*']
+    });
+    const studio = tabs.filter(t => /^https:\/\/studio\.rumble\.com\//.test(t.url || ''));
+    const live = tabs.filter(t => /^https:\/\/rumble\.com\/v/i.test(t.url || ''));
+    return studio.find(t => t.active) || studio[0] || live.find(t => t.active) || live[0] || null;
+}
+
+// Extension pages (overlay.html) receive alerts even when no Rumble tab is open.
+function broadcastOverlayAlert(event) {
+    chrome.runtime.sendMessage({
+        type: 'rlo-overlay-alert',
+        event
+    }).catch(() => {});
+}
+
+async function emitLiveEvent(event) {
+    if (!event || !event.kind) return false;
+    const dup = isDuplicateLiveEvent(event, Date.now());
+    if (dup) {
+        if (__RLO_DEBUG) console.log('[LiveEvents] duplicate dropped:', dup);
+        return false;
+    }
+    if (event.kind === 'raid') {
+        try {
+            await recordInboundRaid(event);
+        } catch (e) {
+            console.warn('[RaidJournal] inbound record failed:', e?.message || e);
+        }
+    }
+    const alert = await resolveAlertRule(event);
+    if (!alert) {
+        if (__RLO_DEBUG) console.log('[LiveEvents] alert suppressed by rule/cooldown:', event.kind);
+        return false;
+    }
+    event = {
+        ...event,
+        alert
+    };
+    await AlertQueue.enqueue(event);
+    return true;
+}
+
+const LiveEventPoller = (() => {
+    let timer = null;
+    let running = false;
+    let offlineDelay = OFFLINE_POLL_MIN_MS;
+    let seen = null;
+
+    function toAmount(it) {
+        if (typeof it?.amount_dollars === 'number') return it.amount_dollars;
+        if (typeof it?.amount_cents === 'number') return it.amount_cents / 100;
+        const n = parseFloat(it?.amount_dollars);
+        return Number.isFinite(n) ? n : undefined;
+    }
+
+    function collect(apiData) {
+        const ls = Array.isArray(apiData?.livestreams) ? apiData.livestreams[0] : null;
+        const gifted = apiData?.gifted_subs?.recent_gifted || apiData?.gifted_subs?.recent_gifted_subs || [];
+        const lists = {
+            follow: (apiData?.followers?.recent_followers || []).map(it => ({
+                user: it.username,
+                at: it.followed_on
+            })),
+            subscription: (apiData?.subscribers?.recent_subscribers || []).map(it => ({
+                user: it.username || it.user,
+                at: it.subscribed_on,
+                amount: toAmount(it)
+            })),
+            gifted: gifted.map(it => ({
+                user: it.purchased_by || it.username,
+                at: it.gifted_on || it.created_on,
+                count: Number(it.total_gifts) || undefined
+            })),
+            rant: (ls?.chat?.recent_rants || []).map(it => ({
+                user: it.username,
+                at: it.created_on,
+                amount: toAmount(it),
+                text: it.text || ''
+            }))
+        };
+        const out = {};
+        Object.keys(lists).forEach(kind => {
+            out[kind] = lists[kind]
+                .filter(e => e.user)
+                .map(e => ({
+                    ...e,
+                    kind,
+                    key: `${kind}|${e.user}|${e.at || ''}|${e.amount ?? ''}`
+                }));
+        });
+        return out;
+    }
+
+    async function loadSeen() {
+        if (seen) return seen;
+        try {
+            const {
+                liveEventSeen
+            } = await chrome.storage.session.get('liveEventSeen');
+            seen = liveEventSeen && typeof liveEventSeen === 'object' ? liveEventSeen : null;
+        } catch {
+            seen = null;
+        }
+        return seen;
+    }
+
+    async function diff(apiData) {
+        const current = collect(apiData);
+        const prev = await loadSeen();
+        const next = {};
+        const events = [];
+        Object.keys(current).forEach(kind => {
+            next[kind] = current[kind].map(e => e.key);
+            if (!prev || !Array.isArray(prev[kind])) return;
+            const old = new Set(prev[kind]);
+            current[kind].filter(e => !old.has(e.key)).reverse().forEach(e => {
+                const {
+                    key,
+                    ...event
+                } = e;
+                events.push({
+                    ...event,
+                    eventId: key,
+                    source: 'api'
+                });
+            });
+        });
+        seen = next;
+        try {
+            await chrome.storage.session.set({
+                liveEventSeen: next
+            });
+        } catch {}
+        return events;
+    }
+
+    function schedule(ms) {
+        clearTimeout(timer);
+        if (!running) return;
+        timer = setTimeout(tick, ms);
+    }
+
+    async function tick() {
+        if (!running) return;
+        let isLive = false;
+        try {
+            const apiData = await fetchApiData();
+            if (!apiData) {
+                console.log('[LiveEvents] No API key; stopping poller.');
+                stop();
+                return;
+            }
+            isLive = !!apiData.livestreams?.[0]?.is_live;
+            if (isLive) {
+                const events = await diff(apiData);
+                for (const ev of events) await emitLiveEvent(ev);
+                if (events.length) console.log(`[LiveEvents] Emitted ${events.length} event(s).`);
+            } else {
+                seen = null;
+                try {
+                    await chrome.storage.session.remove('liveEventSeen');
+                } catch {}
+            }
+        } catch (e) {
+            console.warn('[LiveEvents] poll failed:', e?.message || e);
+        }
+        if (isLive) {
+            offlineDelay = OFFLINE_POLL_MIN_MS;
+            schedule(LIVE_POLL_MS);
+        } else {
+            schedule(offlineDelay);
+            offlineDelay = Math.min(OFFLINE_POLL_MAX_MS, offlineDelay * 2);
+        }
+    }
+
+    function start() {
+        if (running) return;
+        running = true;
+        offlineDelay = OFFLINE_POLL_MIN_MS;
+        console.log('[LiveEvents] Poller started.');
+        tick();
+    }
+
+    function stop() {
+        running = false;
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    return {
+        start,
+        stop,
+        isRunning: () => running
+    };
+})();
+
+async function syncLiveEventPoller() {
+    const {
+        functionStates
+    } = await chrome.storage.local.get('functionStates');
+    if (functionStates?.['enable-live-alerts']) LiveEventPoller.start();
+    else LiveEventPoller.stop();
+}
+
+chrome.alarms.create('rlo-live-poll-watchdog', {
+    periodInMinutes: 1
+});
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === 'rlo-live-poll-watchdog') syncLiveEventPoller();
+});
+syncLiveEventPoller();
+
 /* =========================
    FEATURE TOGGLES: Live update + Broadcast
 ========================= */
@@ -2190,5 +4212,8 @@ chrome.storage.onChanged.addListener(async (changes, area) => {
         if (prev['enable-hide-campaigns'] !== newVals['enable-hide-campaigns']) {
             await broadcastHideCampaigns(!!newVals['enable-hide-campaigns']);
         }
+        if (prev['enable-live-alerts'] !== newVals['enable-live-alerts']) {
+            await syncLiveEventPoller();
+        }
     } catch {}
 });
\ No newline at end of file
@@ -0,0 +1,140 @@
+/*!
+ * Rumble Live Ops - chat-log-store.js
+ * Version: v4.0.0
+ * Description: IndexedDB-backed chat log, one log per stream. Written by the background
+ *              (importScripts) from chat rows the content script reports; read by options.
+ *
+ * Core responsibilities
+ * ─────────────────────
+ * • Records
+ *   - DB 'rlo-chat-log' → store 'streams' (keyPath streamId): { streamId, streamUrl, title, firstAt, lastAt }.
+ *   - Store 'messages' (keyPath key = '<streamId>|<msgId>', index 'streamId'):
+ *     { key, streamId, msgId, user, badges: [], text, at, amount? }.
+ *
+ * • API (self.RloChatLog)
+ *   - append(stream, messages): adds new messages only (a row seen twice keeps its first time) → count added.
+ *   - listStreams(): newest first, each with its message count.
+ *   - getMessages(streamId): oldest first.
+ *   - removeStream(streamId): drops the stream and all of its messages.
+ *
+ * Author: TheRealTombi
+ * Website: https://rumble.com/TheRealTombi
+ * License: MIT
+ */
+
+self.RloChatLog = (() => {
+    const DB_NAME = 'rlo-chat-log';
+    let dbPromise = null;
+
+    function open() {
+        dbPromise ||= new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore('streams', {
+                    keyPath: 'streamId'
+                });
+                const messages = req.result.createObjectStore('messages', {
+                    keyPath: 'key'
+                });
+                messages.createIndex('streamId', 'streamId');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                dbPromise = null;
+                reject(req.error);
+            };
+        });
+        return dbPromise;
+    }
+
+    async function run(stores, mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, mode);
+            let result;
+            fn(tx, value => {
+                result = value;
+            });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    function append(stream, messages = []) {
+        const list = messages.filter(m => m && m.msgId);
+        if (!stream?.streamId || !list.length) return Promise.resolve(0);
+        return run(['streams', 'messages'], 'readwrite', (tx, done) => {
+            let added = 0;
+            const msgStore = tx.objectStore('messages');
+            list.forEach(m => {
+                const req = msgStore.add({
+                    ...m,
+                    key: `${stream.streamId}|${m.msgId}`,
+                    streamId: stream.streamId
+                });
+                req.onsuccess = () => done(++added);
+                // ConstraintError = already logged; keep the transaction going.
+                req.onerror = (e) => e.preventDefault();
+            });
+            const streams = tx.objectStore('streams');
+            const getReq = streams.get(stream.streamId);
+            getReq.onsuccess = () => {
+                const prev = getReq.result;
+                const times = list.map(m => m.at).filter(Number.isFinite);
+                streams.put({
+                    streamId: stream.streamId,
+                    streamUrl: stream.streamUrl || prev?.streamUrl || null,
+                    title: stream.title || prev?.title || '',
+                    firstAt: Math.min(prev?.firstAt ?? Infinity, ...times),
+                    lastAt: Math.max(prev?.lastAt ?? 0, ...times)
+                });
+            };
+            done(0);
+        });
+    }
+
+    function listStreams() {
+        return run(['streams', 'messages'], 'readonly', (tx, done) => {
+            const req = tx.objectStore('streams').getAll();
+            req.onsuccess = () => {
+                const streams = req.result || [];
+                const index = tx.objectStore('messages').index('streamId');
+                streams.forEach(s => {
+                    const countReq = index.count(s.streamId);
+                    countReq.onsuccess = () => {
+                        s.count = countReq.result;
+                    };
+                });
+                done(streams);
+            };
+        }).then(streams => (streams || []).sort((a, b) => b.lastAt - a.lastAt));
+    }
+
+    function getMessages(streamId) {
+        return run('messages', 'readonly', (tx, done) => {
+            const req = tx.objectStore('messages').index('streamId').getAll(streamId);
+            req.onsuccess = () => done(req.result || []);
+        }).then(messages => (messages || []).sort((a, b) => a.at - b.at));
+    }
+
+    function removeStream(streamId) {
+        return run(['streams', 'messages'], 'readwrite', (tx) => {
+            tx.objectStore('streams').delete(streamId);
+            const req = tx.objectStore('messages').index('streamId').openKeyCursor(streamId);
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor) return;
+                tx.objectStore('messages').delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+    }
+
+    return {
+        append,
+        listStreams,
+        getMessages,
+        removeStream
+    };
+})();
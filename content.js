@@ -17,6 +17,9 @@
  *
  * • Popups & modals
  *   - showCenterPopup()/closeCenterPopup(): reusable center-screen modal with title, subtitle, rows, actions.
+ *   - Raid rows are grouped by roster section (Favourites / tag / Live now) with tags + last-raided meta.
+ *   - rloRaidTargetRow(): builds raid rows from DOM nodes (scraped titles / categories as text,
+ *     thumbnails only from http(s) URLs); title/subtitle are HTML, so names go through rloEscapeHtml().
  *   - Used for raid target lists, cooldown messages, error states, etc.
  *
  * • Faux chat
@@ -26,15 +29,93 @@
  * • Chat enhancements
  *   - rloStyleRowAsYT2(): reflows chat list items into timestamped grid (YT-style).
  *   - rloObserveChatAsYT2(): mutation observer for new messages.
- *   - rloObserveChatTimestamps(): adds HH:MM:SS stamps to each message.
+ *   - rloChatRowAt(): message time from the row's own data (data-* attributes / <time datetime>);
+ *     rows arriving live fall back to arrival time, history rows without data stay unstamped.
+ *   - chatTimestampSettings.mode (storage): clock (HH:MM:SS) | relative ("2m ago") |
+ *     elapsed ("01:23:45 into stream", from rloGetStreamStart()).
+ *   - rloObserveChatTimestamps(): re-renders stamps every RLO_CHAT_TS_REFRESH_MS.
+ *   - chatHighlights (storage): moderator / vip user lists, streamer mentions, keywords and questions,
+ *     each with a colour + badge; rloApplyChatHighlight() runs per styled row (first matching rule
+ *     in CHAT_HIGHLIGHT_ORDER) and rloReapplyChatHighlights() re-runs history when rules change.
  *   - disableChatEnhancements()/revertRowStyleFromYT2(): cleanup/restore originals.
  *
- * • Clip button
- *   - ensureClipButton()/removeClipButton(): adds 🎬 Clip button to chat send row.
- *   - onClipClick(): auto-sends "!clip" into chat with 30s cooldown + popup feedback.
+ * • Chat row hub
+ *   - rloObserveChatRows(): one MutationObserver on #chat-history-list for feature handlers.
+ *   - rloOnChatRow(name, fn)/rloOffChatRow(name): register/unregister per-row handlers.
  *
- * • Sounds
- *   - playDefaultSound(kind): plays stored RAID/RANT sound selections from chrome.storage.
+ * • Chat alerts
+ *   - rloClassifyChatRow(): recognises raid notices, rants (with amount) and gifted-sub rows.
+ *   - rloObserveChatAlerts(): owner-only handler on the chat row hub; history rows are
+ *     marked seen without firing, new rows are sent to the background (chatAlertEvent).
+ *   - De-duplicated by message id (sessionStorage) so history reloads don't re-fire; rows without
+ *     an id use kind|user|amount + rloChatRowSigText() (no timestamps, badges or RLO UI).
+ *
+ * • Chat log
+ *   - rloObserveChatLog(): 'chat-log' handler on the chat row hub (enable-chat-log); each row →
+ *     { msgId, user, badges, text, at, amount? }, batched every RLO_CHAT_LOG_FLUSH_MS to the
+ *     background (chatLogAppend), which stores it per stream in IndexedDB.
+ *   - disableChatLog(): unregisters the handler and flushes what is buffered.
+ *
+ * • Chat moderation
+ *   - rloObserveChatModeration() (enable-chat-moderation): panel (#rlo-mod-panel) above
+ *     #chat-history-list with flagged messages + this stream's actions; hover toolbar per row.
+ *   - RLO_MOD_ACTIONS mute / timeout / delete drive Rumble's own message menu (rloModRunAction),
+ *     searching only the menu opened from that message's username; a step that doesn't match
+ *     fails the action (optional steps only when the menu has already closed);
+ *     every attempt is logged to modLog (storage, capped RLO_MOD_LOG_MAX) through the background
+ *     (storageLogAppend) so two tabs can't drop each other's entries.
+ *   - chatModeration (storage): highlight / flag watch lists (keywords or /regex/flags),
+ *     markFirstTime → rlo-mod-first on a user's first message this stream.
+ *
+ * • Chat command bar
+ *   - chatCommands (storage): buttons [{ id, emoji, label, text, cooldownSec, confirm }]
+ *     (default: 🎬 Clip → "!clip", 30s); toggled by enable-clips-command.
+ *   - ensureCommandBar()/removeCommandBar(): #rlo-command-bar in the chat send row.
+ *   - onCommandClick(): per-button cooldown, optional confirm popup, {title} {uptime} {streamUrl}
+ *     filled by rloRenderCommandText() (not sent if a variable is empty), then rloSendChatMessage().
+ *
+ * • Chat command responder
+ *   - chatResponder (storage): enabled, dryRun, commands [{ id, trigger, aliases, response,
+ *     permission everyone | subscribers | moderators, cooldownSec, userCooldownSec }].
+ *   - ensureChatResponder(): 'responder' handler on the chat row hub, owner pages only, in the
+ *     frame with the chat input; history rows and our own replies are ignored (rloResponderIsEcho():
+ *     our rows matching a reply sent in the last RLO_RESPONDER_ECHO_MS, ignoring emoji/whitespace).
+ *   - Permission comes from the row's badges (.chat-history--badges-wrapper); the background
+ *     (chatResponderClaim) lets one tab answer each message and enforces the cooldowns.
+ *   - Replies fill {user} {args} plus the command bar variables; dry run only writes responderLog.
+ *
+ * • Clip markers
+ *   - enable-clip-markers: every !clip sent from the command bar and every viewer !clip in our own
+ *     chat ('clip-markers' row handler) → { at, elapsedSec (rloGetStreamStart), source, user, note,
+ *     context: { before, after } } sent to the background (clipMarkerAdd) once the lines after
+ *     the marker have arrived (RLO_CLIP_CONTEXT_AFTER_MS, or on pagehide).
+ *
+ * • Chat poll
+ *   - rloObserveChatPoll() (enable-chat-poll, owner pages): #rlo-poll-panel above #chat-history-list
+ *     to start (question, 2–RLO_POLL_MAX_OPTIONS options, optional minutes) and close a poll.
+ *   - chatPoll (storage): the running poll; only the tab that started it (host) tallies votes from
+ *     the 'poll' row handler ("2", "#2" or the option text; one per user, latest wins), other tabs
+ *     and poll.html mirror it; closing from another tab sets closeRequested.
+ *   - The host refreshes hostSeenAt every RLO_POLL_HEARTBEAT_MS; after RLO_POLL_TAKEOVER_MS without
+ *     it (host tab reloaded / closed) another owner tab takes over and recounts the chat, and
+ *     any owner tab closes a poll left open past endsAt.
+ *   - #rlo-poll-bar: live result bar, kept RLO_POLL_RESULT_HOLD_MS after closing.
+ *   - rloClosePoll(): optional results message in chat + pollHistory (storage, RLO_POLL_HISTORY_MAX,
+ *     appended through the background's storageLogAppend).
+ *
+ * • Chat send helpers
+ *   - rloSendChatMessage(text): types + submits a message in this frame's chat → { ok, reason }.
+ *   - rloWaitForElement(selector, timeoutMs): polls for an element, resolves null on timeout.
+ *
+ * • Direct chat raid
+ *   - rlo-direct-raid: when this frame has a chat input, sends /raid and waits for Rumble's
+ *     pinned confirm → { status: 'confirm-shown' | 'sent' | 'failed', html?, reason? }.
+ *   - rlo-direct-raid-confirm / rlo-direct-raid-cancel: clicks Rumble's confirm/cancel.
+ *
+ * • Live alerts
+ *   - showLiveAlert(event): faux chat banner for real raid/rant/follow/sub/gifted events; their
+ *     sound plays from the background alert queue in the offscreen document.
+ *   - describeLiveEvent(): human text per event kind (used when the rule template can't be filled).
  *
  * • Campaign hiding
  *   - Persistent per-name hide across Campaigns table & Passthrough cards.
@@ -48,7 +129,39 @@
  *   - onRaidClickHandler():
  *       - Checks ownership (isCurrentPageOwned).
  *       - Validates live status / scheduled_on → shows ETA or flashes “Start Stream” button.
- *       - Fetches raid targets via bgMessage('getRaidTargets') → shows selection popup.
+ *       - Opens the raid console.
+ *
+ * • Raid console
+ *   - openRaidConsole(): shows cached targets instantly (getCachedRaidTargets) with an age
+ *     indicator + Refresh, while getRaidTargets refreshes in the background.
+ *   - startConsoleRaid(): one click on a row starts the hidden-tab /raid flow; Rumble's
+ *     confirmation (showRaidConfirmation) renders inline with a target preview.
+ *   - Preflight: failures show describeRaidReason() text; warnings (chat disabled, age-restricted,
+ *     unverifiable target) ask before resending with acknowledgeWarnings.
+ *   - loadRaidTargetDetails(): stream title, category, uptime + thumbnail per target
+ *     (getRaidTargetDetails); category chips filter the list.
+ *
+ * • Auto-raid
+ *   - autoRaid settings (storage): trigger on an end-of-stream chat phrase and/or a time;
+ *     defaults from raid-defaults.js (RloRaidDefaults, shared with background/options).
+ *   - rloStartAutoRaid(): resolves a target via the background rule, shows a cancellable
+ *     countdown, then runs raidButtonPressed with autoConfirm (once per day, claimed through the
+ *     background — raidFiringClaim — so only one owner tab counts down).
+ *
+ * • Raid train
+ *   - raidTrain settings (storage): ordered channel slots with start/end times.
+ *   - rloCheckRaidTrain(): when our slot ends, resolveRaidTrainTarget picks the next live
+ *     channel (offline ones skipped), then prompts or runs a countdown (autoExecute), once per slot
+ *     (raidFiringClaim).
+ *   - rloShowRaidCountdown()/rloAutoConfirmRaid(): shared with auto-raid.
+ *
+ * • Timed announcements
+ *   - chatAnnouncements (storage): messages posted every intervalMin minutes or after afterMessages
+ *     chat rows (mode), random (shuffled bag) or in order, with quiet hours and a paused flag.
+ *   - rloTickAnnouncements(): only while we own the page and the API says is_live; uses
+ *     rloRenderCommandText() + rloSendChatMessage(); each slot is claimed via the background
+ *     (announcementClaim) so only one tab posts it, and every post is logged to announcementLog
+ *     (capped RLO_ANNOUNCE_LOG_MAX). In messages mode our own rows are not counted.
  *
  * • Feature toggles
  *   - Function states (enable-raid-button-live, enable-followers-live, enable-chat-styling, etc.)
@@ -63,7 +176,11 @@
  *
  * • Messaging (content listener)
  *   - rlo-ping → responds with ok + href.
- *   - rlo-test-raid / rlo-test-rant → injects simulated messages + plays sounds.
+ *   - rlo-test-raid / rlo-test-rant → injects simulated messages (the queued test alert plays the sound).
+ *   - rlo-live-event → real event from the background poller → showLiveAlert().
+ *   - rlo-auto-raid-result → confirmation popup after an automatic raid.
+ *   - rlo-raid-failed → hidden tab never showed Rumble's confirm (inline in the raid console).
+ *   - showRaidConfirmation → inline in the raid console, else the standalone confirm popup.
  *   - rlo-show-demo-popup → shows arbitrary popup for testing.
  *   - rlo-hidden-campaigns-updated → triggers reload.
  *   - rlo-reset-hidden-campaigns → clears hidden names via background + reload.
@@ -112,7 +229,7 @@ function sleep(ms) {
     return new Promise(r => setTimeout(r, ms));
 }
 
-let __rloChatObs, __rloYtObs2;
+let __rloChatTsTimer, __rloYtObs2;
 
 function bgMessage(type, payload = {}, timeoutMs = 5000) {
     console.log("✅ [RLO] bgMessage →", type, payload);
@@ -153,7 +270,7 @@ function injectBaseStyles() {
         document.documentElement.setAttribute('data-rlo-page', pageKind);
     } catch {}
     const css = `
-       #raid-button,#raid-button *{color:#fff!important} #raid-button{ display:inline-flex;align-items:center;justify-content:center;gap:.571429rem; height:2.6rem;padding:.75rem;border-radius:9999px;background:rgb(var(--color-indigo,27 33 39)); font-weight:700;font-size:14px;white-space:nowrap;margin:0!important;min-width:0;width:fit-content; flex:none;box-sizing:border-box;max-width:100%; align-self:center;vertical-align:middle; } .header-user-actions button#raid-button, .flex.items-center.space-x-2.flex-wrap.justify-end button#raid-button, .shrink-0.flex.items-center.space-x-2 button#raid-button{margin-left:10px} .rlo-spinner{width:1em;height:1em;border-radius:50%;border:2px solid rgba(255,255,255,.35);border-top-color:#fff;animation:rlo-spin .8s linear infinite;display:inline-block;vertical-align:middle;margin-left:.5rem} @keyframes rlo-spin{to{transform:rotate(360deg)}} #rlo-center-overlay{position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:2147483646;display:flex;align-items:center;justify-content:center} #rlo-center-modal{width:min(560px,92vw);max-height:min(80vh,720px);overflow:auto;background:rgba(12,17,22,.98);border:1px solid #2a3440;border-radius:14px;box-shadow:0 18px 48px rgba(0,0,0,.5);color:#fff;padding:18px;font:500 14px/1.45 system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif} #rlo-center-modal h3{margin:0 0 10px;font-size:16px;line-height:1.2;font-weight:800} #rlo-center-modal .rlo-subtle{color:#9bb4d3;font-weight:600;margin-top:4px} #rlo-center-modal .rlo-row{display:flex;align-items:center;justify-content:space-between;gap:10px;padding:8px 10px;border-radius:10px;background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.07);margin-top:8px} #rlo-center-modal .rlo-live-dot{width:10px;height:10px;border-radius:50%;background:#f23160;margin-right:6px} #rlo-center-modal .rlo-col{display:flex;align-items:center;gap:8px;min-width:0} #rlo-center-modal .rlo-username{font-weight:700;overflow:hidden;text-overflow:ellipsis;white-space:nowrap} #rlo-center-modal .rlo-viewers{opacity:.9;font-weight:700} #rlo-center-modal .rlo-actions{display:flex;gap:8px;margin-top:14px;justify-content:flex-end} #rlo-center-modal button{appearance:button;border:0;border-radius:999px;cursor:pointer;font-weight:800;color:#0c1116;padding:10px 14px;background:#9bb4d3} #rlo-center-modal button.rlo-primary{background:rgb(var(--brand-500-rgb,133 199 66));color:#000} #rlo-center-modal button.rlo-ghost{background:rgba(255,255,255,.08);color:#fff;border:1px solid rgba(255,255,255,.15)} @keyframes rlo-flash{0%,100%{box-shadow:0 0 0 0 rgba(133,199,66,.8)}50%{box-shadow:0 0 0 8px rgba(133,199,66,0)}} .rlo-flash{animation:rlo-flash 1.2s ease-out 4;outline:2px solid rgba(133,199,66,.8);outline-offset:2px} .rlo-faux-chat-row{display:flex;align-items:center;gap:.5rem;padding:.5rem .75rem;border-bottom:1px solid rgba(255,255,255,.06);font-size:14px;line-height:1.35} .rlo-faux-badge{display:inline-flex;align-items:center;justify-content:center;height:24px;min-width:24px;padding:0 .5rem;border-radius:9999px;font-weight:700;background:rgba(110,92,224,.25);border:1px solid rgba(110,92,224,.45)} .rlo-faux-user{font-weight:700}.rlo-faux-text{opacity:.95} :root[data-rlo-page="studio"] body #raid-button{ height: 48px !important; min-height: 48px !important; min-width: 48px !important; line-height: 1 !important; padding: 0 1rem !important; gap: .4rem !important; border-radius: 9999px !important; } :root[data-rlo-page="studio"] .header-user-actions button#raid-button, :root[data-rlo-page="studio"] .flex.items-center.space-x-2.flex-wrap.justify-end button#raid-button, :root[data-rlo-page="studio"] .shrink-0.flex.items-center.space-x-2 button#raid-button{ margin-left: 12px !important; } :root[data-rlo-page="studio"] body #raid-button:hover{ filter: brightness(1.16); } :root[data-rlo-page="live"] body #raid-button{ height: 2.6rem !important; min-height: 2.6rem !important; line-height: 1 !important; padding: 0 .75rem !important; gap: .5rem !important; border-radius: 9999px !important; } :root[data-rlo-page="live"] .header-user-actions button#raid-button, :root[data-rlo-page="live"] .flex.items-center.space-x-2.flex-wrap.justify-end button#raid-button, :root[data-rlo-page="live"] .shrink-0.flex.items-center.space-x-2 button#raid-button{ margin-left: 10px !important; } :root[data-rlo-page="live"] body #raid-button:hover{ filter: brightness(1.08); } #rlo-center-modal.rlo-compact{ width: min(420px, 92vw); max-height: none; padding: 14px 16px; } #rlo-center-modal.rlo-compact h3{ margin-bottom: 6px; } #rlo-center-modal.rlo-compact .rlo-subtle{ margin-top: 2px; } #rlo-center-modal.rlo-compact #rlo-center-body:empty{ display: none; } #rlo-clip-btn, #rlo-clip-btn * { color: #fff; } #rlo-clip-btn { display: inline-flex; align-items: center; justify-content: center; height: 2.6rem; min-height: 2.6rem; padding: .35rem .75rem; gap: .5rem; border-radius: 9999px; cursor: pointer; background: rgb(var(--color-indigo, 27 33 39)); border: 1px solid rgba(255,255,255,.08); font-weight: 800; font-size: 14px; white-space: nowrap; box-sizing: border-box; flex: 0 0 auto; margin-left: .5rem; } #rlo-clip-btn:hover { filter: brightness(1.08); } #rlo-clip-btn[aria-busy="true"] { opacity:.7; pointer-events:none; } li.js-chat-history-item.rlo-yt2 { display: grid !important; grid-template-columns: auto 1fr auto; grid-template-areas: "rlo-ava rlo-head rlo-ts" "rlo-msg rlo-msg rlo-msg"; column-gap: 8px; row-gap: 2px; align-items: center; padding: 4px 0; margin-left: 6px; } .rlo-yt2 .rlo-yt-ava { grid-area: rlo-ava; display: flex; align-items: center; gap: 6px; } .rlo-yt2 .rlo-yt-ava img.chat-history--user-avatar { width: 24px !important; height: 24px !important; border-radius: 50% !important; object-fit: cover; margin-left: 6px; } .rlo-yt2 .rlo-yt-head { grid-area: rlo-head; display: inline-flex; align-items: center; gap: 4px; min-width: 0; } .rlo-yt2 .rlo-yt-head .chat-history--username { font-weight: 700; white-space: nowrap; text-overflow: ellipsis; overflow: hidden; } .rlo-yt2 .rlo-yt-head .chat-history--badges-wrapper { display: inline-flex !important; align-items: center; gap: 4px; } .rlo-yt2 .rlo-yt-head .chat-history--badges-wrapper img, .rlo-yt2 .rlo-yt-head .chat-history--badges-wrapper svg { height: 16px; width: auto; } .rlo-yt2 .rlo-yt-ts { grid-area: rlo-ts; font-size: 11px; line-height: 1; color: rgba(255,255,255,0.7); white-space: nowrap; } .rlo-yt2 .rlo-yt-msg { grid-area: rlo-msg; word-wrap: break-word; overflow-wrap: anywhere; font-size: 14px; line-height: 1.4; text-align: left; margin-left: 6px; } .rlo-hide-chip { display:inline-flex; align-items:center; gap:6px; padding:4px 8px; border-radius:9999px; font-size:12px; font-weight:700; background:rgba(255,255,255,.06); border:1px solid rgba(255,255,255,.12); color:#fff; cursor:pointer; user-select:none; } .rlo-hide-chip input { accent-color:#85c742; } .rlo-reset-ads-btn{ display:inline-flex; align-items:center; gap:8px; padding:6px 10px; border-radius:9999px; border:1px solid rgba(255,255,255,.15); background:rgba(255,255,255,.08); color:#fff; font-weight:800; cursor:pointer; }
+       #raid-button,#raid-button *{color:#fff!important} #raid-button{ display:inline-flex;align-items:center;justify-content:center;gap:.571429rem; height:2.6rem;padding:.75rem;border-radius:9999px;background:rgb(var(--color-indigo,27 33 39)); font-weight:700;font-size:14px;white-space:nowrap;margin:0!important;min-width:0;width:fit-content; flex:none;box-sizing:border-box;max-width:100%; align-self:center;vertical-align:middle; } .header-user-actions button#raid-button, .flex.items-center.space-x-2.flex-wrap.justify-end button#raid-button, .shrink-0.flex.items-center.space-x-2 button#raid-button{margin-left:10px} .rlo-spinner{width:1em;height:1em;border-radius:50%;border:2px solid rgba(255,255,255,.35);border-top-color:#fff;animation:rlo-spin .8s linear infinite;display:inline-block;vertical-align:middle;margin-left:.5rem} @keyframes rlo-spin{to{transform:rotate(360deg)}} #rlo-center-overlay{position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:2147483646;display:flex;align-items:center;justify-content:center} #rlo-center-modal{width:min(560px,92vw);max-height:min(80vh,720px);overflow:auto;background:rgba(12,17,22,.98);border:1px solid #2a3440;border-radius:14px;box-shadow:0 18px 48px rgba(0,0,0,.5);color:#fff;padding:18px;font:500 14px/1.45 system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif} #rlo-center-modal h3{margin:0 0 10px;font-size:16px;line-height:1.2;font-weight:800} #rlo-center-modal .rlo-subtle{color:#9bb4d3;font-weight:600;margin-top:4px} #rlo-center-modal .rlo-row{display:flex;align-items:center;justify-content:space-between;gap:10px;padding:8px 10px;border-radius:10px;background:rgba(255,255,255,.03);border:1px solid rgba(255,255,255,.07);margin-top:8px} #rlo-center-modal .rlo-live-dot{width:10px;height:10px;border-radius:50%;background:#f23160;margin-right:6px} #rlo-center-modal .rlo-col{display:flex;align-items:center;gap:8px;min-width:0} #rlo-center-modal .rlo-username{font-weight:700;overflow:hidden;text-overflow:ellipsis;white-space:nowrap} #rlo-center-modal .rlo-viewers{opacity:.9;font-weight:700} #rlo-center-modal .rlo-actions{display:flex;gap:8px;margin-top:14px;justify-content:flex-end} #rlo-center-modal button{appearance:button;border:0;border-radius:999px;cursor:pointer;font-weight:800;color:#0c1116;padding:10px 14px;background:#9bb4d3} #rlo-center-modal button.rlo-primary{background:rgb(var(--brand-500-rgb,133 199 66));color:#000} #rlo-center-modal button.rlo-ghost{background:rgba(255,255,255,.08);color:#fff;border:1px solid rgba(255,255,255,.15)} @keyframes rlo-flash{0%,100%{box-shadow:0 0 0 0 rgba(133,199,66,.8)}50%{box-shadow:0 0 0 8px rgba(133,199,66,0)}} .rlo-flash{animation:rlo-flash 1.2s ease-out 4;outline:2px solid rgba(133,199,66,.8);outline-offset:2px} .rlo-faux-chat-row{display:flex;align-items:center;gap:.5rem;padding:.5rem .75rem;border-bottom:1px solid rgba(255,255,255,.06);font-size:14px;line-height:1.35} .rlo-faux-badge{display:inline-flex;align-items:center;justify-content:center;height:24px;min-width:24px;padding:0 .5rem;border-radius:9999px;font-weight:700;background:rgba(110,92,224,.25);border:1px solid rgba(110,92,224,.45)} .rlo-faux-user{font-weight:700}.rlo-faux-text{opacity:.95} :root[data-rlo-page="studio"] body #raid-button{ height: 48px !important; min-height: 48px !important; min-width: 48px !important; line-height: 1 !important; padding: 0 1rem !important; gap: .4rem !important; border-radius: 9999px !important; } :root[data-rlo-page="studio"] .header-user-actions button#raid-button, :root[data-rlo-page="studio"] .flex.items-center.space-x-2.flex-wrap.justify-end button#raid-button, :root[data-rlo-page="studio"] .shrink-0.flex.items-center.space-x-2 button#raid-button{ margin-left: 12px !important; } :root[data-rlo-page="studio"] body #raid-button:hover{ filter: brightness(1.16); } :root[data-rlo-page="live"] body #raid-button{ height: 2.6rem !important; min-height: 2.6rem !important; line-height: 1 !important; padding: 0 .75rem !important; gap: .5rem !important; border-radius: 9999px !important; } :root[data-rlo-page="live"] .header-user-actions button#raid-button, :root[data-rlo-page="live"] .flex.items-center.space-x-2.flex-wrap.justify-end button#raid-button, :root[data-rlo-page="live"] .shrink-0.flex.items-center.space-x-2 button#raid-button{ margin-left: 10px !important; } :root[data-rlo-page="live"] body #raid-button:hover{ filter: brightness(1.08); } #rlo-center-modal.rlo-compact{ width: min(420px, 92vw); max-height: none; padding: 14px 16px; } #rlo-center-modal.rlo-compact h3{ margin-bottom: 6px; } #rlo-center-modal.rlo-compact .rlo-subtle{ margin-top: 2px; } #rlo-center-modal.rlo-compact #rlo-center-body:empty{ display: none; } .rlo-cmd-btn, .rlo-cmd-btn * { color: #fff; } #rlo-command-bar { display: inline-flex; align-items: center; } .rlo-cmd-btn { display: inline-flex; align-items: center; justify-content: center; height: 2.6rem; min-height: 2.6rem; padding: .35rem .75rem; gap: .5rem; border-radius: 9999px; cursor: pointer; background: rgb(var(--color-indigo, 27 33 39)); border: 1px solid rgba(255,255,255,.08); font-weight: 800; font-size: 14px; white-space: nowrap; box-sizing: border-box; flex: 0 0 auto; margin-left: .5rem; } .rlo-cmd-btn:hover { filter: brightness(1.08); } .rlo-cmd-btn[aria-busy="true"] { opacity:.7; pointer-events:none; } li.js-chat-history-item.rlo-yt2 { display: grid !important; grid-template-columns: auto 1fr auto; grid-template-areas: "rlo-ava rlo-head rlo-ts" "rlo-msg rlo-msg rlo-msg"; column-gap: 8px; row-gap: 2px; align-items: center; padding: 4px 0; margin-left: 6px; } .rlo-yt2 .rlo-yt-ava { grid-area: rlo-ava; display: flex; align-items: center; gap: 6px; } .rlo-yt2 .rlo-yt-ava img.chat-history--user-avatar { width: 24px !important; height: 24px !important; border-radius: 50% !important; object-fit: cover; margin-left: 6px; } .rlo-yt2 .rlo-yt-head { grid-area: rlo-head; display: inline-flex; align-items: center; gap: 4px; min-width: 0; } .rlo-yt2 .rlo-yt-head .chat-history--username { font-weight: 700; white-space: nowrap; text-overflow: ellipsis; overflow: hidden; } .rlo-yt2 .rlo-yt-head .chat-history--badges-wrapper { display: inline-flex !important; align-items: center; gap: 4px; } .rlo-yt2 .rlo-yt-head .chat-history--badges-wrapper img, .rlo-yt2 .rlo-yt-head .chat-history--badges-wrapper svg { height: 16px; width: auto; } .rlo-yt2 .rlo-yt-ts { grid-area: rlo-ts; font-size: 11px; line-height: 1; color: rgba(255,255,255,0.7); white-space: nowrap; } .rlo-yt2 .rlo-yt-msg { grid-area: rlo-msg; word-wrap: break-word; overflow-wrap: anywhere; font-size: 14px; line-height: 1.4; text-align: left; margin-left: 6px; } .rlo-hide-chip { display:inline-flex; align-items:center; gap:6px; padding:4px 8px; border-radius:9999px; font-size:12px; font-weight:700; background:rgba(255,255,255,.06); border:1px solid rgba(255,255,255,.12); color:#fff; cursor:pointer; user-select:none; } .rlo-hide-chip input { accent-color:#85c742; } .rlo-reset-ads-btn{ display:inline-flex; align-items:center; gap:8px; padding:6px 10px; border-radius:9999px; border:1px solid rgba(255,255,255,.15); background:rgba(255,255,255,.08); color:#fff; font-weight:800; cursor:pointer; }
     #rlo-center-modal .rlo-row { display: grid; grid-template-columns: 40px 1fr auto; gap: 12px; align-items: center; padding: 8px 10px; border-radius: 10px; background: rgba(255,255,255,.03); border: 1px solid rgba(255,255,255,.07); margin-top: 8px; }
     #rlo-center-modal .rlo-avatar-icon { width: 36px; height: 36px; border-radius: 50%; background-size: cover; background-color: #333; display: flex; align-items: center; justify-content: center; overflow: hidden; }
     #rlo-center-modal .rlo-username-viewers { display: flex; flex-direction: column; align-items: flex-start; min-width: 0; }
@@ -164,6 +281,26 @@ function injectBaseStyles() {
     #rlo-center-modal .rlo-raid-link-btn:hover { filter: brightness(1.1); }
     .rlo-hide-chip { display:inline-flex; align-items:center; gap:6px; padding:4px 8px; border-radius:9999px; font-size:12px; font-weight:700; background:rgba(255,255,255,.06); border:1px solid rgba(255,255,255,.12); color:#fff; cursor:pointer; user-select:none; }
     .rlo-hide-chip input { accent-color:#85c742; }
+    #rlo-center-modal .rlo-section-head { margin-top: 14px; font-size: 12px; font-weight: 800; letter-spacing: .06em; text-transform: uppercase; color: #9bb4d3; }
+    #rlo-center-modal .rlo-row-meta { display: inline-flex; flex-wrap: wrap; align-items: center; gap: 6px; margin-top: 2px; font-size: 12px; opacity: .85; }
+    #rlo-center-modal .rlo-tag { padding: 1px 8px; border-radius: 9999px; background: rgba(110,92,224,.25); border: 1px solid rgba(110,92,224,.45); font-weight: 700; }
+    #rlo-center-modal .rlo-last-raided { color: #9bb4d3; }
+    #rlo-center-modal .rlo-row-clickable { cursor: pointer; }
+    #rlo-center-modal .rlo-row-clickable:hover { background: rgba(133,199,66,.08); border-color: rgba(133,199,66,.35); }
+    #rlo-center-modal .rlo-username-viewers { max-width: 100%; }
+    #rlo-center-modal .rlo-stream-line { display: flex; align-items: center; gap: 8px; margin-top: 4px; min-width: 0; max-width: 100%; }
+    #rlo-center-modal .rlo-stream-thumb { width: 64px; height: 36px; flex: none; border-radius: 6px; object-fit: cover; background: #333; }
+    #rlo-center-modal .rlo-stream-title { font-size: 12px; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; min-width: 0; }
+    #rlo-center-modal .rlo-category { padding: 1px 8px; border-radius: 9999px; background: rgba(133,199,66,.18); border: 1px solid rgba(133,199,66,.45); font-weight: 700; }
+    #rlo-center-modal .rlo-filter-bar { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 10px; }
+    #rlo-center-modal .rlo-filter-bar button { padding: 4px 10px; font-size: 12px; background: rgba(255,255,255,.08); color: #fff; border: 1px solid rgba(255,255,255,.15); }
+    #rlo-center-modal .rlo-filter-bar button.rlo-active { background: #85c742; color: #000; border-color: #85c742; }
+    li.js-chat-history-item.rlo-hl { background: color-mix(in srgb, var(--rlo-hl-color) 16%, transparent) !important; box-shadow: inset 3px 0 0 var(--rlo-hl-color); }
+    .rlo-hl-badge { display: inline-flex; align-items: center; padding: 0 6px; border-radius: 9999px; font-size: 10px; font-weight: 800; line-height: 16px; color: #000; background: var(--rlo-hl-color); white-space: nowrap; }
+    #rlo-center-modal .rlo-cache-age { display: block; margin-top: 2px; font-size: 12px; font-weight: 600; opacity: .75; }
+    #rlo-center-modal .rlo-raid-confirm-host { margin-top: 12px; padding: 10px; border-radius: 10px; background: rgba(255,255,255,.03); border: 1px solid rgba(255,255,255,.07); }
+    #rlo-center-modal .rlo-raid-confirm-host [data-js="raid_confirm_confirm_button"],
+    #rlo-center-modal .rlo-raid-confirm-host [data-js="raid_confirm_cancel_button"] { display: none !important; }
        #rlo-center-modal .rlo-avatar-icon img {
            width: 100%;
            height: 100%;
@@ -179,15 +316,115 @@ function injectBaseStyles() {
 /* =========================
    Popup helpers (UPDATED)
 ========================= */
+function formatAgo(ts) {
+    const secs = Math.max(0, Math.round((Date.now() - Number(ts)) / 1000));
+    if (secs < 60) return 'just now';
+    const mins = Math.round(secs / 60);
+    if (mins < 60) return `${mins}m ago`;
+    const hrs = Math.round(mins / 60);
+    if (hrs < 48) return `${hrs}h ago`;
+    return `${Math.round(hrs / 24)}d ago`;
+}
+
+function formatUptime(startedAt) {
+    const started = Date.parse(startedAt);
+    if (!Number.isFinite(started)) return '';
+    const mins = Math.max(0, Math.round((Date.now() - started) / 60000));
+    if (mins < 60) return `live ${mins}m`;
+    return `live ${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
 function closeCenterPopup() {
     document.getElementById('rlo-center-overlay')?.remove();
 }
 
+function rloEscapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[ch]);
+}
+
+function rloHttpUrl(value) {
+    try {
+        const url = new URL(String(value || ''), location.href);
+        return /^https?:$/.test(url.protocol) ? url.href : '';
+    } catch {
+        return '';
+    }
+}
+
+// Raid target rows show titles, categories and thumbnails scraped from other channels' pages,
+// so every value goes in as text and image sources must be http(s).
+function rloRaidTargetRow(r, raidUrl = null) {
+    const el = (tag, className = '', text = null) => {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text != null) node.textContent = text;
+        return node;
+    };
+    const img = (className, src, alt) => {
+        const node = el('img', className);
+        node.src = src;
+        node.alt = alt;
+        return node;
+    };
+    const row = el('div', 'rlo-row');
+    const avatar = el('div', 'rlo-avatar-icon');
+    const avatarUrl = rloHttpUrl(r.avatarUrl);
+    if (avatarUrl) avatar.appendChild(img('', avatarUrl, `${r.username}'s avatar`));
+
+    const info = el('div', 'rlo-username-viewers');
+    const name = el('span', 'rlo-username', `${r.favorite ? '⭐ ' : ''}${r.username || ''}`);
+    name.title = r.username || '';
+    info.appendChild(name);
+    const uptime = r.startedAt ? formatUptime(r.startedAt) : '';
+    const hasViewers = typeof r.viewers === 'number';
+    if (hasViewers || uptime) {
+        const viewers = el('span', 'rlo-viewers-inline');
+        if (hasViewers) viewers.append(el('i', 'rlo-live-dot'), ` ${r.viewers} watching`);
+        if (uptime) viewers.append(`${hasViewers ? ' • ' : ''}${uptime}`);
+        info.appendChild(viewers);
+    }
+    const thumbnail = rloHttpUrl(r.thumbnail);
+    if (r.streamTitle || thumbnail) {
+        const line = el('span', 'rlo-stream-line');
+        if (thumbnail) line.appendChild(img('rlo-stream-thumb', thumbnail, ''));
+        const title = el('span', 'rlo-stream-title', r.streamTitle || '');
+        title.title = r.streamTitle || '';
+        line.appendChild(title);
+        info.appendChild(line);
+    }
+    const meta = [
+        r.category ? el('span', 'rlo-category', r.category) : null,
+        ...(r.tags || []).map(tag => el('span', 'rlo-tag', tag)),
+        r.lastRaidedAt ? el('span', 'rlo-last-raided', `raided ${formatAgo(r.lastRaidedAt)}`) : null
+    ].filter(Boolean);
+    if (meta.length) {
+        const metaLine = el('span', 'rlo-row-meta');
+        metaLine.append(...meta);
+        info.appendChild(metaLine);
+    }
+
+    const actions = el('div');
+    if (raidUrl) {
+        const btn = el('button', 'rlo-raid-link-btn', 'Raid');
+        btn.dataset.url = raidUrl;
+        actions.appendChild(btn);
+    }
+    row.append(avatar, info, actions);
+    return row;
+}
+
 function showCenterPopup({
     title = 'Status',
     subtitle = '',
     rows = [],
-    actions = []
+    actions = [],
+    onRaid = null
 } = {}) {
     closeCenterPopup();
     const overlay = document.createElement('div');
@@ -201,35 +438,47 @@ function showCenterPopup({
     document.documentElement.appendChild(overlay);
     const body = modal.querySelector('#rlo-center-body');
 
+    let lastSection = null;
     (rows || []).forEach(r => {
-        const row = document.createElement('div');
-        row.className = 'rlo-row';
-        const avatarContent = r.avatarUrl ? `<img src="${r.avatarUrl}" alt="${r.username}'s avatar" />` : '';
+        if (r.section && r.section !== lastSection) {
+            lastSection = r.section;
+            const head = document.createElement('div');
+            head.className = 'rlo-section-head';
+            head.textContent = r.section;
+            body.appendChild(head);
+        }
         const raidUrl = r.url.startsWith('http') ? r.url : `https://rumble.com${r.url}`;
-
-        row.innerHTML = `
-      <div class="rlo-avatar-icon">${avatarContent}</div>
-      <div class="rlo-username-viewers">
-        <span class="rlo-username" title="${r.username}">${r.username}</span>
-        ${typeof r.viewers === 'number' ? `<span class="rlo-viewers-inline"><i class="rlo-live-dot"></i> ${r.viewers} watching</span>` : ''}
-      </div>
-      <div><button data-url="${raidUrl}" class="rlo-raid-link-btn">Raid</button></div>
-    `;
+        const row = rloRaidTargetRow(r, raidUrl);
+        if (onRaid) {
+            row.classList.add('rlo-row-clickable');
+            row.addEventListener('click', (e) => {
+                e.preventDefault();
+                onRaid(raidUrl, r);
+            });
+        }
         body.appendChild(row);
     });
 
-    modal.querySelectorAll('.rlo-raid-link-btn').forEach(button => {
-        button.addEventListener('click', (e) => {
-            e.preventDefault();
-            const targetUrl = e.target.getAttribute('data-url');
-            if (targetUrl) {
-                bgMessage('raidButtonPressed', {
-                    targetUrl
-                });
-                closeCenterPopup();
-            }
+    if (!onRaid) {
+        modal.querySelectorAll('.rlo-raid-link-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const targetUrl = e.target.getAttribute('data-url');
+                if (targetUrl) {
+                    bgMessage('raidButtonPressed', {
+                        targetUrl,
+                        acknowledgeWarnings: true
+                    }, 30000).then(res => {
+                        if (res && !res.ok) showCenterPopup({
+                            title: 'Raid Failed',
+                            subtitle: describeRaidReason(res.reason || res.error)
+                        });
+                    });
+                    closeCenterPopup();
+                }
+            });
         });
-    });
+    }
 
     const actWrap = modal.querySelector('.rlo-actions');
     const addBtn = (label, cls, onClick) => {
@@ -258,6 +507,14 @@ function findChatHostForSimulation() {
     return document.querySelector('[class*="chat"] [class*="scroll"], .chat-message-list, .chat__message-list') || document.body;
 }
 
+const FAUX_BADGE_LABELS = {
+    raid: 'RAID',
+    rant: 'RANT',
+    follow: 'FOLLOW',
+    subscription: 'SUB',
+    gifted: 'GIFTED'
+};
+
 function renderFauxRow({
     kind,
     user,
@@ -268,7 +525,7 @@ function renderFauxRow({
     row.style.cssText = 'display:flex;align-items:center;gap:.5rem;padding:.5rem .75rem;border-bottom:1px solid rgba(255,255,255,0.06);font-size:14px;line-height:1.35';
     const badge = document.createElement('span');
     badge.className = 'rlo-faux-badge';
-    badge.textContent = (kind === 'raid' ? 'RAID' : 'RANT');
+    badge.textContent = FAUX_BADGE_LABELS[kind] || 'RANT';
     badge.style.cssText = 'display:inline-flex;align-items:center;justify-content:center;height:24px;min-width:24px;padding:0 .5rem;border-radius:9999px;font-weight:700;background:rgba(110,92,224,.25);border:1px solid rgba(110,92,224,.45)';
     const u = document.createElement('span');
     u.className = 'rlo-faux-user';
@@ -299,7 +556,11 @@ function injectSimulatedMessage(kind = 'raid', user = 'Awesome Raider', extra =
         wrap.style.width = '100%';
         host.appendChild(wrap);
     }
-    const text = kind === 'raid' ? `${user} has raided the stream!` : `${user} ${extra || 'sent a rant!'}`;
+    const text = kind === 'raid' ? `${user} ${extra || 'has raided the stream!'}` :
+        kind === 'follow' ? `${user} ${extra || 'just followed!'}` :
+        kind === 'subscription' ? `${user} ${extra || 'just subscribed!'}` :
+        kind === 'gifted' ? `${user} ${extra || 'gifted subs!'}` :
+        `${user} ${extra || 'sent a rant!'}`;
     wrap.appendChild(renderFauxRow({
         kind,
         user,
@@ -321,6 +582,7 @@ function revertRowStyleFromYT2(li) {
         li.innerHTML = li.dataset.rloOriginalHTML;
     }
 
+    rloClearChatHighlight(li);
     li.classList.remove('rlo-yt2');
     delete li.dataset.rloModified;
     delete li.dataset.rloStamped;
@@ -328,10 +590,8 @@ function revertRowStyleFromYT2(li) {
 }
 
 function disableChatEnhancements() {
-    if (__rloChatObs) {
-        __rloChatObs.disconnect();
-        __rloChatObs = null;
-    }
+    clearInterval(__rloChatTsTimer);
+    __rloChatTsTimer = null;
     if (__rloYtObs2) {
         __rloYtObs2.disconnect();
         __rloYtObs2 = null;
@@ -347,13 +607,120 @@ function disableChatEnhancements() {
     console.log("✅ [RLO] Chat enhancements disabled and layout restored.");
 }
 
-function rloNowHHMMSS() {
-    const d = new Date(),
+const CHAT_TIMESTAMP_DEFAULTS = {
+    mode: 'clock'
+};
+const RLO_CHAT_TS_REFRESH_MS = 15000;
+let chatTimestampSettings = {
+    ...CHAT_TIMESTAMP_DEFAULTS
+};
+let __rloStreamStart = {
+    href: null,
+    promise: null
+};
+
+function rloClockHHMMSS(at) {
+    const d = new Date(at),
         pad = n => String(n).padStart(2, '0');
     return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
 }
 
-function rloStyleRowAsYT2(li) {
+function rloDurationHHMMSS(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000)),
+        pad = n => String(n).padStart(2, '0');
+    return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+function rloParseTimeValue(value) {
+    if (value == null || value === '') return null;
+    const str = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(str)) {
+        const n = Number(str);
+        return n < 1e12 ? n * 1000 : n; // epoch seconds or ms
+    }
+    const parsed = Date.parse(str);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+// The message's own time from Rumble's markup (data attributes / <time datetime>), else null.
+function rloChatRowTime(li) {
+    const attrs = ['data-created-on', 'data-created-at', 'data-timestamp', 'data-time'];
+    for (const a of attrs) {
+        const at = rloParseTimeValue(li.getAttribute(a));
+        if (at) return at;
+    }
+    const timeEl = li.querySelector('time[datetime], [data-timestamp]');
+    return rloParseTimeValue(timeEl?.getAttribute('datetime') || timeEl?.getAttribute('data-timestamp'));
+}
+
+// Resolved once per row and kept on the <li> (the layout rewrite drops inner <time> elements).
+// Rows arriving live fall back to their arrival time; history rows without data stay unstamped
+// (null). Only a literal `true` counts as live, so a forEach index passed through can't stamp
+// backlog rows with the current time.
+function rloChatRowAt(li, isNew = false) {
+    if (li.dataset.rloAt !== undefined) return Number(li.dataset.rloAt) || null;
+    const at = rloChatRowTime(li) ?? (isNew === true ? Date.now() : null);
+    li.dataset.rloAt = at ?? '';
+    return at;
+}
+
+// Stream start for "elapsed" mode: the page's BroadcastEvent JSON-LD, else our own livestream (API).
+function rloGetStreamStart() {
+    if (__rloStreamStart.href === location.href) return __rloStreamStart.promise;
+    __rloStreamStart = {
+        href: location.href,
+        promise: (async () => {
+            for (const el of document.querySelectorAll('script[type="application/ld+json"]')) {
+                try {
+                    const items = [].concat(JSON.parse(el.textContent || 'null') || []);
+                    for (const it of items) {
+                        const at = rloParseTimeValue(it?.publication?.startDate);
+                        if (at) return at;
+                    }
+                } catch {}
+            }
+            if (!(await isCurrentPageOwnedCached())) return null;
+            const apiRes = await bgMessage('getApiData', {}, 5000);
+            const ls = Array.isArray(apiRes?.data?.livestreams) ? apiRes.data.livestreams[0] : null;
+            return ls?.is_live ? rloParseTimeValue(ls.created_on || ls.started_on) : null;
+        })()
+    };
+    return __rloStreamStart.promise;
+}
+
+function rloFormatChatTime(at, streamStart = null) {
+    if (!at) return '';
+    if (chatTimestampSettings.mode === 'relative') return formatAgo(at);
+    if (chatTimestampSettings.mode === 'elapsed' && streamStart && at >= streamStart) {
+        return `${rloDurationHHMMSS(at - streamStart)} into stream`;
+    }
+    return rloClockHHMMSS(at);
+}
+
+function rloStampRow(li, streamStart = null) {
+    const ts = li.querySelector('.rlo-yt-ts');
+    if (!ts) return;
+    const at = Number(li.dataset.rloAt) || null;
+    ts.textContent = rloFormatChatTime(at, streamStart);
+    ts.title = at ? new Date(at).toLocaleString() : 'Time unknown';
+}
+
+async function rloRefreshChatTimestamps() {
+    const streamStart = chatTimestampSettings.mode === 'elapsed' ? await rloGetStreamStart() : null;
+    document.querySelectorAll('li.js-chat-history-item.rlo-yt2').forEach(li => rloStampRow(li, streamStart));
+}
+
+async function loadChatTimestampSettings() {
+    const {
+        chatTimestampSettings: stored
+    } = await chrome.storage.local.get('chatTimestampSettings');
+    chatTimestampSettings = {
+        ...CHAT_TIMESTAMP_DEFAULTS,
+        ...(stored || {})
+    };
+}
+
+function rloStyleRowAsYT2(li, isNew = false) {
     if (!li || li.dataset.rloModified) return;
 
     const msgWrap = li.querySelector('.chat-history--message-wrapper');
@@ -382,7 +749,7 @@ function rloStyleRowAsYT2(li) {
     if (nameBtn) head.appendChild(nameBtn);
     if (badges) head.appendChild(badges);
     msgHost.appendChild(msg);
-    ts.textContent = rloNowHHMMSS();
+    rloChatRowAt(li, isNew);
 
     li.innerHTML = '';
     li.appendChild(ava);
@@ -392,21 +759,116 @@ function rloStyleRowAsYT2(li) {
 
     li.classList.add('rlo-yt2');
     li.dataset.rloStamped = '1';
+    rloApplyChatHighlight(li);
+    if (chatTimestampSettings.mode === 'elapsed') rloGetStreamStart().then(start => rloStampRow(li, start));
+    else rloStampRow(li);
+}
+
+
+/* =========================
+   Chat highlights (rules applied on top of the rlo-yt2 layout)
+========================= */
+const CHAT_HIGHLIGHT_DEFAULTS = {
+    moderator: {
+        enabled: false,
+        color: '#4fc3f7',
+        badge: 'MOD',
+        users: []
+    },
+    vip: {
+        enabled: false,
+        color: '#ffd54f',
+        badge: 'VIP',
+        users: []
+    },
+    mention: {
+        enabled: true,
+        color: '#85c742',
+        badge: '@ME'
+    },
+    keyword: {
+        enabled: false,
+        color: '#ff8a65',
+        badge: '',
+        words: []
+    },
+    question: {
+        enabled: false,
+        color: '#ba68c8',
+        badge: '?'
+    }
+};
+// Order = priority: a row gets the first rule that matches.
+const CHAT_HIGHLIGHT_ORDER = ['moderator', 'vip', 'mention', 'keyword', 'question'];
+let chatHighlightSettings = structuredClone(CHAT_HIGHLIGHT_DEFAULTS);
+
+async function loadChatHighlightSettings() {
+    const {
+        chatHighlights
+    } = await chrome.storage.local.get('chatHighlights');
+    chatHighlightSettings = {};
+    CHAT_HIGHLIGHT_ORDER.forEach(kind => {
+        chatHighlightSettings[kind] = {
+            ...CHAT_HIGHLIGHT_DEFAULTS[kind],
+            ...(chatHighlights?.[kind] || {})
+        };
+    });
+    if (chatHighlightSettings.mention.enabled && !__rloOwnUsername) {
+        getOwnUsernameCached().then(name => name && rloReapplyChatHighlights());
+    }
+}
+
+function rloChatHighlightRule(li) {
+    const user = normName(rloChatRowUser(li)).replace(/^@/, '');
+    const text = (li.querySelector('.rlo-yt-msg')?.textContent || '').replace(/\s+/g, ' ').trim();
+    const inList = list => (list || []).some(u => normName(u).replace(/^@/, '') === user);
+    const tests = {
+        moderator: r => inList(r.users),
+        vip: r => inList(r.users),
+        mention: () => !!__rloOwnUsername && new RegExp(`(^|[^\\w])@?${__rloOwnUsername.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text),
+        keyword: r => (r.words || []).some(w => w && text.toLowerCase().includes(String(w).toLowerCase())),
+        question: () => /\?\s*$/.test(text)
+    };
+    const kind = CHAT_HIGHLIGHT_ORDER.find(k => chatHighlightSettings[k]?.enabled && user && tests[k](chatHighlightSettings[k]));
+    return kind ? chatHighlightSettings[kind] : null;
+}
+
+function rloClearChatHighlight(li) {
+    li.classList.remove('rlo-hl');
+    li.style.removeProperty('--rlo-hl-color');
+    li.querySelectorAll('.rlo-hl-badge').forEach(el => el.remove());
+}
+
+function rloApplyChatHighlight(li) {
+    rloClearChatHighlight(li);
+    const rule = rloChatHighlightRule(li);
+    if (!rule) return;
+    li.classList.add('rlo-hl');
+    li.style.setProperty('--rlo-hl-color', rule.color || '#85c742');
+    if (rule.badge) {
+        const badge = document.createElement('span');
+        badge.className = 'rlo-hl-badge';
+        badge.textContent = rule.badge;
+        li.querySelector('.rlo-yt-head')?.appendChild(badge);
+    }
 }
 
+function rloReapplyChatHighlights() {
+    document.querySelectorAll('li.js-chat-history-item.rlo-yt2').forEach(rloApplyChatHighlight);
+}
 
 function rloObserveChatAsYT2() {
     const host = document.getElementById('chat-history-list');
     if (!host) return;
 
-    host.querySelectorAll('li.js-chat-history-item:not([data-rlo-modified])').forEach(rloStyleRowAsYT2);
+    host.querySelectorAll('li.js-chat-history-item:not([data-rlo-modified])').forEach(li => rloStyleRowAsYT2(li));
 
     if (host.__rloYtObs2) return;
     const mo = new MutationObserver(muts => {
         for (const m of muts) {
             m.addedNodes.forEach(n => {
                 if (n.nodeType === 1 && n.matches?.('li.js-chat-history-item')) {
-                    rloStyleRowAsYT2(n);
+                    rloStyleRowAsYT2(n, true);
                 }
             });
         }
@@ -417,491 +879,2623 @@ function rloObserveChatAsYT2() {
     host.__rloYtObs2 = mo;
 }
 
+// Relative and elapsed labels drift, so every stamped row is re-rendered periodically.
 function rloObserveChatTimestamps() {
-    const ul = document.getElementById('chat-history-list');
-    if (!ul) return;
-    if (__rloChatObs) {
-        __rloChatObs.disconnect();
-    }
-    __rloChatObs = new MutationObserver((mutations) => {
-        for (const m of mutations) {
-            if (m.type === 'childList' && m.addedNodes?.length) {
-                m.addedNodes.forEach(n => {
-                    if (n && n.nodeType === 1 && n.matches?.('li.js-chat-history-item.rlo-yt2')) {
-                        const ts = n.querySelector('.rlo-yt-ts');
-                        if (ts) ts.textContent = rloNowHHMMSS();
+    if (__rloChatTsTimer) return;
+    __rloChatTsTimer = setInterval(rloRefreshChatTimestamps, RLO_CHAT_TS_REFRESH_MS);
+    rloRefreshChatTimestamps();
+}
+
+/* =========================
+   Chat row hub (shared observer)
+========================= */
+const __rloChatRowHandlers = new Map();
+
+function rloObserveChatRows() {
+    const host = document.getElementById('chat-history-list');
+    if (!host || host.__rloRowObs) return;
+    const mo = new MutationObserver(muts => {
+        for (const m of muts) {
+            m.addedNodes.forEach(n => {
+                if (n.nodeType !== 1 || !n.matches?.('li')) return;
+                __rloChatRowHandlers.forEach((fn, name) => {
+                    try {
+                        fn(n);
+                    } catch (e) {
+                        console.warn(`✅ [RLO] chat row handler "${name}" failed:`, e);
                     }
                 });
-            }
+            });
         }
     });
-    __rloChatObs.observe(ul, {
+    mo.observe(host, {
         childList: true
     });
+    host.__rloRowObs = mo;
+}
+
+function rloOnChatRow(name, fn) {
+    __rloChatRowHandlers.set(name, fn);
+    rloObserveChatRows();
+}
+
+function rloOffChatRow(name) {
+    __rloChatRowHandlers.delete(name);
 }
 
 /* =========================
-   Clip button (with cooldown)
+   Chat alerts (raid / rant / gifted classifier)
 ========================= */
-function findChatSendRow() {
-    return document.querySelector('.chat--rant-row') || null;
-}
+const RLO_CHAT_ALERT_SEEN_KEY = 'rlo-chat-alert-seen';
+const RLO_CHAT_ALERT_SEEN_MAX = 500;
+let __rloChatAlertSeen = null;
 
-function ensureClipButton() {
-    if (document.getElementById('rlo-clip-btn')) return true;
-    const row = findChatSendRow();
-    if (!row) return false;
-    const sendBtn = row.querySelector('.chat--send');
-    const btn = document.createElement('button');
-    btn.id = 'rlo-clip-btn';
-    btn.type = 'button';
-    btn.title = 'Send !clip';
-    btn.innerHTML = `<span>🎬 Clip</span>`;
-    if (sendBtn && sendBtn.parentElement) {
-        sendBtn.parentElement.appendChild(btn);
-    } else {
-        row.appendChild(btn);
+function rloChatAlertSeen() {
+    if (__rloChatAlertSeen) return __rloChatAlertSeen;
+    try {
+        __rloChatAlertSeen = new Set(JSON.parse(sessionStorage.getItem(RLO_CHAT_ALERT_SEEN_KEY) || '[]'));
+    } catch {
+        __rloChatAlertSeen = new Set();
     }
-    bindClipButton(btn);
+    return __rloChatAlertSeen;
+}
+
+function rloRememberChatAlert(id) {
+    const seen = rloChatAlertSeen();
+    if (seen.has(id)) return false;
+    seen.add(id);
+    try {
+        sessionStorage.setItem(RLO_CHAT_ALERT_SEEN_KEY, JSON.stringify(Array.from(seen).slice(-RLO_CHAT_ALERT_SEEN_MAX)));
+    } catch {}
     return true;
 }
 
-function removeClipButton() {
-    document.getElementById('rlo-clip-btn')?.remove();
+function rloParseAmount(text) {
+    const m = String(text || '').match(/\$\s?([\d,]+(?:\.\d{1,2})?)/);
+    if (!m) return undefined;
+    const n = parseFloat(m[1].replace(/,/g, ''));
+    return Number.isFinite(n) ? n : undefined;
 }
 
-function setClipBusy(busy) {
-    const btn = document.getElementById('rlo-clip-btn');
-    if (!btn) return;
-    if (busy) btn.setAttribute('aria-busy', 'true');
-    else btn.removeAttribute('aria-busy');
+function rloChatRowText(li) {
+    return (li?.textContent || '').replace(/\s+/g, ' ').trim();
 }
 
-function bindClipButton(btn) {
-    if (!btn || btn.dataset.bound === '1') return;
-    btn.dataset.bound = '1';
-    btn.addEventListener('click', async (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        await onClipClick();
-    });
+function rloChatRowUser(li) {
+    const el = li.querySelector('.chat-history--username, .chat-history--rant-username, [class*="username"]');
+    return (el?.textContent || '').replace(/\s+/g, ' ').trim().replace(/^@/, '');
 }
-let __rloLastClipAt = 0;
-const CLIP_COOLDOWN_MS = 30_000;
-async function onClipClick() {
-    const now = Date.now();
-    const since = now - __rloLastClipAt;
-    if (since < CLIP_COOLDOWN_MS) {
-        const remain = Math.ceil((CLIP_COOLDOWN_MS - since) / 1000);
-        showCenterPopup({
-            title: 'Please wait…',
-            subtitle: `Clip command is on cooldown. Try again in ${remain}s.`
-        });
-        return;
+
+function rloClassifyChatRow(li) {
+    if (!li || li.nodeType !== 1) return null;
+    const cls = String(li.className || '');
+    const text = rloChatRowText(li);
+    if (!text) return null;
+    const isSystemRow = !li.querySelector('.chat-history--message-wrapper .js-chat-message, .rlo-yt-msg .js-chat-message');
+
+    if (/rant/i.test(cls) || li.querySelector('.chat-history--rant, [class*="rant-price"]')) {
+        const priceEl = li.querySelector('[class*="rant-price"], [class*="rant-amount"]');
+        const msgEl = li.querySelector('.js-chat-message, .chat-history--rant-text');
+        return {
+            kind: 'rant',
+            user: rloChatRowUser(li),
+            amount: rloParseAmount(priceEl?.textContent || text),
+            text: (msgEl?.textContent || '').replace(/\s+/g, ' ').trim()
+        };
     }
-    __rloLastClipAt = now;
-    setClipBusy(true);
-    try {
-        const input = document.querySelector('#chat-message-text-input');
-        const form = input ? input.closest('form') : null;
-        if (!input || !form) {
-            console.warn('✅ [RLO] [Clip] Chat input or form not found.');
-            return;
-        }
-        input.focus();
-        input.value = '!clip';
-        input.dispatchEvent(new Event('input', {
-            bubbles: true
-        }));
-        const submitEvent = new Event('submit', {
-            bubbles: true,
-            cancelable: true
-        });
-        form.dispatchEvent(submitEvent);
-    } catch (e) {
-        console.warn('✅ [RLO] [Clip] Failed to send !clip:', e);
-    } finally {
-        setClipBusy(false);
+
+    if (/raid/i.test(cls) || (isSystemRow && /\b(is raiding|has raided|raided|raid from)\b/i.test(text))) {
+        const m = text.match(/^@?(\S+)\s+(?:is raiding|has raided|raided)/i) || text.match(/raid from\s+@?(\S+)/i);
+        const viewers = text.match(/(\d[\d,]*)\s+(?:viewers?|raiders?)/i);
+        return {
+            kind: 'raid',
+            user: rloChatRowUser(li) || (m ? m[1] : ''),
+            viewers: viewers ? parseInt(viewers[1].replace(/,/g, ''), 10) : undefined
+        };
     }
-}
 
-/* =========================
-   Sounds
-========================= */
-async function playDefaultSound(kind = 'raid') {
-    try {
-        const RAID_LIST = 'raidSounds',
-            RAID_SELECTED = 'raidSelectedIndex',
-            RANT_LIST = 'rantSounds',
-            RANT_SELECTED = 'rantSelectedIndex';
-        const data = await chrome.storage.local.get([RAID_LIST, RAID_SELECTED, RANT_LIST, RANT_SELECTED]);
-        let src = null;
-        if (kind === 'raid') {
-            const list = data[RAID_LIST] || [];
-            const sel = (typeof data[RAID_SELECTED] === 'number') ? data[RAID_SELECTED] : (list.length ? 0 : null);
-            if (sel != null && list[sel]) src = list[sel].dataUrl || null;
-        } else {
-            const list = data[RANT_LIST] || [];
-            const sel = (typeof data[RANT_SELECTED] === 'number') ? data[RANT_SELECTED] : (list.length ? 0 : null);
-            if (sel != null && list[sel]) src = list[sel].dataUrl || null;
-        }
-        if (!src) return;
-        const a = new Audio(src);
-        a.volume = 1;
-        a.play().catch(() => {});
-    } catch {}
+    if (/gift/i.test(cls) || (isSystemRow && /\bgifted\b/i.test(text))) {
+        const m = text.match(/^@?(\S+)\s+gifted/i);
+        const count = text.match(/gifted\s+(\d+)/i);
+        return {
+            kind: 'gifted',
+            user: rloChatRowUser(li) || (m ? m[1] : ''),
+            count: count ? parseInt(count[1], 10) : undefined
+        };
+    }
+    return null;
 }
 
-/* =========================
-   Campaign Hiding – storage + helpers
-========================= */
-function normName(s) {
-    return (s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+// Row text for signatures: the message itself, else the row minus timestamps ("1m" → "2m"),
+// badges and our own UI, so Studio and the live page sign the same row the same way.
+function rloChatRowSigText(li) {
+    const msg = rloChatRowMessage(li);
+    if (msg) return msg;
+    const clone = li.cloneNode(true);
+    clone.querySelectorAll('.rlo-yt-ts, time, [class*="timestamp"], [class*="time-ago"], .chat-history--badges-wrapper, .rlo-hl-badge, .rlo-mod-actions').forEach(n => n.remove());
+    return rloChatRowText(clone);
 }
-async function getHiddenNames() {
-    const res = await bgMessage('getHiddenCampaignNames');
-    return res?.hiddenNames || [];
+
+function rloChatRowId(li, event) {
+    const id = li.getAttribute('data-message-id') || li.dataset.id || li.id;
+    if (id) return `id:${id}`;
+    return `sig:${event.kind}|${event.user}|${event.amount ?? ''}|${rloChatRowSigText(li).slice(0, 120)}`;
 }
-async function addHiddenName(name) {
-    return bgMessage('addHiddenCampaignName', {
-        name
+
+function rloHandleChatAlertRow(li, fire = true) {
+    const event = rloClassifyChatRow(li);
+    if (!event || !event.user) return;
+    const rowId = rloChatRowId(li, event);
+    const isNew = rloRememberChatAlert(rowId);
+    if (!isNew || !fire) return;
+    console.log('✅ [RLO] Chat alert detected:', event);
+    bgMessage('chatAlertEvent', {
+        event: {
+            ...event,
+            eventId: rowId,
+            source: 'chat'
+        }
     });
 }
-async function removeHiddenName(name) {
-    return bgMessage('removeHiddenCampaignName', {
-        name
-    });
+
+async function rloObserveChatAlerts() {
+    const host = document.getElementById('chat-history-list');
+    if (!host || host.__rloAlertsReady || host.__rloAlertPending) return;
+    host.__rloAlertPending = true;
+    const owned = await isCurrentPageOwnedCached();
+    host.__rloAlertPending = false;
+    if (!owned || !currentSettings['enable-chat-alerts']) return;
+
+    host.querySelectorAll('li.js-chat-history-item').forEach(li => rloHandleChatAlertRow(li, false));
+    host.__rloAlertsReady = true;
+    rloOnChatRow('alerts', li => rloHandleChatAlertRow(li));
 }
-async function resetHiddenNames() {
-    return bgMessage('resetHiddenCampaignNames');
+
+function disableChatAlerts() {
+    rloOffChatRow('alerts');
+    const host = document.getElementById('chat-history-list');
+    if (host) delete host.__rloAlertsReady;
 }
 
 /* =========================
-   Campaign Hiding – DOM mapping
+   Chat log (rows batched to the background → IndexedDB per stream)
 ========================= */
-function findCampaignRows() {
-    return Array.from(document.querySelectorAll('table tr.bg-navy'));
+const RLO_CHAT_LOG_FLUSH_MS = 2000;
+let __rloChatLogBuffer = [];
+let __rloChatLogTimer = null;
+
+function rloChatRowBadges(li) {
+    return Array.from(li.querySelectorAll('.chat-history--badges-wrapper img, .chat-history--user-badge'))
+        .map(el => (el.getAttribute('alt') || el.getAttribute('title') || '').trim())
+        .filter(Boolean);
 }
 
-function getRowCompanyName(tr) {
-    const d = tr?.querySelector('td:first-child .break-words.whitespace-pre-line.line-clamp-2.text-light');
-    return (d?.textContent || '').replace(/\s+/g, ' ').trim();
+// Rumble's message id when present; the fallback signature skips the row text because the
+// timestamp layout (rlo-yt2) changes it after the row is first seen.
+// Rows without Rumble's message id are keyed by time + user + text (never DOM position, which
+// shifts as Rumble prunes the list): the row's own timestamp, else the arrival time it was
+// stamped with, so a repeated "gg" stays two messages.
+function rloChatLogId(li, user, text) {
+    const id = li.getAttribute('data-message-id') || li.dataset.id || li.id;
+    if (id) return `id:${id}`;
+    const at = rloChatRowTime(li) ?? (Number(li.dataset.rloAt) || null);
+    return `sig:${at ?? ''}|${user}|${text.slice(0, 200)}`;
 }
 
-function ensureRowHideControl(tr, companyName) {
-    if (!tr || tr.querySelector('.rlo-hide-chip')) return;
-    const firstTd = tr.querySelector('td:first-child');
-    if (!firstTd) return;
-    const nameContainer = firstTd.querySelector('div');
-    if (nameContainer) {
-        nameContainer.style.cssText = 'display: flex; flex-direction: column; align-items: flex-start; gap: 8px;';
-    }
-    const chip = document.createElement('label');
-    chip.className = 'rlo-hide-chip';
-    chip.title = 'Hide this advertiser on all campaign screens';
-    chip.innerHTML = `<input type="checkbox" /> Hide`;
-    chip.querySelector('input').addEventListener('change', async (e) => {
-        if (e.target.checked) {
-            await addHiddenName(companyName);
-            tr.remove();
-        }
+function rloChatLogEntry(li, isNew = false) {
+    const user = rloChatRowUser(li);
+    if (!user) return null;
+    const at = rloChatRowAt(li, isNew);
+    const alert = rloClassifyChatRow(li);
+    const rant = alert?.kind === 'rant' ? alert : null;
+    const msgEl = li.querySelector('.js-chat-message, .chat-history--rant-text');
+    const text = rant ? rant.text : (msgEl?.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text && !rant) return null;
+    return {
+        msgId: rloChatLogId(li, user, text),
+        user,
+        badges: rloChatRowBadges(li),
+        text,
+        at: at || Date.now(),
+        ...(rant && {
+            amount: rant.amount
+        })
+    };
+}
+
+function rloFlushChatLog() {
+    clearTimeout(__rloChatLogTimer);
+    __rloChatLogTimer = null;
+    if (!__rloChatLogBuffer.length) return;
+    const messages = __rloChatLogBuffer;
+    __rloChatLogBuffer = [];
+    bgMessage('chatLogAppend', {
+        messages
     });
-    if (nameContainer) {
-        nameContainer.appendChild(chip);
-    } else {
-        firstTd.appendChild(chip);
-    }
 }
 
-function findCampaignCards() {
-    return Array.from(document.querySelectorAll('div[data-sentry-component="CICampaignCardBase"]'));
+function rloLogChatRow(li, isNew = false) {
+    const entry = rloChatLogEntry(li, isNew);
+    if (!entry) return;
+    __rloChatLogBuffer.push(entry);
+    if (!__rloChatLogTimer) __rloChatLogTimer = setTimeout(rloFlushChatLog, RLO_CHAT_LOG_FLUSH_MS);
 }
 
-function getCardCompanyName(card) {
-    const d = card?.querySelector('.break-words.whitespace-pre-line.line-clamp-1.text-body.text-light.font-bold');
-    return (d?.textContent || '').replace(/\s+/g, ' ').trim();
+// History rows already on screen are logged too; the store keeps the first copy of each message.
+function rloObserveChatLog() {
+    const host = document.getElementById('chat-history-list');
+    if (!host || host.__rloChatLogReady) return;
+    host.__rloChatLogReady = true;
+    host.querySelectorAll('li.js-chat-history-item').forEach(li => rloLogChatRow(li));
+    rloOnChatRow('chat-log', li => rloLogChatRow(li, true));
 }
 
-function ensureCardHideControl(card, companyName) {
-    if (!card || card.querySelector('.rlo-hide-chip')) return;
-    const topBar = card.querySelector('.flex.items-center.justify-between') || card;
-    const holder = document.createElement('div');
-    holder.style.cssText = 'display: inline-flex; align-items: center; gap: 8px;';
-    const chip = document.createElement('label');
-    chip.className = 'rlo-hide-chip';
-    chip.title = 'Hide this advertiser on all campaign screens';
-    chip.innerHTML = `<input type="checkbox" /> Hide`;
-    chip.querySelector('input').addEventListener('change', async (e) => {
-        if (e.target.checked) {
-            await addHiddenName(companyName);
-            card.remove();
-        }
-    });
-    holder.appendChild(chip);
+function disableChatLog() {
+    rloOffChatRow('chat-log');
+    rloFlushChatLog();
+    const host = document.getElementById('chat-history-list');
+    if (host) delete host.__rloChatLogReady;
+}
+
+window.addEventListener('pagehide', rloFlushChatLog);
+
+/* =========================
+   Chat moderation (hover actions, watch lists, first-time chatters, action log)
+========================= */
+const CHAT_MODERATION_DEFAULTS = {
+    highlight: [],
+    flag: [],
+    markFirstTime: true
+};
+const RLO_MOD_LOG_MAX = 200;
+const RLO_MOD_STEP_WAIT_MS = 2500;
+// Each action opens Rumble's own message menu (click on the username) and clicks through the
+// items whose text matches, in order. `optional` marks a step Rumble may not show at all
+// (a duration submenu or a confirm dialog).
+const RLO_MOD_ACTIONS = {
+    mute: {
+        icon: '🔇',
+        label: 'Mute',
+        steps: [{
+            match: /^mute/i
+        }, {
+            match: /(this (live)?stream|forever|permanent|indefinite)/i,
+            optional: true
+        }]
+    },
+    timeout: {
+        icon: '⏱',
+        label: 'Timeout (5 min)',
+        steps: [{
+            match: /^(mute|timeout)/i
+        }, {
+            match: /\b5\s*min/i
+        }]
+    },
+    delete: {
+        icon: '🗑',
+        label: 'Delete message',
+        steps: [{
+            match: /^delete/i
+        }, {
+            match: /^(delete|yes|confirm)/i,
+            optional: true
+        }]
+    }
+};
+let chatModerationSettings = {
+    ...CHAT_MODERATION_DEFAULTS
+};
+let __rloModWatch = {
+    highlight: [],
+    flag: []
+};
+let __rloModFlagged = [];
+let __rloModSeenUsers = null;
+
+async function loadChatModerationSettings() {
+    const {
+        chatModeration
+    } = await chrome.storage.local.get('chatModeration');
+    chatModerationSettings = {
+        ...CHAT_MODERATION_DEFAULTS,
+        ...(chatModeration || {})
+    };
+    __rloModWatch = {
+        highlight: rloCompileWatchList(chatModerationSettings.highlight),
+        flag: rloCompileWatchList(chatModerationSettings.flag)
+    };
+}
+
+// "/pattern/flags" entries are regular expressions; anything else is a case-insensitive keyword.
+// g / y are dropped: test() would keep lastIndex between rows and skip every other match.
+function rloCompileWatchList(list = []) {
+    return list.map(entry => {
+        const str = String(entry || '').trim();
+        if (!str) return null;
+        const m = str.match(/^\/(.+)\/([a-z]*)$/i);
+        try {
+            return m ? new RegExp(m[1], m[2] ? m[2].replace(/[gy]/gi, '') : 'i') : new RegExp(str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        } catch {
+            console.warn('✅ [RLO] Invalid watch-list pattern:', str);
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+function rloChatRowMessage(li) {
+    const msgEl = li.querySelector('.js-chat-message, .chat-history--rant-text');
+    return (msgEl?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function rloModSeenUsers() {
+    if (__rloModSeenUsers) return __rloModSeenUsers;
+    try {
+        __rloModSeenUsers = new Set(JSON.parse(sessionStorage.getItem(`rlo-mod-seen:${location.pathname}`) || '[]'));
+    } catch {
+        __rloModSeenUsers = new Set();
+    }
+    return __rloModSeenUsers;
+}
+
+function rloModRememberUser(user) {
+    const seen = rloModSeenUsers();
+    if (seen.has(user)) return false;
+    seen.add(user);
+    try {
+        sessionStorage.setItem(`rlo-mod-seen:${location.pathname}`, JSON.stringify(Array.from(seen)));
+    } catch {}
+    return true;
+}
+
+// Idempotent: safe to re-run on every row when the watch lists change.
+function rloModEvaluateRow(li) {
+    const user = rloChatRowUser(li);
+    const text = rloChatRowMessage(li);
+    if (!user || !text) return;
+    const flagged = __rloModWatch.flag.some(re => re.test(text));
+    li.classList.toggle('rlo-mod-highlight', !flagged && __rloModWatch.highlight.some(re => re.test(text)));
+    li.classList.toggle('rlo-mod-flagged', flagged);
+    if (flagged && !li.dataset.rloFlagged) {
+        li.dataset.rloFlagged = '1';
+        __rloModFlagged.push({
+            li,
+            user,
+            text,
+            at: Number(li.dataset.rloAt) || Date.now()
+        });
+        rloRenderModPanel();
+    }
+}
+
+function rloModHandleRow(li, isNew = true) {
+    if (!li.matches?.('li.js-chat-history-item')) return;
+    const user = rloChatRowUser(li);
+    if (!user) return;
+    const first = rloModRememberUser(normName(user));
+    if (first && isNew && chatModerationSettings.markFirstTime) li.classList.add('rlo-mod-first');
+    rloModEvaluateRow(li);
+}
+
+function rloModVisibleClickables() {
+    return Array.from(document.querySelectorAll('button, [role="menuitem"], [role="option"], a, li'))
+        .filter(el => el.offsetParent !== null);
+}
+
+// Only what appeared after the username was clicked: Rumble's message menu and any submenu or
+// confirm dialog our own clicks opened. The player and the rest of the page are never searched.
+function rloModMenuItems(baseline, clicked) {
+    return rloModVisibleClickables().filter(el => !baseline.has(el) && !clicked.has(el) &&
+        !el.matches('#chat-history-list > li') && !el.closest('#rlo-mod-panel, .rlo-mod-actions, video, [class*="player"]'));
+}
+
+async function rloModClickStep(pattern, baseline, clicked, timeoutMs) {
+    const started = Date.now();
+    while (Date.now() - started < timeoutMs) {
+        const match = rloModMenuItems(baseline, clicked).find(el => {
+            const label = (el.textContent || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+            return label.length <= 40 && pattern.test(label);
+        });
+        if (match) {
+            clicked.add(match);
+            match.click();
+            return true;
+        }
+        await sleep(100);
+    }
+    return false;
+}
+
+// Every step must match; an optional step may only be skipped when Rumble's menu has closed
+// (i.e. the previous click already finished the action).
+async function rloModRunAction(li, action) {
+    const def = RLO_MOD_ACTIONS[action];
+    const opener = li.querySelector('.chat-history--username, [class*="username"]');
+    if (!def || !opener) return {
+        ok: false,
+        reason: 'message-menu-not-found'
+    };
+    const baseline = new Set(rloModVisibleClickables());
+    const clicked = new Set();
+    opener.click();
+    for (const [i, step] of def.steps.entries()) {
+        if (await rloModClickStep(step.match, baseline, clicked, i ? RLO_MOD_STEP_WAIT_MS / 2 : RLO_MOD_STEP_WAIT_MS)) continue;
+        if (step.optional && !rloModMenuItems(baseline, clicked).length) continue;
+        document.body.dispatchEvent(new KeyboardEvent('keydown', {
+            key: 'Escape',
+            bubbles: true
+        }));
+        return {
+            ok: false,
+            reason: i ? `"${def.label}" not finished: Rumble's menu had no option matching ${step.match}` : `no "${def.label}" option (are you a moderator here?)`
+        };
+    }
+    return {
+        ok: true
+    };
+}
+
+async function rloModerate(li, action) {
+    const user = rloChatRowUser(li);
+    const text = rloChatRowMessage(li);
+    const res = await rloModRunAction(li, action);
+    await bgMessage('storageLogAppend', {
+        key: 'modLog',
+        max: RLO_MOD_LOG_MAX,
+        entry: {
+            at: Date.now(),
+            action,
+            user,
+            text: text.slice(0, 200),
+            ok: res.ok,
+            reason: res.reason,
+            stream: location.pathname
+        }
+    });
+    if (!res.ok) {
+        showCenterPopup({
+            title: `${RLO_MOD_ACTIONS[action].label} failed`,
+            subtitle: res.reason
+        });
+    }
+    rloRenderModPanel();
+    return res;
+}
+
+function rloModActionButtons(li) {
+    const bar = document.createElement('span');
+    bar.className = 'rlo-mod-actions';
+    Object.entries(RLO_MOD_ACTIONS).forEach(([action, def]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = def.icon;
+        btn.title = `${def.label}: ${rloChatRowUser(li)}`;
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            rloModerate(li, action);
+        });
+        bar.appendChild(btn);
+    });
+    return bar;
+}
+
+// Hover toolbars are attached lazily so the timestamp layout rewrite can't drop them.
+function rloModOnHover(e) {
+    const li = e.target.closest?.('li.js-chat-history-item');
+    if (!li || li.__rloModBar?.isConnected || !rloChatRowUser(li)) return;
+    li.querySelectorAll(':scope > .rlo-mod-actions').forEach(el => el.remove()); // stale copies from innerHTML restores
+    li.__rloModBar = rloModActionButtons(li);
+    li.appendChild(li.__rloModBar);
+}
+
+async function rloRenderModPanel() {
+    const panel = document.getElementById('rlo-mod-panel');
+    if (!panel) return;
+    __rloModFlagged = __rloModFlagged.filter(f => f.li.isConnected);
+    panel.querySelector('.rlo-mod-count').textContent = __rloModFlagged.length ? `${__rloModFlagged.length} flagged` : '';
+    const flaggedEl = panel.querySelector('.rlo-mod-flagged-list');
+    flaggedEl.innerHTML = __rloModFlagged.length ? '' : '<div class="rlo-mod-empty">No flagged messages.</div>';
+    __rloModFlagged.slice().reverse().forEach(f => {
+        const row = document.createElement('div');
+        row.className = 'rlo-mod-item';
+        row.innerHTML = `<div class="rlo-mod-text"><b></b> <span></span></div>`;
+        row.querySelector('b').textContent = f.user;
+        row.querySelector('span').textContent = f.text;
+        const actions = rloModActionButtons(f.li);
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.textContent = '✕';
+        dismiss.title = 'Dismiss';
+        dismiss.addEventListener('click', () => {
+            __rloModFlagged = __rloModFlagged.filter(x => x !== f);
+            rloRenderModPanel();
+        });
+        actions.appendChild(dismiss);
+        row.appendChild(actions);
+        flaggedEl.appendChild(row);
+    });
+    const {
+        modLog = []
+    } = await chrome.storage.local.get('modLog');
+    const logEl = panel.querySelector('.rlo-mod-log');
+    const entries = modLog.filter(e => e.stream === location.pathname).slice(-20).reverse();
+    logEl.innerHTML = entries.length ? '' : '<div class="rlo-mod-empty">No actions this stream.</div>';
+    entries.forEach(e => {
+        const row = document.createElement('div');
+        row.className = 'rlo-mod-item';
+        row.textContent = `${formatAgo(e.at)} • ${RLO_MOD_ACTIONS[e.action]?.label || e.action} ${e.user}${e.ok ? '' : ` — failed: ${e.reason}`}`;
+        logEl.appendChild(row);
+    });
+}
+
+function rloEnsureModPanel(host) {
+    if (document.getElementById('rlo-mod-panel')) return;
+    const panel = document.createElement('div');
+    panel.id = 'rlo-mod-panel';
+    panel.innerHTML = `<button type="button" class="rlo-mod-head">🛡 Moderation <span class="rlo-mod-count"></span></button><div class="rlo-mod-body"><div class="rlo-mod-title">Flagged</div><div class="rlo-mod-flagged-list"></div><div class="rlo-mod-title">Actions this stream</div><div class="rlo-mod-log"></div></div>`;
+    panel.querySelector('.rlo-mod-head').addEventListener('click', () => panel.classList.toggle('open'));
+    host.parentElement.insertBefore(panel, host);
+    rloRenderModPanel();
+}
+
+function rloEnsureModStyles() {
+    if (document.getElementById('rlo-mod-styles')) return;
+    const s = document.createElement('style');
+    s.id = 'rlo-mod-styles';
+    s.textContent = `
+    #chat-history-list.rlo-mod-on > li { position: relative; }
+    .rlo-mod-actions { position: absolute; top: 2px; right: 4px; display: none; gap: 2px; z-index: 5; }
+    #chat-history-list li:hover > .rlo-mod-actions, #rlo-mod-panel .rlo-mod-actions { display: inline-flex; }
+    .rlo-mod-actions button { all: unset; cursor: pointer; font-size: 13px; line-height: 1; padding: 3px 5px; border-radius: 6px; background: rgba(12,17,22,.9); border: 1px solid rgba(255,255,255,.15); }
+    .rlo-mod-actions button:hover { background: rgba(242,49,96,.6); }
+    li.rlo-mod-highlight { background: rgba(255,200,0,.14) !important; }
+    li.rlo-mod-flagged { background: rgba(242,49,96,.18) !important; box-shadow: inset 3px 0 0 #f23160; }
+    li.rlo-mod-first { box-shadow: inset 3px 0 0 #4fc3f7; }
+    li.rlo-mod-first::before { content: 'FIRST MESSAGE'; position: absolute; right: 6px; bottom: 2px; font-size: 9px; font-weight: 800; letter-spacing: .06em; color: #4fc3f7; pointer-events: none; }
+    #rlo-mod-panel { font: 600 12px/1.35 system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color: #fff; background: rgba(12,17,22,.96); border-bottom: 1px solid rgba(255,255,255,.1); }
+    #rlo-mod-panel .rlo-mod-head { all: unset; box-sizing: border-box; width: 100%; cursor: pointer; padding: 6px 10px; display: flex; gap: 8px; }
+    #rlo-mod-panel .rlo-mod-count { color: #f23160; }
+    #rlo-mod-panel .rlo-mod-body { display: none; max-height: 240px; overflow: auto; padding: 0 10px 8px; }
+    #rlo-mod-panel.open .rlo-mod-body { display: block; }
+    #rlo-mod-panel .rlo-mod-title { margin-top: 6px; opacity: .7; text-transform: uppercase; font-size: 10px; letter-spacing: .08em; }
+    #rlo-mod-panel .rlo-mod-item { display: flex; align-items: center; justify-content: space-between; gap: 6px; padding: 4px 0; border-top: 1px solid rgba(255,255,255,.06); }
+    #rlo-mod-panel .rlo-mod-item .rlo-mod-actions { position: static; }
+    #rlo-mod-panel .rlo-mod-text { overflow-wrap: anywhere; }
+    #rlo-mod-panel .rlo-mod-empty { opacity: .6; padding: 4px 0; }
+  `;
+    document.head.appendChild(s);
+}
+
+function rloObserveChatModeration() {
+    const host = document.getElementById('chat-history-list');
+    if (!host || host.__rloModReady) return;
+    host.__rloModReady = true;
+    rloEnsureModStyles();
+    host.classList.add('rlo-mod-on');
+    host.addEventListener('mouseover', rloModOnHover);
+    host.querySelectorAll('li.js-chat-history-item').forEach(li => rloModHandleRow(li, false));
+    rloOnChatRow('moderation', li => rloModHandleRow(li));
+    rloEnsureModPanel(host);
+}
+
+function disableChatModeration() {
+    rloOffChatRow('moderation');
+    const host = document.getElementById('chat-history-list');
+    if (host) {
+        delete host.__rloModReady;
+        host.classList.remove('rlo-mod-on');
+        host.removeEventListener('mouseover', rloModOnHover);
+    }
+    document.getElementById('rlo-mod-panel')?.remove();
+    document.querySelectorAll('.rlo-mod-actions').forEach(el => el.remove());
+    document.querySelectorAll('.rlo-mod-highlight, .rlo-mod-flagged, .rlo-mod-first').forEach(li => {
+        li.classList.remove('rlo-mod-highlight', 'rlo-mod-flagged', 'rlo-mod-first');
+        delete li.dataset.rloFlagged;
+    });
+    __rloModFlagged = [];
+}
+
+/* =========================
+   Chat command bar (user-defined buttons, per-button cooldown)
+========================= */
+const CHAT_COMMAND_DEFAULTS = {
+    buttons: [{
+        id: 'clip',
+        emoji: '🎬',
+        label: 'Clip',
+        text: '!clip',
+        cooldownSec: 30,
+        confirm: false
+    }]
+};
+let chatCommandSettings = structuredClone(CHAT_COMMAND_DEFAULTS);
+const __rloCommandLastAt = new Map();
+
+async function loadChatCommandSettings() {
+    const {
+        chatCommands
+    } = await chrome.storage.local.get('chatCommands');
+    chatCommandSettings = {
+        ...CHAT_COMMAND_DEFAULTS,
+        ...(chatCommands || {})
+    };
+}
+
+function findChatSendRow() {
+    return document.querySelector('.chat--rant-row') || null;
+}
+
+function ensureCommandBar() {
+    if (document.getElementById('rlo-command-bar')) return true;
+    const row = findChatSendRow();
+    if (!row) return false;
+    const sendBtn = row.querySelector('.chat--send');
+    const bar = document.createElement('span');
+    bar.id = 'rlo-command-bar';
+    (chatCommandSettings.buttons || []).filter(c => c && c.text).forEach(cmd => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'rlo-cmd-btn';
+        btn.title = `Send ${cmd.text}`;
+        btn.textContent = [cmd.emoji, cmd.label].filter(Boolean).join(' ') || cmd.text;
+        btn.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            await onCommandClick(cmd, btn);
+        });
+        bar.appendChild(btn);
+    });
+    if (sendBtn && sendBtn.parentElement) {
+        sendBtn.parentElement.appendChild(bar);
+    } else {
+        row.appendChild(bar);
+    }
+    return true;
+}
+
+function removeCommandBar() {
+    document.getElementById('rlo-command-bar')?.remove();
+}
+
+// {title} {uptime} {streamUrl}: our livestream from the API when we own the page, else the page itself.
+async function rloCommandVariables() {
+    const owned = await isCurrentPageOwnedCached();
+    const apiRes = owned ? await bgMessage('getApiData', {}, 5000) : null;
+    const ls = Array.isArray(apiRes?.data?.livestreams) ? apiRes.data.livestreams[0] : null;
+    const start = await rloGetStreamStart();
+    const pageTitle = document.querySelector('meta[property="og:title"]')?.content || document.title.replace(/\s*[-|]\s*Rumble\s*$/i, '');
+    return {
+        title: ls?.title || (isLiveStreamPage() ? pageTitle : ''),
+        uptime: start ? rloDurationHHMMSS(Date.now() - start) : '',
+        streamUrl: ls?.streamUrl || (isLiveStreamPage() ? location.href.split(/[?#]/)[0] : '')
+    };
+}
+
+// Like alert templates: null when a variable can't be filled, so half-rendered text is never sent.
+// `extra` adds caller-specific variables (e.g. the responder's {user} and {args}).
+async function rloRenderCommandText(text, extra = {}) {
+    if (!/\{\w+\}/.test(text)) return {
+        text
+    };
+    const vars = {
+        ...(await rloCommandVariables()),
+        ...extra
+    };
+    let missing = null;
+    const out = text.replace(/\{(\w+)\}/g, (m, key) => {
+        if (!(key in vars)) return m;
+        if (!vars[key]) missing ||= key;
+        return vars[key];
+    });
+    return missing ? {
+        text: null,
+        missing
+    } : {
+        text: out
+    };
+}
+
+async function onCommandClick(cmd, btn) {
+    const cooldownMs = Math.max(0, Number(cmd.cooldownSec) || 0) * 1000;
+    const since = Date.now() - (__rloCommandLastAt.get(cmd.id) || 0);
+    if (since < cooldownMs) {
+        const remain = Math.ceil((cooldownMs - since) / 1000);
+        showCenterPopup({
+            title: 'Please wait…',
+            subtitle: `${cmd.label || cmd.text} is on cooldown. Try again in ${remain}s.`
+        });
+        return;
+    }
+    btn.setAttribute('aria-busy', 'true');
+    try {
+        const rendered = await rloRenderCommandText(cmd.text);
+        if (!rendered.text) {
+            showCenterPopup({
+                title: 'Command not sent',
+                subtitle: `Could not fill {${rendered.missing}} right now.`
+            });
+            return;
+        }
+        const send = () => {
+            __rloCommandLastAt.set(cmd.id, Date.now());
+            const sent = rloSendChatMessage(rendered.text);
+            if (!sent.ok) console.warn(`✅ [RLO] [Command] Failed to send "${rendered.text}":`, sent.reason);
+            else if (RLO_CLIP_RE.test(rendered.text) && currentSettings['enable-clip-markers']) {
+                rloRecordClipMarker({
+                    source: 'button',
+                    user: __rloOwnUsername || '',
+                    note: rendered.text.replace(RLO_CLIP_RE, '').trim()
+                });
+            }
+        };
+        if (!cmd.confirm) return send();
+        showCenterPopup({
+            title: `Send ${cmd.label || 'command'}?`,
+            subtitle: rendered.text,
+            actions: [{
+                label: 'Cancel',
+                primary: false,
+                onClick: () => closeCenterPopup()
+            }, {
+                label: 'Send',
+                primary: true,
+                onClick: () => {
+                    closeCenterPopup();
+                    send();
+                }
+            }]
+        });
+    } finally {
+        btn.removeAttribute('aria-busy');
+    }
+}
+
+/* =========================
+   Chat command responder (viewer !commands → templated replies)
+========================= */
+const CHAT_RESPONDER_DEFAULTS = {
+    enabled: false,
+    dryRun: true,
+    commands: []
+};
+const RLO_RESPONDER_LOG_MAX = 100;
+const RLO_RESPONDER_ECHO_MS = 30_000;
+// Permission levels are cumulative: moderators also pass "subscribers".
+const RLO_RESPONDER_LEVELS = ['everyone', 'subscribers', 'moderators'];
+const RLO_RESPONDER_BADGES = {
+    moderators: /moderator|admin|streamer|owner|broadcaster/i,
+    subscribers: /subscri|supporter|member|locals/i
+};
+let chatResponderSettings = {
+    ...CHAT_RESPONDER_DEFAULTS
+};
+let __rloResponderActive = false;
+let __rloResponderStartedAt = 0;
+const __rloResponderSent = new Map();
+
+async function loadChatResponderSettings() {
+    const {
+        chatResponder
+    } = await chrome.storage.local.get('chatResponder');
+    chatResponderSettings = {
+        ...CHAT_RESPONDER_DEFAULTS,
+        ...(chatResponder || {})
+    };
+}
+
+function rloResponderLevel(li, user) {
+    if (__rloOwnUsername && normName(user) === normName(__rloOwnUsername)) return 'moderators';
+    const badges = rloChatRowBadges(li).join(' ');
+    if (RLO_RESPONDER_BADGES.moderators.test(badges)) return 'moderators';
+    if (RLO_RESPONDER_BADGES.subscribers.test(badges)) return 'subscribers';
+    return 'everyone';
+}
+
+// Triggers match the first word of the message, case-insensitively ("!schedule", "!sched").
+function rloResponderMatch(text) {
+    const [word = '', ...rest] = text.split(' ');
+    const trigger = word.toLowerCase();
+    const command = (chatResponderSettings.commands || []).find(c => c && c.response &&
+        [c.trigger, ...(c.aliases || [])].some(t => t && String(t).trim().toLowerCase() === trigger));
+    return command ? {
+        command,
+        trigger,
+        args: rest.join(' ').trim()
+    } : null;
+}
+
+// Appended through the background so replies logged by two tabs don't overwrite each other.
+async function rloLogResponder(entry) {
+    await bgMessage('storageLogAppend', {
+        key: 'responderLog',
+        max: RLO_RESPONDER_LOG_MAX,
+        entry
+    });
+}
+
+// Chat re-renders our text (emoji become images, whitespace collapses), so replies are
+// compared on letters / digits / punctuation only.
+function rloResponderEchoKey(text) {
+    return String(text || '')
+        .replace(/[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0f]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+// Our own replies come back through the chat observer; never answer them. Only rows from us
+// (or before our username is known) count, so a viewer repeating a reply still gets answered.
+function rloResponderIsEcho(user, text) {
+    const now = Date.now();
+    for (const [sent, at] of __rloResponderSent) {
+        if (now - at > RLO_RESPONDER_ECHO_MS) __rloResponderSent.delete(sent);
+    }
+    if (__rloOwnUsername && normName(user) !== normName(__rloOwnUsername)) return false;
+    return __rloResponderSent.has(rloResponderEchoKey(text));
+}
+
+async function rloResponderHandleRow(li) {
+    const user = rloChatRowUser(li);
+    const text = rloChatRowMessage(li);
+    if (!user || !text || rloResponderIsEcho(user, text)) return;
+    const at = rloChatRowAt(li, true);
+    if (at && at < __rloResponderStartedAt - 5000) return;
+    const match = rloResponderMatch(text);
+    if (!match || !(await isCurrentPageOwnedCached())) return;
+    const {
+        command,
+        trigger,
+        args
+    } = match;
+    const level = rloResponderLevel(li, user);
+    if (RLO_RESPONDER_LEVELS.indexOf(level) < RLO_RESPONDER_LEVELS.indexOf(command.permission || 'everyone')) return;
+
+    const claim = await bgMessage('chatResponderClaim', {
+        msgId: rloChatLogId(li, user, text),
+        commandId: command.id || trigger,
+        user,
+        cooldownSec: command.cooldownSec,
+        userCooldownSec: command.userCooldownSec
+    });
+    if (!claim?.claimed) {
+        if (claim?.reason !== 'duplicate') console.log(`✅ [RLO] [Responder] ${trigger} from ${user} skipped:`, claim?.reason || 'no response');
+        return;
+    }
+    const rendered = await rloRenderCommandText(command.response, {
+        user,
+        args
+    });
+    const entry = {
+        at: Date.now(),
+        user,
+        trigger,
+        text: rendered.text || command.response,
+        dryRun: !!chatResponderSettings.dryRun
+    };
+    if (!rendered.text) {
+        entry.ok = false;
+        entry.reason = `could not fill {${rendered.missing}}`;
+    } else if (chatResponderSettings.dryRun) {
+        entry.ok = true;
+    } else {
+        __rloResponderSent.set(rloResponderEchoKey(rendered.text), Date.now());
+        const sent = rloSendChatMessage(rendered.text);
+        entry.ok = sent.ok;
+        entry.reason = sent.reason;
+    }
+    await rloLogResponder(entry);
+}
+
+// Runs only in the frame that has the chat input; new rows only, never chat history.
+function ensureChatResponder() {
+    const active = chatResponderSettings.enabled && !!document.querySelector('#chat-message-text-input');
+    if (!active) return stopChatResponder();
+    if (__rloResponderActive) return;
+    __rloResponderActive = true;
+    __rloResponderStartedAt = Date.now();
+    if (!__rloOwnUsername) getOwnUsernameCached();
+    rloOnChatRow('responder', li => {
+        rloResponderHandleRow(li).catch(e => console.warn('✅ [RLO] [Responder] failed:', e));
+    });
+}
+
+function stopChatResponder() {
+    __rloResponderActive = false;
+    rloOffChatRow('responder');
+}
+
+/* =========================
+   Clip markers (clip button presses + viewer !clip → per-stream marker log)
+========================= */
+const RLO_CLIP_RE = /^!clip\b/i;
+const RLO_CLIP_CONTEXT_LINES = 5;
+const RLO_CLIP_CONTEXT_AFTER_MS = 15_000;
+let __rloClipLastOwnAt = 0;
+const __rloClipPending = new Set();
+
+function rloChatContextLine(li) {
+    const user = rloChatRowUser(li);
+    const text = rloChatRowMessage(li);
+    return user && text ? `${user}: ${text}` : null;
+}
+
+// Up to RLO_CLIP_CONTEXT_LINES chat lines before or after `anchor` (oldest first).
+function rloChatContext(anchor, direction) {
+    const lines = [];
+    let el = anchor?.[direction === 'before' ? 'previousElementSibling' : 'nextElementSibling'];
+    while (el && lines.length < RLO_CLIP_CONTEXT_LINES) {
+        const line = rloChatContextLine(el);
+        if (line) lines.push(line);
+        el = el[direction === 'before' ? 'previousElementSibling' : 'nextElementSibling'];
+    }
+    return direction === 'before' ? lines.reverse() : lines;
+}
+
+function rloSendClipMarker(pending) {
+    if (!__rloClipPending.delete(pending)) return;
+    clearTimeout(pending.timer);
+    const {
+        marker,
+        anchor
+    } = pending;
+    marker.context.after = anchor?.isConnected ? rloChatContext(anchor, 'after') : [];
+    bgMessage('clipMarkerAdd', {
+        marker
+    });
+}
+
+// The button press has no chat row of its own, so its context starts at the newest row.
+// Lines after the marker are collected RLO_CLIP_CONTEXT_AFTER_MS later (or on pagehide).
+async function rloRecordClipMarker({
+    source,
+    user,
+    note = '',
+    msgId = null,
+    row = null,
+    at = Date.now()
+}) {
+    if (source === 'button') __rloClipLastOwnAt = Date.now();
+    const anchor = row || document.querySelector('#chat-history-list > li:last-child');
+    const before = rloChatContext(anchor, 'before');
+    if (anchor && !row) {
+        const line = rloChatContextLine(anchor);
+        if (line) before.push(line);
+    }
+    const start = await rloGetStreamStart();
+    const pending = {
+        anchor,
+        marker: {
+            at,
+            elapsedSec: start ? Math.max(0, Math.round((at - start) / 1000)) : null,
+            source,
+            user,
+            note,
+            msgId,
+            context: {
+                before,
+                after: []
+            }
+        }
+    };
+    pending.timer = setTimeout(() => rloSendClipMarker(pending), RLO_CLIP_CONTEXT_AFTER_MS);
+    __rloClipPending.add(pending);
+}
+
+async function rloClipMarkerRow(li) {
+    const text = rloChatRowMessage(li);
+    if (!RLO_CLIP_RE.test(text)) return;
+    const user = rloChatRowUser(li);
+    if (!user) return;
+    // Our own !clip from the command bar is already recorded as a button press.
+    const own = __rloOwnUsername && normName(user) === normName(__rloOwnUsername);
+    if (own && Date.now() - __rloClipLastOwnAt < RLO_CLIP_CONTEXT_AFTER_MS) return;
+    const at = rloChatRowAt(li, true);
+    if (!(await isCurrentPageOwnedCached())) return;
+    rloRecordClipMarker({
+        source: 'chat',
+        user,
+        note: text.replace(RLO_CLIP_RE, '').trim(),
+        msgId: rloChatLogId(li, user, text),
+        row: li,
+        at: at || Date.now()
+    });
+}
+
+function rloObserveClipMarkers() {
+    if (__rloChatRowHandlers.has('clip-markers')) return;
+    if (!__rloOwnUsername) getOwnUsernameCached();
+    rloOnChatRow('clip-markers', li => {
+        rloClipMarkerRow(li).catch(e => console.warn('✅ [RLO] [Clip markers] failed:', e));
+    });
+}
+
+function disableClipMarkers() {
+    rloOffChatRow('clip-markers');
+    __rloClipPending.forEach(rloSendClipMarker);
+}
+
+window.addEventListener('pagehide', () => __rloClipPending.forEach(rloSendClipMarker));
+
+/* =========================
+   Chat poll (panel + live result bar; votes tallied from chat rows)
+========================= */
+const RLO_POLL_MAX_OPTIONS = 6;
+const RLO_POLL_WRITE_MS = 500;
+const RLO_POLL_RESULT_HOLD_MS = 60_000;
+const RLO_POLL_HEARTBEAT_MS = 3000;
+const RLO_POLL_TAKEOVER_MS = 10_000;
+const RLO_POLL_HISTORY_MAX = 50;
+// Only the host tab (the one that started the poll) counts votes and closes it; other tabs just
+// show it. The host writes hostSeenAt every RLO_POLL_HEARTBEAT_MS; when that goes stale (the
+// host was reloaded or closed) another owner tab takes over.
+const __rloPollInstance = Math.random().toString(36).slice(2);
+let __rloPoll = null;
+let __rloPollWriteTimer = null;
+let __rloPollTimer = null;
+let __rloPollPending = false;
+
+async function loadChatPoll() {
+    const {
+        chatPoll
+    } = await chrome.storage.local.get('chatPoll');
+    __rloPoll = chatPoll || null;
+}
+
+function rloPollIsHost(poll = __rloPoll) {
+    return !!poll && poll.host === __rloPollInstance;
+}
+
+function rloPollTallies(poll) {
+    const counts = poll.options.map(() => 0);
+    Object.values(poll.votes || {}).forEach(i => {
+        if (counts[i] !== undefined) counts[i] += 1;
+    });
+    return counts;
+}
+
+// "2", "#2" or the option's own text (case-insensitive) → option index, else -1.
+function rloPollVoteIndex(text, options) {
+    const m = text.match(/^#?(\d)$/);
+    if (m) return Number(m[1]) - 1 < options.length ? Number(m[1]) - 1 : -1;
+    return options.findIndex(o => o.toLowerCase() === text.toLowerCase());
+}
+
+function rloSavePoll(immediate = false) {
+    clearTimeout(__rloPollWriteTimer);
+    const write = () => chrome.storage.local.set({
+        chatPoll: __rloPoll
+    });
+    if (immediate) return write();
+    __rloPollWriteTimer = setTimeout(write, RLO_POLL_WRITE_MS);
+}
+
+// One vote per user; a later vote replaces the earlier one. Rows already in the chat (a
+// takeover recount) only count when they carry their own time from after the poll started.
+function rloPollHandleRow(li, isNew = true) {
+    const poll = __rloPoll;
+    if (!poll || poll.status !== 'open' || !rloPollIsHost(poll)) return;
+    const user = rloChatRowUser(li);
+    const text = rloChatRowMessage(li);
+    if (!user || !text) return;
+    const at = rloChatRowAt(li, isNew);
+    if (isNew ? at && at < poll.startedAt : !at || at < poll.startedAt) return;
+    const index = rloPollVoteIndex(text, poll.options);
+    const key = normName(user);
+    if (index < 0 || poll.votes[key] === index) return;
+    poll.votes[key] = index;
+    rloRenderPollBar();
+    rloSavePoll();
+}
+
+function rloStartPoll({
+    question,
+    options,
+    durationMin,
+    postResults
+}) {
+    const startedAt = Date.now();
+    __rloPoll = {
+        id: `poll:${startedAt}`,
+        question,
+        options,
+        startedAt,
+        endsAt: durationMin > 0 ? startedAt + durationMin * 60_000 : null,
+        postResults,
+        status: 'open',
+        host: __rloPollInstance,
+        hostSeenAt: startedAt,
+        votes: {}
+    };
+    rloSavePoll(true);
+    rloRenderPollPanel();
+    rloRenderPollBar();
+}
+
+function rloPollResultText(poll) {
+    const counts = rloPollTallies(poll);
+    const total = counts.reduce((a, b) => a + b, 0);
+    const parts = poll.options.map((o, i) => `${i + 1}) ${o}: ${counts[i]} (${total ? Math.round(counts[i] / total * 100) : 0}%)`);
+    return `📊 ${poll.question} — ${parts.join(' · ')} · ${total} vote${total === 1 ? '' : 's'}`;
+}
+
+async function rloClosePoll() {
+    const poll = __rloPoll;
+    if (!poll || poll.status !== 'open') return;
+    poll.host = __rloPollInstance;
+    poll.status = 'closed';
+    poll.closedAt = Date.now();
+    delete poll.closeRequested;
+    await rloSavePoll(true);
+    rloRenderPollPanel();
+    rloRenderPollBar();
+
+    const counts = rloPollTallies(poll);
+    let posted = null;
+    if (poll.postResults) {
+        const sent = rloSendChatMessage(rloPollResultText(poll));
+        posted = sent.ok;
+        if (!sent.ok) console.warn('✅ [RLO] [Poll] Could not post results:', sent.reason);
+    }
+    await bgMessage('storageLogAppend', {
+        key: 'pollHistory',
+        max: RLO_POLL_HISTORY_MAX,
+        entry: {
+            id: poll.id,
+            question: poll.question,
+            options: poll.options.map((label, i) => ({
+                label,
+                votes: counts[i]
+            })),
+            total: counts.reduce((a, b) => a + b, 0),
+            startedAt: poll.startedAt,
+            closedAt: poll.closedAt,
+            stream: location.href.split(/[?#]/)[0],
+            posted
+        }
+    });
+}
+
+// A tab that didn't start the poll asks the host to close it, and takes over if the host is gone.
+function rloRequestPollClose() {
+    if (!__rloPoll || __rloPoll.status !== 'open') return;
+    if (rloPollIsHost()) return rloClosePoll();
+    const id = __rloPoll.id;
+    __rloPoll.closeRequested = true;
+    rloSavePoll(true);
+    setTimeout(() => {
+        if (__rloPoll?.id === id && __rloPoll.status === 'open') rloClosePoll();
+    }, RLO_POLL_TAKEOVER_MS);
+}
+
+function rloPollVisible(poll = __rloPoll) {
+    if (!poll) return false;
+    return poll.status === 'open' || Date.now() - (poll.closedAt || 0) < RLO_POLL_RESULT_HOLD_MS;
+}
+
+function rloRenderPollBar() {
+    const host = document.getElementById('chat-history-list');
+    let bar = document.getElementById('rlo-poll-bar');
+    if (!host || !rloPollVisible()) return bar?.remove();
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'rlo-poll-bar';
+        host.parentElement.insertBefore(bar, host);
+    }
+    const poll = __rloPoll;
+    const counts = rloPollTallies(poll);
+    const total = counts.reduce((a, b) => a + b, 0);
+    const remain = poll.status === 'open' && poll.endsAt ? Math.max(0, Math.ceil((poll.endsAt - Date.now()) / 1000)) : null;
+    const status = poll.status === 'closed' ? 'Final' : remain != null ? rloDurationHHMMSS(remain * 1000) : 'Open';
+    bar.innerHTML = `<div class="rlo-poll-q"><span class="rlo-poll-question"></span><span class="rlo-poll-status"></span></div>`;
+    bar.querySelector('.rlo-poll-question').textContent = poll.question;
+    bar.querySelector('.rlo-poll-status').textContent = `${total} vote${total === 1 ? '' : 's'} · ${status}`;
+    poll.options.forEach((label, i) => {
+        const pct = total ? Math.round(counts[i] / total * 100) : 0;
+        const row = document.createElement('div');
+        row.className = 'rlo-poll-opt';
+        row.style.setProperty('--rlo-poll-pct', `${pct}%`);
+        row.innerHTML = `<span class="rlo-poll-label"></span><span class="rlo-poll-count"></span>`;
+        row.querySelector('.rlo-poll-label').textContent = `${i + 1}. ${label}`;
+        row.querySelector('.rlo-poll-count').textContent = `${counts[i]} · ${pct}%`;
+        bar.appendChild(row);
+    });
+}
+
+function rloRenderPollPanel() {
+    const panel = document.getElementById('rlo-poll-panel');
+    if (!panel) return;
+    const body = panel.querySelector('.rlo-poll-body');
+    const poll = __rloPoll;
+    if (poll?.status === 'open') {
+        body.innerHTML = `<div class="rlo-poll-note"></div><button type="button" class="rlo-poll-close">Close poll${poll.postResults ? ' & post results' : ''}</button>`;
+        body.querySelector('.rlo-poll-note').textContent = rloPollIsHost(poll) ? `Counting votes: type 1–${poll.options.length} or an option in chat.` : 'This poll was started in another tab.';
+        body.querySelector('.rlo-poll-close').addEventListener('click', rloRequestPollClose);
+        return;
+    }
+    body.innerHTML = `<input type="text" class="rlo-poll-input" data-field="question" placeholder="Question" /><textarea class="rlo-poll-input" data-field="options" rows="3" placeholder="Options, one per line (2–${RLO_POLL_MAX_OPTIONS})"></textarea><div class="rlo-poll-row"><label>Minutes <input type="number" class="rlo-poll-input" data-field="duration" min="0" max="120" value="2" title="0 = until you close it" /></label><label><input type="checkbox" data-field="post" checked /> Post results</label><button type="button" class="rlo-poll-start">Start</button></div>`;
+    body.querySelector('.rlo-poll-start').addEventListener('click', () => {
+        const field = name => body.querySelector(`[data-field="${name}"]`);
+        const question = field('question').value.trim();
+        const options = field('options').value.split('\n').map(o => o.trim()).filter(Boolean).slice(0, RLO_POLL_MAX_OPTIONS);
+        if (!question || options.length < 2) {
+            showCenterPopup({
+                title: 'Poll not started',
+                subtitle: 'Add a question and at least two options.'
+            });
+            return;
+        }
+        rloStartPoll({
+            question,
+            options,
+            durationMin: Math.min(120, Math.max(0, Number(field('duration').value) || 0)),
+            postResults: field('post').checked
+        });
+    });
+}
+
+function rloEnsurePollStyles() {
+    if (document.getElementById('rlo-poll-styles')) return;
+    const s = document.createElement('style');
+    s.id = 'rlo-poll-styles';
+    s.textContent = `
+    #rlo-poll-panel, #rlo-poll-bar { font: 600 12px/1.35 system-ui, -apple-system, Segoe UI, Roboto, sans-serif; color: #fff; background: rgba(12,17,22,.96); border-bottom: 1px solid rgba(255,255,255,.1); }
+    #rlo-poll-panel .rlo-poll-head { all: unset; box-sizing: border-box; width: 100%; cursor: pointer; padding: 6px 10px; display: flex; gap: 8px; }
+    #rlo-poll-panel .rlo-poll-body { display: none; padding: 0 10px 8px; }
+    #rlo-poll-panel.open .rlo-poll-body { display: grid; gap: 6px; }
+    #rlo-poll-panel .rlo-poll-input { box-sizing: border-box; width: 100%; padding: 4px 6px; border-radius: 6px; border: 1px solid rgba(255,255,255,.15); background: rgba(255,255,255,.06); color: #fff; font: inherit; }
+    #rlo-poll-panel .rlo-poll-row { display: flex; align-items: center; gap: 8px; }
+    #rlo-poll-panel .rlo-poll-row input[type="number"] { width: 56px; }
+    #rlo-poll-panel button.rlo-poll-start, #rlo-poll-panel button.rlo-poll-close { all: unset; cursor: pointer; margin-left: auto; padding: 4px 10px; border-radius: 9999px; background: rgb(var(--brand-500-rgb, 133 199 66)); color: #000; font-weight: 800; }
+    #rlo-poll-panel .rlo-poll-note { opacity: .75; }
+    #rlo-poll-bar { padding: 6px 10px; display: grid; gap: 4px; }
+    #rlo-poll-bar .rlo-poll-q { display: flex; justify-content: space-between; gap: 8px; font-weight: 800; }
+    #rlo-poll-bar .rlo-poll-status { opacity: .7; white-space: nowrap; }
+    #rlo-poll-bar .rlo-poll-opt { display: flex; justify-content: space-between; gap: 8px; padding: 3px 8px; border-radius: 6px; background: linear-gradient(90deg, rgba(133,199,66,.45) var(--rlo-poll-pct, 0%), rgba(255,255,255,.06) var(--rlo-poll-pct, 0%)); }
+  `;
+    document.head.appendChild(s);
+}
+
+function rloTakeOverPoll() {
+    __rloPoll.host = __rloPollInstance;
+    __rloPoll.hostSeenAt = Date.now();
+    rloSavePoll(true);
+    document.querySelectorAll('#chat-history-list > li').forEach(li => rloPollHandleRow(li, false));
+    rloRenderPollPanel();
+}
+
+// Any owner tab closes a poll that is past endsAt and that its host didn't close in time.
+function rloPollTick() {
+    const poll = __rloPoll;
+    const now = Date.now();
+    if (poll?.status === 'open') {
+        const host = rloPollIsHost(poll);
+        if (poll.endsAt && now >= poll.endsAt + (host ? 0 : RLO_POLL_TAKEOVER_MS)) return rloClosePoll();
+        if (host && now - (poll.hostSeenAt || 0) >= RLO_POLL_HEARTBEAT_MS) {
+            poll.hostSeenAt = now;
+            rloSavePoll(true);
+        } else if (!host && now - (poll.hostSeenAt || poll.startedAt) >= RLO_POLL_TAKEOVER_MS) {
+            rloTakeOverPoll();
+        }
+    }
+    rloRenderPollBar();
+}
+
+async function rloObserveChatPoll() {
+    const host = document.getElementById('chat-history-list');
+    if (!host || document.getElementById('rlo-poll-panel') || __rloPollPending) return;
+    __rloPollPending = true;
+    const owned = await isCurrentPageOwnedCached();
+    __rloPollPending = false;
+    if (!owned || !currentSettings['enable-chat-poll'] || document.getElementById('rlo-poll-panel')) return;
+
+    rloEnsurePollStyles();
+    const panel = document.createElement('div');
+    panel.id = 'rlo-poll-panel';
+    panel.innerHTML = `<button type="button" class="rlo-poll-head">📊 Poll</button><div class="rlo-poll-body"></div>`;
+    panel.querySelector('.rlo-poll-head').addEventListener('click', () => panel.classList.toggle('open'));
+    host.parentElement.insertBefore(panel, host);
+    await loadChatPoll();
+    rloRenderPollPanel();
+    rloRenderPollBar();
+    rloOnChatRow('poll', rloPollHandleRow);
+    clearInterval(__rloPollTimer);
+    __rloPollTimer = setInterval(rloPollTick, 1000);
+}
+
+function disableChatPoll() {
+    rloOffChatRow('poll');
+    clearInterval(__rloPollTimer);
+    __rloPollTimer = null;
+    document.getElementById('rlo-poll-panel')?.remove();
+    document.getElementById('rlo-poll-bar')?.remove();
+}
+
+// The host keeps its own copy (votes may be newer than what was last written).
+function onChatPollChanged(next) {
+    if (rloPollIsHost() && next?.id === __rloPoll.id && next.host === __rloPollInstance) {
+        if (next.closeRequested && __rloPoll.status === 'open') rloClosePoll();
+        return;
+    }
+    __rloPoll = next || null;
+    rloRenderPollPanel();
+    rloRenderPollBar();
+}
+
+/* =========================
+   Chat send helpers
+========================= */
+function rloSendChatMessage(text) {
+    try {
+        const input = document.querySelector('#chat-message-text-input');
+        const form = input ? input.closest('form') : null;
+        if (!input || !form) return {
+            ok: false,
+            reason: 'chat-input-not-found'
+        };
+        input.focus();
+        input.value = text;
+        input.dispatchEvent(new Event('input', {
+            bubbles: true
+        }));
+        const submitEvent = new Event('submit', {
+            bubbles: true,
+            cancelable: true
+        });
+        form.dispatchEvent(submitEvent);
+        return {
+            ok: true
+        };
+    } catch (e) {
+        return {
+            ok: false,
+            reason: String(e?.message || e)
+        };
+    }
+}
+
+function rloWaitForElement(selector, timeoutMs = 5000, intervalMs = 100) {
+    return new Promise(resolve => {
+        const started = Date.now();
+        const check = () => {
+            const el = document.querySelector(selector);
+            if (el) return resolve(el);
+            if (Date.now() - started >= timeoutMs) return resolve(null);
+            setTimeout(check, intervalMs);
+        };
+        check();
+    });
+}
+
+/* =========================
+   Direct chat raid (current tab)
+========================= */
+const RAID_CONFIRM_WAIT_MS = 6000;
+const __rloDirectRaids = new Set();
+
+// Types /raid into this frame's chat and waits for Rumble's pinned confirm.
+async function rloDirectRaid({
+    raidCommandId,
+    targetUrl
+} = {}) {
+    const sent = rloSendChatMessage(`/raid ${targetUrl}`);
+    if (!sent.ok) return {
+        status: 'failed',
+        reason: sent.reason
+    };
+    __rloDirectRaids.add(raidCommandId);
+    const container = await rloWaitForElement('.chat-pinned-ui__raid-container', RAID_CONFIRM_WAIT_MS);
+    if (!container) return {
+        status: 'sent'
+    };
+    return {
+        status: 'confirm-shown',
+        html: container.innerHTML
+    };
+}
+
+function rloDirectRaidClick(raidCommandId, kind) {
+    __rloDirectRaids.delete(raidCommandId);
+    const button = document.querySelector(`[data-js="raid_confirm_${kind}_button"]`);
+    if (!button) return {
+        ok: false,
+        error: `${kind}-button-not-found`
+    };
+    button.click();
+    return {
+        ok: true
+    };
+}
+
+/* =========================
+   Live alerts
+========================= */
+function formatDollars(amount) {
+    return typeof amount === 'number' ? `$${amount.toFixed(2)}` : '';
+}
+
+function describeLiveEvent(event) {
+    switch (event.kind) {
+        case 'rant':
+            return `${formatDollars(event.amount) || 'sent a'} Rant${event.text ? `: ${event.text}` : ''}`;
+        case 'gifted':
+            return event.count ? `gifted ${event.count} sub${event.count === 1 ? '' : 's'}!` : 'gifted subs!';
+        case 'subscription':
+            return 'just subscribed!';
+        case 'follow':
+            return 'just followed!';
+        default:
+            return '';
+    }
+}
+
+function showLiveAlert(event) {
+    if (!event || !event.kind) return;
+    const user = event.user || 'Someone';
+    // Sound comes from the background alert queue (offscreen document), not from the page.
+    injectSimulatedMessage(event.kind, user, event.alert?.message || describeLiveEvent(event));
+}
+
+/* =========================
+   Campaign Hiding – storage + helpers
+========================= */
+function normName(s) {
+    return (s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+async function getHiddenNames() {
+    const res = await bgMessage('getHiddenCampaignNames');
+    return res?.hiddenNames || [];
+}
+async function addHiddenName(name) {
+    return bgMessage('addHiddenCampaignName', {
+        name
+    });
+}
+async function removeHiddenName(name) {
+    return bgMessage('removeHiddenCampaignName', {
+        name
+    });
+}
+async function resetHiddenNames() {
+    return bgMessage('resetHiddenCampaignNames');
+}
+
+/* =========================
+   Campaign Hiding – DOM mapping
+========================= */
+function findCampaignRows() {
+    return Array.from(document.querySelectorAll('table tr.bg-navy'));
+}
+
+function getRowCompanyName(tr) {
+    const d = tr?.querySelector('td:first-child .break-words.whitespace-pre-line.line-clamp-2.text-light');
+    return (d?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function ensureRowHideControl(tr, companyName) {
+    if (!tr || tr.querySelector('.rlo-hide-chip')) return;
+    const firstTd = tr.querySelector('td:first-child');
+    if (!firstTd) return;
+    const nameContainer = firstTd.querySelector('div');
+    if (nameContainer) {
+        nameContainer.style.cssText = 'display: flex; flex-direction: column; align-items: flex-start; gap: 8px;';
+    }
+    const chip = document.createElement('label');
+    chip.className = 'rlo-hide-chip';
+    chip.title = 'Hide this advertiser on all campaign screens';
+    chip.innerHTML = `<input type="checkbox" /> Hide`;
+    chip.querySelector('input').addEventListener('change', async (e) => {
+        if (e.target.checked) {
+            await addHiddenName(companyName);
+            tr.remove();
+        }
+    });
+    if (nameContainer) {
+        nameContainer.appendChild(chip);
+    } else {
+        firstTd.appendChild(chip);
+    }
+}
+
+function findCampaignCards() {
+    return Array.from(document.querySelectorAll('div[data-sentry-component="CICampaignCardBase"]'));
+}
+
+function getCardCompanyName(card) {
+    const d = card?.querySelector('.break-words.whitespace-pre-line.line-clamp-1.text-body.text-light.font-bold');
+    return (d?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function ensureCardHideControl(card, companyName) {
+    if (!card || card.querySelector('.rlo-hide-chip')) return;
+    const topBar = card.querySelector('.flex.items-center.justify-between') || card;
+    const holder = document.createElement('div');
+    holder.style.cssText = 'display: inline-flex; align-items: center; gap: 8px;';
+    const chip = document.createElement('label');
+    chip.className = 'rlo-hide-chip';
+    chip.title = 'Hide this advertiser on all campaign screens';
+    chip.innerHTML = `<input type="checkbox" /> Hide`;
+    chip.querySelector('input').addEventListener('change', async (e) => {
+        if (e.target.checked) {
+            await addHiddenName(companyName);
+            card.remove();
+        }
+    });
+    holder.appendChild(chip);
     topBar.appendChild(holder);
 }
 
-async function applyCampaignHides() {
-    const hidden = await getHiddenNames();
-    const hiddenSet = new Set(hidden.map(normName));
-    if (isCampaignsListPage()) {
-        findCampaignRows().forEach(tr => {
-            const name = getRowCompanyName(tr);
-            if (!name) return;
-            if (hiddenSet.has(normName(name))) {
-                tr.remove();
-            } else {
-                ensureRowHideControl(tr, name);
-            }
+async function applyCampaignHides() {
+    const hidden = await getHiddenNames();
+    const hiddenSet = new Set(hidden.map(normName));
+    if (isCampaignsListPage()) {
+        findCampaignRows().forEach(tr => {
+            const name = getRowCompanyName(tr);
+            if (!name) return;
+            if (hiddenSet.has(normName(name))) {
+                tr.remove();
+            } else {
+                ensureRowHideControl(tr, name);
+            }
+        });
+    }
+    if (isStudioPassthroughPage()) {
+        findCampaignCards().forEach(card => {
+            const name = getCardCompanyName(card);
+            if (!name) return;
+            if (hiddenSet.has(normName(name))) {
+                card.remove();
+            } else {
+                ensureCardHideControl(card, name);
+            }
+        });
+    }
+}
+
+let __rloCampaignsObs, __rloPassthroughObs;
+
+function manageCampaignsTable() {
+    if (!isCampaignsListPage()) return;
+    try {
+        __rloCampaignsObs?.disconnect();
+    } catch {}
+    const host = document.querySelector('table') || document.body;
+    __rloCampaignsObs = new MutationObserver(() => applyCampaignHides());
+    __rloCampaignsObs.observe(host, {
+        childList: true,
+        subtree: true
+    });
+    applyCampaignHides();
+}
+
+function manageAdReads() {
+    if (!isStudioPassthroughPage()) return;
+    try {
+        __rloPassthroughObs?.disconnect();
+    } catch {}
+    const host = document.querySelector('[data-sentry-component="CICampaignCardBase"]')?.parentElement || document.body;
+    __rloPassthroughObs = new MutationObserver(() => applyCampaignHides());
+    __rloPassthroughObs.observe(host, {
+        childList: true,
+        subtree: true
+    });
+    applyCampaignHides();
+}
+
+/* =========================
+   Raid button + logic (FINAL)
+========================= */
+function getButtonTargetContainer() {
+    return document.querySelector(".header-user-actions.space-x-4") || document.querySelector(".chat-message-form-section") || document.querySelector(".flex.items-center.space-x-2.flex-wrap.justify-end") || document.querySelector(".shrink-0.flex.items-center.space-x-2");
+}
+
+function ensureButtonHitTest() {
+    document.body.addEventListener('click', (e) => {
+        const target = e.target.closest('#raid-button');
+        if (!target) return;
+        if (target.dataset.bound === '1') return;
+        bindRaidButton(target);
+    }, {
+        capture: true
+    });
+}
+
+function setRaidButtonBusy(busy) {
+    const btn = document.getElementById('raid-button');
+    if (!btn) return;
+    if (busy) {
+        btn.disabled = true;
+        btn.setAttribute('aria-busy', 'true');
+        if (!btn.querySelector('.rlo-spinner')) {
+            const sp = document.createElement('i');
+            sp.className = 'rlo-spinner';
+            btn.appendChild(sp);
+        }
+    } else {
+        btn.disabled = false;
+        btn.removeAttribute('aria-busy');
+        btn.querySelector('.rlo-spinner')?.remove();
+    }
+}
+
+function ensureRaidButton() {
+    const targetDiv = getButtonTargetContainer();
+    if (!targetDiv) return false;
+    let btn = document.getElementById('raid-button');
+    if (!btn) {
+        btn = document.createElement('button');
+        btn.id = 'raid-button';
+        btn.type = 'button';
+        btn.innerHTML = `<span>🚀 Rumble Raid</span>`;
+        targetDiv.appendChild(btn);
+    } else if (!targetDiv.contains(btn)) {
+        targetDiv.appendChild(btn);
+    }
+    bindRaidButton(btn);
+    ensureButtonHitTest();
+    return true;
+}
+
+function insertRaidButton() {
+    ensureRaidButton();
+}
+
+function removeRaidButton() {
+    document.getElementById('raid-button')?.remove();
+}
+
+function bindRaidButton(btn) {
+    if (!btn || btn.dataset.bound === '1') return;
+    btn.dataset.bound = '1';
+    btn.style.cssText = 'display:inline-flex;align-items:center;justify-content:center;gap:.571429rem;height:2.6rem;padding:.75rem;border-radius:9999px;background:rgb(var(--color-indigo,27 33 39));font-weight:700;font-size:14px;white-space:nowrap;margin:0;min-width:0;width:fit-content;flex:none;box-sizing:border-box;color:#fff;';
+    btn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await onRaidClickHandler();
+    });
+}
+
+function flashStartStreamIfPresent() {
+    if (!isStudioPage()) return;
+    let btn = null;
+    document.querySelectorAll('button').forEach(b => {
+        const t = (b.textContent || '').trim().toLowerCase();
+        if (!btn && (t === 'start stream' || t.includes('start stream'))) btn = b;
+    });
+    if (!btn) {
+        for (const sel of ['button[data-testid="start-stream"]', 'button.btn-primary', 'button[type="submit"]']) {
+            const el = document.querySelector(sel);
+            if (el) {
+                btn = el;
+                break;
+            }
+        }
+    }
+    if (btn) {
+        btn.classList.add('rlo-flash');
+        setTimeout(() => btn.classList.remove('rlo-flash'), 5000);
+    }
+}
+
+function computeEta(scheduledOn) {
+    try {
+        const t = new Date(/^\d+$/.test(String(scheduledOn)) ? (String(scheduledOn).length > 12 ? Number(scheduledOn) : Number(scheduledOn) * 1000) : scheduledOn).getTime();
+        if (!isFinite(t)) return null;
+        const diffMs = t - Date.now();
+        if (diffMs <= 0) return 'starting soon';
+        const mins = Math.round(diffMs / 60000);
+        if (mins < 60) return `${mins} minute${mins===1?'':'s'}`;
+        const hrs = Math.round(mins / 60);
+        return `${hrs} hour${hrs===1?'':'s'}`;
+    } catch {
+        return null;
+    }
+}
+
+/* =========================
+   Raid button + logic (FINAL)
+========================= */
+async function onRaidClickHandler() {
+    console.log("✅ [RLO] Raid button clicked");
+    setRaidButtonBusy(true);
+    const done = () => setRaidButtonBusy(false);
+    const isOwner = await isCurrentPageOwned();
+    if (!isOwner) {
+        showCenterPopup({
+            title: 'Not the Stream Owner',
+            subtitle: 'Raiding is not available on this page.'
         });
+        done();
+        return;
     }
-    if (isStudioPassthroughPage()) {
-        findCampaignCards().forEach(card => {
-            const name = getCardCompanyName(card);
-            if (!name) return;
-            if (hiddenSet.has(normName(name))) {
-                card.remove();
+    const apiRes = await bgMessage('getApiData', {}, 5000);
+    if (!apiRes || !apiRes.success || !apiRes.data) {
+        done();
+        showCenterPopup({
+            title: 'API Unavailable',
+            subtitle: 'Could not read your live status.'
+        });
+        return;
+    }
+    try {
+        const data = apiRes.data || {};
+        const ls = Array.isArray(data.livestreams) ? data.livestreams[0] : null;
+
+        const isLive = !!ls?.is_live;
+        const scheduledOn = ls?.scheduled_on;
+
+        if (!isLive) {
+            done();
+            const eta = scheduledOn ? computeEta(scheduledOn) : null;
+
+            if (isStudioPage()) {
+                if (!scheduledOn) {
+                    showCenterPopup({
+                        title: 'You are not yet Live',
+                        subtitle: 'Go Live first.'
+                    });
+                    flashStartStreamIfPresent();
+                } else {
+                    showCenterPopup({
+                        title: 'You are not yet Live',
+                        subtitle: `Live in ${eta}`
+                    });
+                }
             } else {
-                ensureCardHideControl(card, name);
+                showCenterPopup({
+                    title: 'You are not yet Live',
+                    subtitle: eta ? `Live in ${eta}` : 'Go Live first.'
+                });
             }
+            return;
+        }
+        await openRaidConsole();
+        done();
+    } catch (e) {
+        done();
+        showCenterPopup({
+            title: 'Status Error',
+            subtitle: 'Could not determine your live state.'
         });
     }
 }
 
-let __rloCampaignsObs, __rloPassthroughObs;
+/* =========================
+   Raid console (cached targets + inline confirm)
+========================= */
+const RAID_DETAILS_TTL_MS = 5 * 60 * 1000;
+const __rloRaidConsole = {
+    stage: 'closed', // closed | list | warning | pending | confirm | sending
+    targets: [],
+    fetchedAt: 0,
+    refreshing: false,
+    target: null,
+    raidCommandId: null,
+    details: {},
+    detailsAt: 0,
+    detailsLoading: false,
+    category: ''
+};
 
-function manageCampaignsTable() {
-    if (!isCampaignsListPage()) return;
-    try {
-        __rloCampaignsObs?.disconnect();
-    } catch {}
-    const host = document.querySelector('table') || document.body;
-    __rloCampaignsObs = new MutationObserver(() => applyCampaignHides());
-    __rloCampaignsObs.observe(host, {
-        childList: true,
-        subtree: true
+const RAID_REASON_TEXT = {
+    'own-not-live': 'Your stream is not live according to the API.',
+    'target-offline': 'The target is no longer live.',
+    'target-unverified': 'Could not re-check the target\'s page, so it may have just ended.',
+    'target-chat-disabled': 'The target has chat disabled, so raiders will not be able to talk.',
+    'target-age-restricted': 'The target stream is age-restricted; some of your viewers may not be able to watch.',
+    'no-api-key': 'No API key is saved in Options.',
+    'no-livestream-found': 'The API did not return a livestream for your channel.',
+    'chat-input-not-found': 'Could not find the chat box to send /raid.',
+    'confirm-not-shown': 'Rumble did not show the raid confirmation.',
+    'raid-popup-not-shown': 'Rumble did not show the raid confirmation.',
+    'confirm-failed': 'Rumble\'s confirm button could not be clicked.',
+    'confirm-button-not-found': 'Rumble\'s confirm button could not be found.',
+    'no-response': 'The extension did not respond in time.'
+};
+
+function describeRaidReason(reason) {
+    if (!reason) return 'Unknown error.';
+    if (RAID_REASON_TEXT[reason]) return RAID_REASON_TEXT[reason];
+    if (/^Timeout: Could not find element/.test(reason)) return RAID_REASON_TEXT['raid-popup-not-shown'];
+    return reason;
+}
+
+function raidConsoleVisible() {
+    return document.getElementById('rlo-center-overlay')?.dataset.rloConsole === '1';
+}
+
+function absRaidUrl(url = '') {
+    return url.startsWith('http') ? url : `https://rumble.com${url}`;
+}
+
+function raidTargetRows(list) {
+    const details = __rloRaidConsole.details;
+    return list.map(t => {
+        const d = details[absRaidUrl(t.url)] || {};
+        return {
+            live: true,
+            username: t.username || 'Unknown',
+            avatarUrl: t.avatarUrl,
+            url: t.url,
+            viewers: (typeof t.viewers === 'number') ? t.viewers : undefined,
+            section: t.section,
+            favorite: !!t.favorite,
+            tags: t.tags || [],
+            lastRaidedAt: t.lastRaidedAt || null,
+            streamTitle: d.title || '',
+            category: d.category || '',
+            startedAt: d.startedAt || null,
+            thumbnail: d.thumbnail || ''
+        };
     });
-    applyCampaignHides();
 }
 
-function manageAdReads() {
-    if (!isStudioPassthroughPage()) return;
-    try {
-        __rloPassthroughObs?.disconnect();
-    } catch {}
-    const host = document.querySelector('[data-sentry-component="CICampaignCardBase"]')?.parentElement || document.body;
-    __rloPassthroughObs = new MutationObserver(() => applyCampaignHides());
-    __rloPassthroughObs.observe(host, {
-        childList: true,
-        subtree: true
+// Fetches details for targets we have none for yet; re-renders the list when they land.
+async function loadRaidTargetDetails() {
+    const c = __rloRaidConsole;
+    if (c.detailsLoading) return;
+    const urls = c.targets.map(t => absRaidUrl(t.url)).filter(url => !(url in c.details));
+    if (!urls.length) return;
+    c.detailsLoading = true;
+    const res = await bgMessage('getRaidTargetDetails', {
+        urls
+    }, 60000);
+    c.detailsLoading = false;
+    if (res?.success && res.details) {
+        Object.assign(c.details, res.details);
+        c.detailsAt = Date.now();
+        renderRaidConsoleList();
+    }
+}
+
+function renderRaidCategoryFilter(categories) {
+    const c = __rloRaidConsole;
+    const body = document.querySelector('#rlo-center-modal #rlo-center-body');
+    if (!body || !categories.length) return;
+    const bar = document.createElement('div');
+    bar.className = 'rlo-filter-bar';
+    ['', ...categories].forEach(cat => {
+        const b = document.createElement('button');
+        b.textContent = cat || 'All';
+        if (cat === c.category) b.classList.add('rlo-active');
+        b.addEventListener('click', () => {
+            c.category = cat;
+            renderRaidConsoleList();
+        });
+        bar.appendChild(b);
+    });
+    body.prepend(bar);
+}
+
+function raidTargetPreviewHtml(t) {
+    return rloRaidTargetRow(t).outerHTML;
+}
+
+function closeRaidConsole() {
+    const c = __rloRaidConsole;
+    if ((c.stage === 'pending' || c.stage === 'confirm') && c.raidCommandId) {
+        bgMessage('cancelRaid', {
+            raidCommandId: c.raidCommandId
+        });
+    }
+    c.stage = 'closed';
+    c.raidCommandId = null;
+    closeCenterPopup();
+}
+
+// Renders a non-list stage (pending/confirm) into the same modal.
+function showRaidConsoleStage({
+    title,
+    subtitle,
+    html,
+    actions
+}) {
+    showCenterPopup({
+        title,
+        subtitle,
+        actions
+    });
+    const overlay = document.getElementById('rlo-center-overlay');
+    if (overlay) overlay.dataset.rloConsole = '1';
+    const modal = document.getElementById('rlo-center-modal');
+    modal?.classList.remove('rlo-compact');
+    const body = modal?.querySelector('#rlo-center-body');
+    if (body) body.innerHTML = html;
+    return body;
+}
+
+function renderRaidConsoleList(force = false) {
+    const c = __rloRaidConsole;
+    if (c.stage !== 'list' || (!force && !raidConsoleVisible())) return;
+    const age = c.fetchedAt ? `Updated ${formatAgo(c.fetchedAt)}` : 'Not loaded yet';
+    const status = `<span class="rlo-cache-age">${c.refreshing ? `${age} • refreshing…` : age}</span>`;
+    const actions = [{
+        label: c.refreshing ? 'Refreshing…' : 'Refresh',
+        primary: false,
+        onClick: () => refreshRaidConsoleTargets()
+    }, {
+        label: 'Close',
+        primary: false,
+        onClick: () => closeRaidConsole()
+    }];
+
+    if (!c.targets.length) {
+        showCenterPopup({
+            title: c.refreshing ? 'Loading Raid Targets…' : 'No Raid Targets Found',
+            subtitle: `${c.refreshing ? 'Scanning live channels you follow.' : 'We could not find live channels you follow.'}${status}`,
+            actions
+        });
+    } else {
+        const rows = raidTargetRows(c.targets);
+        const categories = [...new Set(rows.map(r => r.category).filter(Boolean))].sort();
+        if (c.category && !categories.includes(c.category)) c.category = '';
+        showCenterPopup({
+            title: 'Live Raid Targets',
+            subtitle: `Click a channel to raid. Viewer counts are from followed channels.${status}`,
+            rows: c.category ? rows.filter(r => r.category === c.category) : rows,
+            actions,
+            onRaid: (url, row) => startConsoleRaid(url, row)
+        });
+        renderRaidCategoryFilter(categories);
+    }
+    const overlay = document.getElementById('rlo-center-overlay');
+    if (overlay) overlay.dataset.rloConsole = '1';
+}
+
+async function refreshRaidConsoleTargets() {
+    const c = __rloRaidConsole;
+    if (c.refreshing) return;
+    c.refreshing = true;
+    renderRaidConsoleList();
+    const res = await bgMessage('getRaidTargets', {}, 30000);
+    c.refreshing = false;
+    if (res?.success && Array.isArray(res.targets)) {
+        c.targets = res.targets;
+        c.fetchedAt = Date.now();
+    }
+    renderRaidConsoleList();
+    loadRaidTargetDetails();
+}
+
+async function openRaidConsole() {
+    const c = __rloRaidConsole;
+    c.stage = 'list';
+    c.target = null;
+    c.raidCommandId = null;
+    if (Date.now() - c.detailsAt > RAID_DETAILS_TTL_MS) c.details = {};
+    const cached = await bgMessage('getCachedRaidTargets', {}, 5000);
+    if (cached?.success && Array.isArray(cached.targets)) {
+        c.targets = cached.targets;
+        c.fetchedAt = cached.at || 0;
+    }
+    renderRaidConsoleList(true);
+    loadRaidTargetDetails();
+    refreshRaidConsoleTargets();
+}
+
+function backToRaidConsoleList() {
+    const c = __rloRaidConsole;
+    c.stage = 'list';
+    c.target = null;
+    c.raidCommandId = null;
+    renderRaidConsoleList(true);
+}
+
+async function startConsoleRaid(targetUrl, target, acknowledgeWarnings = false) {
+    const c = __rloRaidConsole;
+    if (c.stage !== 'list' && c.stage !== 'warning') return;
+    c.stage = 'pending';
+    c.target = {
+        ...target,
+        url: targetUrl
+    };
+    c.raidCommandId = null;
+    showRaidConsoleStage({
+        title: `Raiding ${rloEscapeHtml(target.username)}…`,
+        subtitle: 'Checking both streams, then sending /raid. Rumble\'s confirmation will appear here.',
+        html: `${raidTargetPreviewHtml(target)}<div class="rlo-raid-confirm-host"><span class="rlo-spinner"></span> Waiting for Rumble…</div>`,
+        actions: [{
+            label: 'Cancel',
+            primary: false,
+            onClick: () => closeRaidConsole()
+        }]
+    });
+
+    const res = await bgMessage('raidButtonPressed', {
+        targetUrl,
+        acknowledgeWarnings
+    }, 30000);
+    if (c.stage === 'closed' || c.target?.url !== targetUrl) {
+        // Console was closed while the raid was being started.
+        if (res?.raidCommandId) bgMessage('cancelRaid', {
+            raidCommandId: res.raidCommandId
+        });
+        return;
+    }
+    if (res?.status === 'preflight-warning') {
+        showRaidPreflightWarnings(targetUrl, target, res.warnings || []);
+        return;
+    }
+    if (!res?.ok) {
+        showRaidConsoleFailure(res?.reason || res?.error || 'no-response');
+        return;
+    }
+    if (res.status === 'sent') {
+        c.stage = 'closed';
+        showCenterPopup({
+            title: 'Raid Command Sent',
+            subtitle: `/raid was sent in chat, but Rumble did not show a confirmation for ${rloEscapeHtml(target.username)}.`
+        });
+        return;
+    }
+    if (c.stage === 'pending') c.raidCommandId = res.raidCommandId || null;
+}
+
+function showRaidPreflightWarnings(targetUrl, target, warnings) {
+    const c = __rloRaidConsole;
+    c.stage = 'warning';
+    showRaidConsoleStage({
+        title: `Raid ${rloEscapeHtml(target.username)}?`,
+        subtitle: 'Preflight found something you should know first:',
+        html: `${raidTargetPreviewHtml(target)}<div class="rlo-raid-confirm-host">${warnings.map(w => `<div>⚠️ ${describeRaidReason(w)}</div>`).join('')}</div>`,
+        actions: [{
+            label: 'Raid Anyway',
+            primary: true,
+            onClick: () => startConsoleRaid(targetUrl, target, true)
+        }, {
+            label: 'Back',
+            primary: false,
+            onClick: () => backToRaidConsoleList()
+        }]
+    });
+}
+
+function showRaidConsoleFailure(reason) {
+    const c = __rloRaidConsole;
+    const target = c.target;
+    c.stage = 'closed';
+    c.raidCommandId = null;
+    showCenterPopup({
+        title: 'Raid Failed',
+        subtitle: `${target ? `Could not raid ${rloEscapeHtml(target.username)}. ` : ''}${describeRaidReason(reason)}`,
+        actions: [{
+            label: 'Back to Targets',
+            primary: true,
+            onClick: () => backToRaidConsoleList()
+        }, {
+            label: 'Close',
+            primary: false,
+            onClick: (close) => close()
+        }]
+    });
+}
+
+// Returns false when the confirmation does not belong to the open console.
+function renderRaidConsoleConfirm(html, raidCommandId) {
+    const c = __rloRaidConsole;
+    if (c.stage !== 'pending' || !raidConsoleVisible()) return false;
+    if (c.raidCommandId && c.raidCommandId !== raidCommandId) return false;
+    c.stage = 'confirm';
+    c.raidCommandId = raidCommandId;
+
+    const confirm = async () => {
+        if (c.stage !== 'confirm') return;
+        c.stage = 'sending';
+        const host = document.querySelector('#rlo-center-modal .rlo-raid-confirm-host');
+        if (host) host.innerHTML = '<span class="rlo-spinner"></span> Confirming…';
+        const res = await bgMessage('confirmRaid', {
+            raidCommandId
+        }, 10000);
+        if (!res?.ok) {
+            showRaidConsoleFailure(res?.error || 'confirm-failed');
+            return;
+        }
+        c.stage = 'closed';
+        c.raidCommandId = null;
+        showCenterPopup({
+            title: 'Raid Sent 🚀',
+            subtitle: `Raid confirmed to ${c.target?.username || 'target'}.`
+        });
+    };
+    const cancel = () => {
+        bgMessage('cancelRaid', {
+            raidCommandId
+        });
+        backToRaidConsoleList();
+    };
+
+    const body = showRaidConsoleStage({
+        title: `Raid ${c.target?.username || 'target'}?`,
+        subtitle: 'Rumble\'s raid confirmation:',
+        html: `${raidTargetPreviewHtml(c.target || {})}<div class="rlo-raid-confirm-host">${html}</div>`,
+        actions: [{
+            label: 'Confirm Raid',
+            primary: true,
+            onClick: confirm
+        }, {
+            label: 'Back',
+            primary: false,
+            onClick: cancel
+        }]
+    });
+    body?.querySelector('[data-js="raid_confirm_confirm_button"]')?.addEventListener('click', confirm);
+    body?.querySelector('[data-js="raid_confirm_cancel_button"]')?.addEventListener('click', cancel);
+    return true;
+}
+
+/* =========================
+   Auto-raid (end of stream)
+========================= */
+const AUTO_RAID_DEFAULTS = self.RloRaidDefaults.autoRaid; // raid-defaults.js
+let autoRaidSettings = {
+    ...AUTO_RAID_DEFAULTS
+};
+let __rloAutoRaidActive = false;
+let __rloAutoRaidTimer = null;
+let __rloAutoRaidDismissed = null;
+let __rloOwnUsername = null;
+
+async function getOwnUsernameCached() {
+    if (__rloOwnUsername) return __rloOwnUsername;
+    const res = await bgMessage('getOwnUsername');
+    __rloOwnUsername = res?.username || null;
+    return __rloOwnUsername;
+}
+
+function rloTodayKey() {
+    const d = new Date(),
+        pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function rloNowHHMM() {
+    const d = new Date(),
+        pad = n => String(n).padStart(2, '0');
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+async function loadAutoRaidSettings() {
+    const {
+        autoRaid
+    } = await chrome.storage.local.get('autoRaid');
+    autoRaidSettings = {
+        ...AUTO_RAID_DEFAULTS,
+        ...(autoRaid || {})
+    };
+}
+
+async function autoRaidAlreadyFiredToday() {
+    const {
+        autoRaidLastFired
+    } = await chrome.storage.local.get('autoRaidLastFired');
+    return autoRaidLastFired?.date === rloTodayKey();
+}
+
+function cancelAutoRaid() {
+    clearInterval(__rloAutoRaidTimer);
+    __rloAutoRaidTimer = null;
+    __rloAutoRaidActive = false;
+    __rloAutoRaidDismissed = rloTodayKey();
+    closeCenterPopup();
+}
+
+async function rloStartAutoRaid(reason) {
+    const dismissed = [rloTodayKey(), `${rloTodayKey()} ${rloNowHHMM()}`];
+    if (__rloAutoRaidActive || !IS_TOP || dismissed.includes(__rloAutoRaidDismissed)) return;
+    __rloAutoRaidActive = true;
+    if (!(await isCurrentPageOwnedCached()) || await autoRaidAlreadyFiredToday()) {
+        __rloAutoRaidActive = false;
+        return;
+    }
+    console.log('✅ [RLO] Auto-raid triggered:', reason);
+
+    showCenterPopup({
+        title: 'Auto-Raid',
+        subtitle: 'Finding a raid target…',
+        actions: [{
+            label: 'Cancel',
+            primary: false,
+            onClick: () => cancelAutoRaid()
+        }]
+    });
+    const res = await bgMessage('resolveAutoRaidTarget', {}, 30000);
+    if (!__rloAutoRaidActive) return;
+    if (!res || !res.ok || !res.target) {
+        __rloAutoRaidActive = false;
+        __rloAutoRaidDismissed = `${rloTodayKey()} ${rloNowHHMM()}`;
+        showCenterPopup({
+            title: 'Auto-Raid Skipped',
+            subtitle: res?.reason || 'Could not resolve a raid target.'
+        });
+        return;
+    }
+
+    const target = res.target;
+    const claim = await bgMessage('raidFiringClaim', {
+        kind: 'autoRaid',
+        key: rloTodayKey(),
+        targetUrl: target.url
+    });
+    if (!__rloAutoRaidActive) return;
+    if (!claim?.claimed) {
+        // Another tab (Studio / the live page) is already running today's auto-raid.
+        __rloAutoRaidActive = false;
+        __rloAutoRaidDismissed = rloTodayKey();
+        closeCenterPopup();
+        return;
+    }
+    rloShowRaidCountdown({
+        label: 'Auto-Raid',
+        target,
+        note: reason,
+        seconds: Number(autoRaidSettings.countdownSec) || AUTO_RAID_DEFAULTS.countdownSec,
+        onCancel: () => cancelAutoRaid(),
+        onFire: async () => {
+            await rloAutoConfirmRaid('Auto-Raid', target);
+            __rloAutoRaidActive = false;
+        }
+    });
+}
+
+// Countdown popup shared by auto-raid and the raid train; onFire runs at most once.
+function rloShowRaidCountdown({
+    label,
+    target,
+    note = '',
+    seconds,
+    onCancel,
+    onFire
+}) {
+    let remain = Math.max(3, seconds);
+    let fired = false;
+    const fire = () => {
+        if (fired) return;
+        fired = true;
+        clearInterval(__rloAutoRaidTimer);
+        __rloAutoRaidTimer = null;
+        onFire();
+    };
+    showCenterPopup({
+        title: `${label} in ${remain}s`,
+        subtitle: `Target: ${rloEscapeHtml(target.username || target.url)}${note ? ` • ${note}` : ''}`,
+        actions: [{
+            label: 'Cancel',
+            primary: false,
+            onClick: () => onCancel()
+        }, {
+            label: 'Raid now',
+            primary: true,
+            onClick: () => fire()
+        }]
+    });
+    __rloAutoRaidTimer = setInterval(() => {
+        remain -= 1;
+        const h = document.querySelector('#rlo-center-modal h3');
+        if (h) h.textContent = `${label} in ${remain}s`;
+        if (remain <= 0) fire();
+    }, 1000);
+}
+
+async function rloAutoConfirmRaid(label, target) {
+    showCenterPopup({
+        title: label,
+        subtitle: `Raiding ${rloEscapeHtml(target.username || target.url)}…`
     });
-    applyCampaignHides();
+    const sent = await bgMessage('raidButtonPressed', {
+        targetUrl: target.url,
+        autoConfirm: true
+    }, 30000);
+    if (!sent || !sent.ok) {
+        showCenterPopup({
+            title: `${label} Failed`,
+            subtitle: describeRaidReason(sent?.reason || sent?.error || 'no-response')
+        });
+    }
 }
 
-/* =========================
-   Raid button + logic (FINAL)
-========================= */
-function getButtonTargetContainer() {
-    return document.querySelector(".header-user-actions.space-x-4") || document.querySelector(".chat-message-form-section") || document.querySelector(".flex.items-center.space-x-2.flex-wrap.justify-end") || document.querySelector(".shrink-0.flex.items-center.space-x-2");
+async function rloAutoRaidChatRow(li) {
+    const s = autoRaidSettings;
+    if (!s.enabled || s.trigger === 'time' || __rloAutoRaidActive) return;
+    const text = rloChatRowText(li).toLowerCase();
+    const phrases = (s.phrases || []).map(p => String(p).toLowerCase().trim()).filter(Boolean);
+    if (!phrases.some(p => text.includes(p))) return;
+    const author = normName(rloChatRowUser(li)).replace(/^@/, '');
+    const isSystemRow = !author;
+    if (!isSystemRow && author !== await getOwnUsernameCached()) return;
+    rloStartAutoRaid('stream ending');
 }
 
-function ensureButtonHitTest() {
-    document.body.addEventListener('click', (e) => {
-        const target = e.target.closest('#raid-button');
-        if (!target) return;
-        if (target.dataset.bound === '1') return;
-        bindRaidButton(target);
-    }, {
-        capture: true
-    });
+function rloCheckAutoRaidTime() {
+    const s = autoRaidSettings;
+    if (!s.enabled || s.trigger === 'chat' || !s.time || __rloAutoRaidActive) return;
+    if (rloNowHHMM() === s.time) rloStartAutoRaid(`scheduled ${s.time}`);
 }
 
-function setRaidButtonBusy(busy) {
-    const btn = document.getElementById('raid-button');
-    if (!btn) return;
-    if (busy) {
-        btn.disabled = true;
-        btn.setAttribute('aria-busy', 'true');
-        if (!btn.querySelector('.rlo-spinner')) {
-            const sp = document.createElement('i');
-            sp.className = 'rlo-spinner';
-            btn.appendChild(sp);
-        }
+function ensureAutoRaid() {
+    if (!IS_TOP || !(isLiveStreamPage() || isStudioPage())) return;
+    if (autoRaidSettings.enabled) {
+        rloOnChatRow('auto-raid', rloAutoRaidChatRow);
+        rloCheckAutoRaidTime();
     } else {
-        btn.disabled = false;
-        btn.removeAttribute('aria-busy');
-        btn.querySelector('.rlo-spinner')?.remove();
+        rloOffChatRow('auto-raid');
     }
 }
 
-function ensureRaidButton() {
-    const targetDiv = getButtonTargetContainer();
-    if (!targetDiv) return false;
-    let btn = document.getElementById('raid-button');
-    if (!btn) {
-        btn = document.createElement('button');
-        btn.id = 'raid-button';
-        btn.type = 'button';
-        btn.innerHTML = `<span>🚀 Rumble Raid</span>`;
-        targetDiv.appendChild(btn);
-    } else if (!targetDiv.contains(btn)) {
-        targetDiv.appendChild(btn);
-    }
-    bindRaidButton(btn);
-    ensureButtonHitTest();
-    return true;
+/* =========================
+   Raid train (hand-off when our slot ends)
+========================= */
+const RAID_TRAIN_DEFAULTS = self.RloRaidDefaults.raidTrain; // raid-defaults.js
+const RAID_TRAIN_WINDOW_MS = 10 * 60 * 1000;
+let raidTrainSettings = {
+    ...RAID_TRAIN_DEFAULTS
+};
+let __rloRaidTrainChecking = false;
+
+function rloChannelHandle(ref) {
+    const s = String(ref || '').trim();
+    const m = s.match(/rumble\.com\/(?:c|user)\/([^/?#]+)/i) || s.match(/^\/(?:c|user)\/([^/?#]+)/i);
+    return (m ? decodeURIComponent(m[1]) : s).replace(/^@/, '').toLowerCase();
 }
 
-function insertRaidButton() {
-    ensureRaidButton();
+async function loadRaidTrainSettings() {
+    const {
+        raidTrain
+    } = await chrome.storage.local.get('raidTrain');
+    raidTrainSettings = {
+        ...RAID_TRAIN_DEFAULTS,
+        ...(raidTrain || {})
+    };
 }
 
-function removeRaidButton() {
-    document.getElementById('raid-button')?.remove();
+// Our slot whose end passed within RAID_TRAIN_WINDOW_MS, if any.
+async function rloDueRaidTrainSlot() {
+    const own = await getOwnUsernameCached();
+    if (!own) return null;
+    const now = Date.now();
+    return (raidTrainSettings.slots || []).find(slot => {
+        const end = Date.parse(slot.end);
+        return rloChannelHandle(slot.channel) === own && end <= now && now - end < RAID_TRAIN_WINDOW_MS;
+    }) || null;
 }
 
-function bindRaidButton(btn) {
-    if (!btn || btn.dataset.bound === '1') return;
-    btn.dataset.bound = '1';
-    btn.style.cssText = 'display:inline-flex;align-items:center;justify-content:center;gap:.571429rem;height:2.6rem;padding:.75rem;border-radius:9999px;background:rgb(var(--color-indigo,27 33 39));font-weight:700;font-size:14px;white-space:nowrap;margin:0;min-width:0;width:fit-content;flex:none;box-sizing:border-box;color:#fff;';
-    btn.addEventListener('click', async (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        await onRaidClickHandler();
-    });
+function cancelRaidTrainHandoff() {
+    clearInterval(__rloAutoRaidTimer);
+    __rloAutoRaidTimer = null;
+    closeCenterPopup();
 }
 
-function flashStartStreamIfPresent() {
-    if (!isStudioPage()) return;
-    let btn = null;
-    document.querySelectorAll('button').forEach(b => {
-        const t = (b.textContent || '').trim().toLowerCase();
-        if (!btn && (t === 'start stream' || t.includes('start stream'))) btn = b;
+async function rloRunRaidTrainHandoff() {
+    const label = raidTrainSettings.name ? `Raid Train: ${raidTrainSettings.name}` : 'Raid Train';
+    showCenterPopup({
+        title: label,
+        subtitle: 'Your slot is over. Finding the next live channel…',
+        actions: [{
+            label: 'Cancel',
+            primary: false,
+            onClick: () => cancelRaidTrainHandoff()
+        }]
     });
-    if (!btn) {
-        for (const sel of ['button[data-testid="start-stream"]', 'button.btn-primary', 'button[type="submit"]']) {
-            const el = document.querySelector(sel);
-            if (el) {
-                btn = el;
-                break;
-            }
-        }
+    const res = await bgMessage('resolveRaidTrainTarget', {}, 30000);
+    const skipped = (res?.skipped || []).map(rloChannelHandle).join(', ');
+    const skippedNote = skipped ? `skipped offline: ${skipped}` : '';
+    if (!res || !res.ok || !res.target) {
+        showCenterPopup({
+            title: `${label}: No Hand-off`,
+            subtitle: `${res?.reason || 'Could not resolve the next channel.'}${skippedNote ? ` (${skippedNote})` : ''}`
+        });
+        return;
     }
-    if (btn) {
-        btn.classList.add('rlo-flash');
-        setTimeout(() => btn.classList.remove('rlo-flash'), 5000);
+    const target = res.target;
+    if (raidTrainSettings.autoExecute) {
+        rloShowRaidCountdown({
+            label,
+            target,
+            note: skippedNote,
+            seconds: Number(raidTrainSettings.countdownSec) || RAID_TRAIN_DEFAULTS.countdownSec,
+            onCancel: () => cancelRaidTrainHandoff(),
+            onFire: () => rloAutoConfirmRaid(label, target)
+        });
+        return;
     }
+    showCenterPopup({
+        title: label,
+        subtitle: `Your slot is over. Next live: ${rloEscapeHtml(target.username || target.url)}${skippedNote ? ` • ${skippedNote}` : ''}`,
+        actions: [{
+            label: 'Skip',
+            primary: false,
+            onClick: (close) => close()
+        }, {
+            label: 'Raid now',
+            primary: true,
+            onClick: async (close) => {
+                close();
+                const sent = await bgMessage('raidButtonPressed', {
+                    targetUrl: target.url,
+                    acknowledgeWarnings: true
+                }, 30000);
+                if (!sent || !sent.ok) {
+                    showCenterPopup({
+                        title: `${label}: Raid Failed`,
+                        subtitle: describeRaidReason(sent?.reason || sent?.error || 'no-response')
+                    });
+                }
+            }
+        }]
+    });
 }
 
-function computeEta(scheduledOn) {
+async function rloCheckRaidTrain() {
+    if (!raidTrainSettings.enabled || __rloRaidTrainChecking || __rloAutoRaidActive) return;
+    __rloRaidTrainChecking = true;
     try {
-        const t = new Date(/^\d+$/.test(String(scheduledOn)) ? (String(scheduledOn).length > 12 ? Number(scheduledOn) : Number(scheduledOn) * 1000) : scheduledOn).getTime();
-        if (!isFinite(t)) return null;
-        const diffMs = t - Date.now();
-        if (diffMs <= 0) return 'starting soon';
-        const mins = Math.round(diffMs / 60000);
-        if (mins < 60) return `${mins} minute${mins===1?'':'s'}`;
-        const hrs = Math.round(mins / 60);
-        return `${hrs} hour${hrs===1?'':'s'}`;
-    } catch {
-        return null;
+        const slot = await rloDueRaidTrainSlot();
+        if (!slot || !(await isCurrentPageOwnedCached())) return;
+        const slotKey = `${rloChannelHandle(slot.channel)}|${slot.end}`;
+        const claim = await bgMessage('raidFiringClaim', {
+            kind: 'raidTrain',
+            key: slotKey
+        });
+        if (!claim?.claimed) return;
+        console.log('✅ [RLO] Raid train slot ended:', slot);
+        await rloRunRaidTrainHandoff();
+    } finally {
+        __rloRaidTrainChecking = false;
     }
 }
 
+function ensureRaidTrain() {
+    if (!IS_TOP || !(isLiveStreamPage() || isStudioPage())) return;
+    rloCheckRaidTrain();
+}
+
 /* =========================
-   Raid button + logic (FINAL)
+   Timed chat announcements
 ========================= */
-async function onRaidClickHandler() {
-    console.log("✅ [RLO] Raid button clicked");
-    setRaidButtonBusy(true);
-    const done = () => setRaidButtonBusy(false);
-    const isOwner = await isCurrentPageOwned();
-    if (!isOwner) {
-        showCenterPopup({
-            title: 'Not the Stream Owner',
-            subtitle: 'Raiding is not available on this page.'
-        });
-        done();
-        return;
+const ANNOUNCEMENT_DEFAULTS = {
+    enabled: false,
+    paused: false,
+    mode: 'interval',
+    intervalMin: 15,
+    afterMessages: 50,
+    random: true,
+    quietStart: '',
+    quietEnd: '',
+    messages: []
+};
+const RLO_ANNOUNCE_TICK_MS = 30_000;
+const RLO_ANNOUNCE_MIN_GAP_MS = 60_000;
+const RLO_ANNOUNCE_LOG_MAX = 100;
+let announcementSettings = {
+    ...ANNOUNCEMENT_DEFAULTS
+};
+let __rloAnnounceTimer = null;
+let __rloAnnounceStartedAt = 0;
+let __rloAnnounceChatCount = 0;
+let __rloAnnounceBusy = false;
+
+async function loadAnnouncementSettings() {
+    const {
+        chatAnnouncements
+    } = await chrome.storage.local.get('chatAnnouncements');
+    announcementSettings = {
+        ...ANNOUNCEMENT_DEFAULTS,
+        ...(chatAnnouncements || {})
+    };
+}
+
+// Quiet hours may wrap past midnight (e.g. 23:00 → 07:00).
+function rloInQuietHours(s) {
+    if (!s.quietStart || !s.quietEnd || s.quietStart === s.quietEnd) return false;
+    const now = rloNowHHMM();
+    return s.quietStart < s.quietEnd ? now >= s.quietStart && now < s.quietEnd : now >= s.quietStart || now < s.quietEnd;
+}
+
+// Random mode deals from a shuffled bag so every message is used once per round.
+function rloNextAnnouncement(messages, state) {
+    if (!announcementSettings.random) {
+        const index = ((state.lastIndex ?? -1) + 1) % messages.length;
+        return {
+            index,
+            bag: []
+        };
     }
-    const apiRes = await bgMessage('getApiData', {}, 5000);
-    if (!apiRes || !apiRes.success || !apiRes.data) {
-        done();
-        showCenterPopup({
-            title: 'API Unavailable',
-            subtitle: 'Could not read your live status.'
-        });
-        return;
+    let bag = (state.bag || []).filter(i => i < messages.length);
+    if (!bag.length) {
+        bag = messages.map((_, i) => i).sort(() => Math.random() - 0.5);
+        if (bag.length > 1 && bag[0] === state.lastIndex) bag.push(bag.shift());
     }
-    try {
-        const data = apiRes.data || {};
-        const ls = Array.isArray(data.livestreams) ? data.livestreams[0] : null;
-
-        const isLive = !!ls?.is_live;
-        const scheduledOn = ls?.scheduled_on;
+    return {
+        index: bag[0],
+        bag: bag.slice(1)
+    };
+}
 
-        if (!isLive) {
-            done();
-            const eta = scheduledOn ? computeEta(scheduledOn) : null;
+async function rloLogAnnouncement(entry) {
+    await bgMessage('storageLogAppend', {
+        key: 'announcementLog',
+        max: RLO_ANNOUNCE_LOG_MAX,
+        entry
+    });
+}
 
-            if (isStudioPage()) {
-                if (!scheduledOn) {
-                    showCenterPopup({
-                        title: 'You are not yet Live',
-                        subtitle: 'Go Live first.'
-                    });
-                    flashStartStreamIfPresent();
-                } else {
-                    showCenterPopup({
-                        title: 'You are not yet Live',
-                        subtitle: `Live in ${eta}`
-                    });
-                }
-            } else {
-                showCenterPopup({
-                    title: 'You are not yet Live',
-                    subtitle: eta ? `Live in ${eta}` : 'Go Live first.'
-                });
+// announcementState (storage) is shared; the local read only skips early, the slot itself is
+// claimed through the background (announcementClaim) so a Studio tab and a live tab ticking
+// together can't both post it.
+async function rloTickAnnouncements() {
+    const s = announcementSettings;
+    const messages = (s.messages || []).filter(Boolean);
+    if (!s.enabled || s.paused || !messages.length || __rloAnnounceBusy || rloInQuietHours(s)) return;
+    if (s.mode === 'messages' && __rloAnnounceChatCount < Math.max(1, Number(s.afterMessages) || 0)) return;
+    __rloAnnounceBusy = true;
+    try {
+        const {
+            announcementState: state = {}
+        } = await chrome.storage.local.get('announcementState');
+        const intervalMs = s.mode === 'messages' ? 0 : Math.max(1, Number(s.intervalMin) || 0) * 60_000;
+        const minSinceMs = Math.max(RLO_ANNOUNCE_MIN_GAP_MS, intervalMs);
+        if (Date.now() - Math.max(state.lastAt || 0, __rloAnnounceStartedAt) < minSinceMs) return;
+        if (!(await isCurrentPageOwnedCached())) return;
+        const apiRes = await bgMessage('getApiData', {}, 5000);
+        if (!apiRes?.data?.livestreams?.[0]?.is_live) return;
+        const claim = await bgMessage('announcementClaim', {
+            minSinceMs,
+            notBefore: __rloAnnounceStartedAt
+        });
+        if (!claim?.claimed) return;
+
+        const claimedState = claim.state || {};
+        const next = rloNextAnnouncement(messages, claimedState);
+        const rendered = await rloRenderCommandText(messages[next.index]);
+        const sent = rendered.text ? rloSendChatMessage(rendered.text) : {
+            ok: false,
+            reason: `could not fill {${rendered.missing}}`
+        };
+        const {
+            announcementState: latest = {}
+        } = await chrome.storage.local.get('announcementState');
+        await chrome.storage.local.set({
+            announcementState: {
+                ...latest,
+                lastIndex: next.index,
+                bag: next.bag
             }
-            return;
-        }
-        const res = await bgMessage('getRaidTargets', {}, 7000);
-        done();
-        const list = (res && res.success && Array.isArray(res.targets)) ? res.targets : [];
-        if (!list.length) {
-            showCenterPopup({
-                title: 'No Raid Targets Found',
-                subtitle: 'We could not find live channels you follow.'
-            });
-            return;
-        }
-        const rows = list.map(t => ({
-            live: true,
-            username: t.username || 'Unknown',
-            avatarUrl: t.avatarUrl,
-            url: t.url,
-            viewers: (typeof t.viewers === 'number') ? t.viewers : undefined
-        }));
-
-        showCenterPopup({
-            title: 'Live Raid Targets',
-            subtitle: 'Viewer counts are from followed channels.',
-            rows,
-            actions: [{
-                label: 'Close',
-                primary: false,
-                onClick: (close) => close()
-            }]
         });
-    } catch (e) {
-        done();
-        showCenterPopup({
-            title: 'Status Error',
-            subtitle: 'Could not determine your live state.'
+        await rloLogAnnouncement({
+            at: Date.now(),
+            text: rendered.text || messages[next.index],
+            ok: sent.ok,
+            reason: sent.reason
         });
+        __rloAnnounceChatCount = 0;
+    } finally {
+        __rloAnnounceBusy = false;
     }
 }
 
+// Runs only in the frame that has the chat input (the one that can post).
+function ensureAnnouncements() {
+    const active = announcementSettings.enabled && !!document.querySelector('#chat-message-text-input');
+    if (!active) return stopAnnouncements();
+    if (__rloAnnounceTimer) return;
+    __rloAnnounceStartedAt = Date.now();
+    __rloAnnounceChatCount = 0;
+    __rloAnnounceTimer = setInterval(rloTickAnnouncements, RLO_ANNOUNCE_TICK_MS);
+    if (!__rloOwnUsername) getOwnUsernameCached();
+    rloOnChatRow('announcements', li => {
+        const user = rloChatRowUser(li);
+        // Our own rows (announcements, command replies) don't count towards afterMessages.
+        if (!user || (__rloOwnUsername && normName(user) === normName(__rloOwnUsername))) return;
+        __rloAnnounceChatCount += 1;
+        if (announcementSettings.mode === 'messages') rloTickAnnouncements();
+    });
+}
+
+function stopAnnouncements() {
+    clearInterval(__rloAnnounceTimer);
+    __rloAnnounceTimer = null;
+    rloOffChatRow('announcements');
+}
+
 /* =========================
    Feature-state & owner helpers
 ========================= */
@@ -916,6 +3510,11 @@ const defaultStates = {
     'enable-followers-studio': false,
     'enable-gifted-studio': false,
     'enable-clips-command': false,
+    'enable-chat-alerts': false,
+    'enable-chat-log': false,
+    'enable-chat-moderation': false,
+    'enable-clip-markers': false,
+    'enable-chat-poll': false,
 };
 let currentSettings = {
         ...defaultStates
@@ -936,6 +3535,21 @@ function applyRaidKillSwitchLive(enabled) {
     }
 }
 
+let __rloOwnedCache = {
+    href: null,
+    promise: null
+};
+
+function isCurrentPageOwnedCached() {
+    if (__rloOwnedCache.href !== location.href) {
+        __rloOwnedCache = {
+            href: location.href,
+            promise: isCurrentPageOwned()
+        };
+    }
+    return __rloOwnedCache.promise;
+}
+
 async function isCurrentPageOwned() {
     try {
         if (isStudioPage()) {
@@ -1054,12 +3668,32 @@ function applySettingsDiff(oldS, newS) {
     if (oldS['enable-clips-command'] !== newS['enable-clips-command']) {
         if (IS_TOP) {
             if (newS['enable-clips-command']) {
-                ensureClipButton();
+                ensureCommandBar();
             } else {
-                removeClipButton();
+                removeCommandBar();
             }
         }
     }
+    if (oldS['enable-chat-alerts'] !== newS['enable-chat-alerts']) {
+        if (newS['enable-chat-alerts']) rloObserveChatAlerts();
+        else disableChatAlerts();
+    }
+    if (oldS['enable-chat-moderation'] !== newS['enable-chat-moderation']) {
+        if (newS['enable-chat-moderation']) rloObserveChatModeration();
+        else disableChatModeration();
+    }
+    if (oldS['enable-chat-poll'] !== newS['enable-chat-poll']) {
+        if (newS['enable-chat-poll']) rloObserveChatPoll();
+        else disableChatPoll();
+    }
+    if (oldS['enable-clip-markers'] !== newS['enable-clip-markers']) {
+        if (newS['enable-clip-markers']) rloObserveClipMarkers();
+        else disableClipMarkers();
+    }
+    if (oldS['enable-chat-log'] !== newS['enable-chat-log']) {
+        if (newS['enable-chat-log']) rloObserveChatLog();
+        else disableChatLog();
+    }
     if (oldS['enable-chat-enhancements'] !== newS['enable-chat-enhancements']) {
         if (IS_TOP && live) {
             if (newS['enable-chat-enhancements']) {
@@ -1074,6 +3708,53 @@ function applySettingsDiff(oldS, newS) {
 
 
 
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.autoRaid) {
+        autoRaidSettings = {
+            ...AUTO_RAID_DEFAULTS,
+            ...(changes.autoRaid.newValue || {})
+        };
+        ensureAutoRaid();
+    }
+    if (area === 'local' && changes.chatPoll && document.getElementById('rlo-poll-panel')) {
+        onChatPollChanged(changes.chatPoll.newValue);
+    }
+    if (area === 'local' && changes.chatResponder) {
+        loadChatResponderSettings().then(ensureChatResponder);
+    }
+    if (area === 'local' && changes.chatAnnouncements) {
+        loadAnnouncementSettings().then(ensureAnnouncements);
+    }
+    if (area === 'local' && changes.chatCommands) {
+        loadChatCommandSettings().then(() => {
+            removeCommandBar();
+            if (currentSettings['enable-clips-command']) ensureCommandBar();
+        });
+    }
+    if (area === 'local' && changes.chatHighlights) {
+        loadChatHighlightSettings().then(rloReapplyChatHighlights);
+    }
+    if (area === 'local' && changes.chatModeration) {
+        loadChatModerationSettings().then(() => {
+            document.querySelectorAll('#chat-history-list.rlo-mod-on > li.js-chat-history-item').forEach(rloModEvaluateRow);
+        });
+    }
+    if (area === 'local' && changes.modLog) rloRenderModPanel();
+    if (area === 'local' && changes.chatTimestampSettings) {
+        chatTimestampSettings = {
+            ...CHAT_TIMESTAMP_DEFAULTS,
+            ...(changes.chatTimestampSettings.newValue || {})
+        };
+        rloRefreshChatTimestamps();
+    }
+    if (area === 'local' && changes.raidTrain) {
+        raidTrainSettings = {
+            ...RAID_TRAIN_DEFAULTS,
+            ...(changes.raidTrain.newValue || {})
+        };
+    }
+});
+
 chrome.storage.onChanged.addListener((changes, area) => {
     if (!IS_TOP) return;
     if (area !== 'local' || !changes.functionStates) return;
@@ -1161,7 +3842,6 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             console.log('✅ [RLO] Received test RAID');
             const raidName = msg.from || 'Awesome Raider';
             injectSimulatedMessage('raid', raidName);
-            playDefaultSound('raid');
             break;
 
         case 'rlo-test-rant':
@@ -1169,9 +3849,54 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             const rantName = msg.from || 'Awesome Raider';
             const dollars = typeof msg.amount === 'number' ? `$${msg.amount.toFixed(2)}` : '2 Dollar';
             injectSimulatedMessage('rant', rantName, `${dollars} Rant`);
-            playDefaultSound('rant');
             break;
 
+        case 'rlo-direct-raid':
+            // Frames without a chat input stay silent so the frame that has one answers.
+            if (!document.querySelector('#chat-message-text-input')) break;
+            willRespondAsync = true;
+            rloDirectRaid(msg.payload).then(sendResponse);
+            break;
+
+        case 'rlo-direct-raid-confirm':
+        case 'rlo-direct-raid-cancel':
+            if (!__rloDirectRaids.has(msg.payload?.raidCommandId)) break;
+            sendResponse(rloDirectRaidClick(msg.payload.raidCommandId, msg.type === 'rlo-direct-raid-confirm' ? 'confirm' : 'cancel'));
+            break;
+
+        case 'rlo-live-event':
+            if (!IS_TOP) break;
+            console.log('✅ [RLO] Live event', msg.event);
+            showLiveAlert(msg.event);
+            break;
+
+        case 'rlo-auto-raid-result': {
+            const ok = !!msg.payload?.ok;
+            showCenterPopup({
+                title: ok ? 'Raid Sent 🚀' : 'Auto-Raid Failed',
+                subtitle: ok ? `Raid confirmed to ${msg.payload?.targetUrl || 'target'}.` : describeRaidReason(msg.payload?.reason || 'raid-popup-not-shown')
+            });
+            break;
+        }
+
+        case 'rlo-raid-failed': {
+            const {
+                raidCommandId,
+                targetUrl,
+                reason
+            } = msg.payload || {};
+            const c = __rloRaidConsole;
+            if (c.stage === 'pending' && (!c.raidCommandId || c.raidCommandId === raidCommandId)) {
+                showRaidConsoleFailure(reason || 'raid-popup-not-shown');
+            } else {
+                showCenterPopup({
+                    title: 'Raid Failed',
+                    subtitle: `Could not raid ${targetUrl || 'target'}. ${describeRaidReason(reason || 'raid-popup-not-shown')}`
+                });
+            }
+            break;
+        }
+
         case 'rlo-show-demo-popup':
             console.log('✅ [RLO] Received show demo popup request', msg.payload);
             showCenterPopup({
@@ -1208,6 +3933,12 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
                 html,
                 raidCommandId
             } = msg.payload;
+            if (html && raidCommandId && renderRaidConsoleConfirm(html, raidCommandId)) {
+                sendResponse({
+                    ok: true
+                });
+                break;
+            }
             if (html && raidCommandId) { 
                 document.getElementById('raid-confirm-popup-wrapper')?.remove();
 
@@ -1272,6 +4003,14 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         states: currentSettings
     });
     injectBaseStyles();
+    await loadAutoRaidSettings();
+    await loadRaidTrainSettings();
+    await loadChatTimestampSettings();
+    await loadChatModerationSettings();
+    await loadChatHighlightSettings();
+    await loadChatCommandSettings();
+    await loadAnnouncementSettings();
+    await loadChatResponderSettings();
     chatStylingEnabled = !!currentSettings['enable-chat-styling'];
     applyRaidKillSwitchLive(!!currentSettings['enable-raid-button-live']);
     if (!currentSettings['enable-raid-button-live']) removeRaidButton();
@@ -1283,7 +4022,27 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         if (!targetDiv) {
             /*noop*/ }
         if (currentSettings['enable-clips-command']) {
-            ensureClipButton();
+            ensureCommandBar();
+        }
+        rloObserveChatRows();
+        ensureAutoRaid();
+        ensureRaidTrain();
+        ensureAnnouncements();
+        ensureChatResponder();
+        if (currentSettings['enable-chat-alerts']) {
+            rloObserveChatAlerts();
+        }
+        if (currentSettings['enable-chat-log']) {
+            rloObserveChatLog();
+        }
+        if (currentSettings['enable-clip-markers']) {
+            rloObserveClipMarkers();
+        }
+        if (currentSettings['enable-chat-poll']) {
+            rloObserveChatPoll();
+        }
+        if (currentSettings['enable-chat-moderation']) {
+            rloObserveChatModeration();
         }
         if (isLiveStreamPage()) {
             if (currentSettings['enable-chat-enhancements']) {
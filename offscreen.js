@@ -2,7 +2,8 @@
  * Rumble Live Ops - offscreen.js
  * Version: v4.0.0
  * Description: Runs inside the offscreen document. Provides isolated DOM parsing
- *              for HTML fetched by the background service worker.
+ *              for HTML fetched by the background service worker, and is the
+ *              extension's only audio player (alert sounds, rant speech, previews).
  *
  * Core responsibilities
  * ─────────────────────
@@ -25,18 +26,36 @@
  *   - parseRaidTargets(doc)
  *       Extracts live usernames, URLs, avatar (CSS background-image), and viewer count
  *       from channel containers in main menu.
+ *   - parseChannelLive(doc)
+ *       Finds the live .videostream on a channel page → { videoUrl, title, thumbnail } | null.
+ *   - parseLiveDetails(doc)
+ *       Reads a live video page (JSON-LD VideoObject + og: meta + category link)
+ *       → { title, category, startedAt, endedAt, thumbnail, isLive, chatDisabled, ageRestricted }.
  *
  * • Message handling
- *   - Listens for {type:'parse-html', html, parseType}.
+ *   - Listens for {type:'parse-html', html, parseType, requestId}.
  *   - Creates a detached DOM via DOMParser.
  *   - Routes parseType → corresponding parser.
- *   - Responds with {type:'parse-result', data:[…]} back to background.
+ *   - Responds with {type:'parse-result', requestId, data} back to background; requestId
+ *     lets the background run several parses in parallel.
  *   - Safe fallback to [] if parsing fails.
  *
+ * • Audio output
+ *   - Every sound goes through playSound(): output device via setSinkId (audioSettings.deviceId),
+ *     master volume, and ducking of older overlapping sounds to duckLevel.
+ *   - Sounds are loaded by asset id from the IndexedDB library (asset-store.js) only when played.
+ *   - {type:'sound-preview', assetId, volume, output} plays a sound right away (options Preview buttons).
+ *
+ * • Alert playback
+ *   - {type:'alert-play', id, assetId, volume, speech, minMs, output} queues an alert: the sound plays,
+ *     then the rant speech (speechSynthesis), and it lasts at least minMs; one alert at a time.
+ *   - {type:'alert-skip'} stops the current alert (the queue continues).
+ *   - Replies {type:'alertPlayed', id} to the background when an alert is done or skipped.
+ *
  * Communication
  * ─────────────
- * - Input:   {type:'parse-html', html, parseType:'videos'|'playlists'|'raidTargets'}
- * - Output:  {type:'parse-result', data:Array}
+ * - Input:   {type:'parse-html', html, requestId, parseType:'videos'|'playlists'|'raidTargets'|'channelLive'|'liveDetails'}
+ * - Output:  {type:'parse-result', requestId, data:Array|Object|null}
  *
  * Author: TheRealTombi
  * Website: https://rumble.com/TheRealTombi
@@ -201,10 +220,215 @@ function parseRaidTargets(doc) {
     return out;
 }
 
+function parseJsonLd(doc) {
+    const out = [];
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(el => {
+        try {
+            const json = JSON.parse(el.textContent || 'null');
+            (Array.isArray(json) ? json : [json]).forEach(item => item && out.push(item));
+        } catch {}
+    });
+    return out;
+}
+
+function metaContent(doc, name) {
+    return attr(doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`), 'content');
+}
+
+function parseChannelLive(doc) {
+    const item = Array.from(doc.querySelectorAll('.videostream')).find(el =>
+        el.querySelector('.videostream__status--live, .thumbnail__thumb--live, .videostream__badge--live')
+    );
+    if (!item) return null;
+    const linkEl = item.querySelector('.videostream__link, a[href^="/v"]');
+    if (!linkEl) return null;
+    return {
+        videoUrl: toAbs(attr(linkEl, 'href')),
+        title: text(item.querySelector('.thumbnail__title')),
+        thumbnail: imgSrc(item.querySelector('img.thumbnail__image, .thumbnail__thumb img'))
+    };
+}
+
+function parseLiveDetails(doc) {
+    const video = parseJsonLd(doc).find(x => x['@type'] === 'VideoObject') || {};
+    const publication = Array.isArray(video.publication) ? video.publication[0] : video.publication;
+    const thumb = Array.isArray(video.thumbnailUrl) ? video.thumbnailUrl[0] : video.thumbnailUrl;
+    const categoryEl = doc.querySelector('a[href^="/category/"], a[href*="rumble.com/category/"]');
+    const chatText = text(doc.querySelector('#chat-container, .chat--container, .chat')).toLowerCase();
+    const familyFriendly = String(video.isFamilyFriendly ?? '').toLowerCase();
+    return {
+        title: firstTruthy(video.name, metaContent(doc, 'og:title'), text(doc.querySelector('h1'))),
+        category: firstTruthy(text(categoryEl), Array.isArray(video.genre) ? video.genre[0] : video.genre),
+        startedAt: firstTruthy(publication?.startDate, video.uploadDate) || null,
+        endedAt: publication?.endDate || null,
+        thumbnail: firstTruthy(thumb, metaContent(doc, 'og:image')),
+        isLive: publication ? !!publication.isLiveBroadcast : null,
+        chatDisabled: !!doc.querySelector('.chat--disabled, .chat-disabled') || /chat (is|has been) disabled/.test(chatText),
+        ageRestricted: familyFriendly === 'false' || metaContent(doc, 'rating') === 'adult' ||
+            !!doc.querySelector('.age-restricted, .video-age-restricted, [data-age-restricted]')
+    };
+}
+
+/* =========================
+   Audio output (device, master volume, ducking)
+========================= */
+const AUDIO_DEFAULTS = {
+    deviceId: '',
+    masterVolume: 1,
+    duck: true,
+    duckLevel: 0.3
+};
+let audioOutput = {
+    ...AUDIO_DEFAULTS
+};
+const activeSounds = new Set();
+
+// The background sends the saved audioSettings with every request (offscreen pages can't read storage).
+function setAudioOutput(output) {
+    audioOutput = {
+        ...AUDIO_DEFAULTS,
+        ...(output || {})
+    };
+}
+
+// The newest sound plays at full volume; with ducking on, older overlapping sounds drop to duckLevel.
+function applyVolumes() {
+    const sounds = [...activeSounds];
+    sounds.forEach((sound, i) => {
+        const ducked = audioOutput.duck && i < sounds.length - 1;
+        const volume = sound.volume * audioOutput.masterVolume * (ducked ? audioOutput.duckLevel : 1);
+        sound.audio.volume = Math.min(1, Math.max(0, volume));
+    });
+}
+
+// Loads an asset from the IndexedDB library (asset-store.js) and plays it; the blob URL is
+// released once the sound is done.
+async function playAsset(assetId, volume = 1, onAudio) {
+    const record = await RloAssets.get(assetId).catch(() => null);
+    if (!record?.blob) return;
+    const url = URL.createObjectURL(record.blob);
+    try {
+        await playSound(url, volume, onAudio);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Plays one sound on the chosen output device; resolves when it ends, fails or is stopped.
+function playSound(src, volume = 1, onAudio) {
+    return new Promise(resolve => {
+        const audio = new Audio(src);
+        const sound = {
+            audio,
+            volume: typeof volume === 'number' ? volume : 1
+        };
+        const done = () => {
+            if (!activeSounds.delete(sound)) return;
+            applyVolumes();
+            resolve();
+        };
+        audio.onended = done;
+        audio.onerror = done;
+        audio.onpause = done;
+        activeSounds.add(sound);
+        applyVolumes();
+        onAudio?.(audio);
+        const routed = audioOutput.deviceId && audio.setSinkId ?
+            audio.setSinkId(audioOutput.deviceId).catch(e => console.warn('[Offscreen] setSinkId failed, using the default device:', e)) :
+            Promise.resolve();
+        routed.then(() => audio.play()).catch(done);
+    });
+}
+
+/* =========================
+   Alert playback (sound → rant speech, one at a time)
+========================= */
+const playQueue = [];
+let playCurrent = null;
+
+// Runs one step of an alert; resolves when it ends on its own or the alert is skipped.
+function playStep(item, start) {
+    return new Promise(resolve => {
+        item.finish = resolve;
+        try {
+            start(resolve);
+        } catch (e) {
+            console.warn('[Offscreen] playback step failed:', e);
+            resolve();
+        }
+    });
+}
+
+function pickVoice(name) {
+    if (!name) return null;
+    return speechSynthesis.getVoices().find(v => v.name === name) || null;
+}
+
+async function playNext() {
+    if (playCurrent || !playQueue.length) return;
+    const item = playQueue.shift();
+    playCurrent = item;
+    const startedAt = Date.now();
+    if (item.assetId && !item.skipped) {
+        await playStep(item, done => playAsset(item.assetId, item.volume, audio => item.audio = audio).then(done, done));
+    }
+    if (item.speech?.text && !item.skipped) {
+        await playStep(item, done => {
+            const utterance = new SpeechSynthesisUtterance(item.speech.text);
+            const voice = pickVoice(item.speech.voice);
+            if (voice) utterance.voice = voice;
+            utterance.rate = item.speech.rate || 1;
+            utterance.volume = (typeof item.speech.volume === 'number' ? item.speech.volume : 1) * audioOutput.masterVolume;
+            utterance.onend = done;
+            utterance.onerror = done;
+            speechSynthesis.speak(utterance);
+        });
+    }
+    const remaining = (item.minMs || 0) - (Date.now() - startedAt);
+    if (remaining > 0 && !item.skipped) await playStep(item, done => setTimeout(done, remaining));
+    playCurrent = null;
+    chrome.runtime.sendMessage({
+        type: 'alertPlayed',
+        id: item.id
+    }).catch(() => {});
+    playNext();
+}
+
+function skipCurrent() {
+    if (!playCurrent) return;
+    playCurrent.skipped = true;
+    try {
+        playCurrent.audio?.pause();
+    } catch {}
+    speechSynthesis.cancel();
+    playCurrent.finish?.();
+}
+
 /* =========================
    Message Handler
 ========================= */
 chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'sound-preview') {
+        setAudioOutput(message.output);
+        if (message.assetId) playAsset(message.assetId, message.volume);
+        return;
+    }
+    if (message?.type === 'alert-play') {
+        setAudioOutput(message.output);
+        playQueue.push({
+            id: message.id,
+            assetId: message.assetId,
+            volume: message.volume,
+            speech: message.speech,
+            minMs: message.minMs
+        });
+        playNext();
+        return;
+    }
+    if (message?.type === 'alert-skip') {
+        skipCurrent();
+        return;
+    }
     if (message?.type !== 'parse-html') return;
 
     try {
@@ -222,18 +446,26 @@ chrome.runtime.onMessage.addListener((message) => {
             case 'raidTargets':
                 parsedData = parseRaidTargets(doc);
                 break;
+            case 'channelLive':
+                parsedData = parseChannelLive(doc);
+                break;
+            case 'liveDetails':
+                parsedData = parseLiveDetails(doc);
+                break;
             default:
                 parsedData = [];
         }
 
         chrome.runtime.sendMessage({
             type: 'parse-result',
+            requestId: message.requestId,
             data: parsedData
         });
     } catch (e) {
         console.error('Offscreen parse error:', e);
         chrome.runtime.sendMessage({
             type: 'parse-result',
+            requestId: message.requestId,
             data: []
         });
     }
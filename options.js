@@ -23,7 +23,8 @@
  *
  * • Helpers
  * - setSectionVisible(), getRelativePathOnly(), normalizeRumbleUrl().
- * - readFileAsDataURL(): for image/sound file imports.
+ * - Media library (asset-store.js): addMediaAsset(), renderBgList()/renderSoundList() list
+ *   metadata only and load blobs lazily (thumbnails, duration backfill).
  * - formatDateSmart(): context-sensitive date formatting.
  *
  * • Accordions
@@ -49,13 +50,92 @@
  * - renderRaidTargets(): optional test/demo list of live followed channels.
  * - Test popup handler: fetches raid targets + sends demo popup to content.js.
  *
+ * • Raid roster
+ * - loadRaidRosterForm()/saveRaidRosterForm(): favourites, blocklist, tags, sort mode (raidRoster).
+ * - renderLastRaided(): recently raided channels (raidLastTargets).
+ *
+ * • Alert overlay
+ * - overlaySettings (storage): theme + durationMs for overlay.html.
+ * - chatTimestampSettings (storage): chat stamp mode clock | relative | elapsed (saved on change).
+ * - openOverlayWindow(): pop-out window for OBS Window Capture.
+ * - Simulate RAID/RANT also send test alerts to the overlay (overlayTestAlert).
+ *
+ * • Rant text-to-speech
+ * - ttsSettings (storage): enabled, minAmount, maxLength, filters, blockedWords, voice, rate.
+ * - renderTtsVoices(): speechSynthesis voices; Test Voice goes through the background (ttsTest).
+ *
+ * • Alert queue
+ * - renderAlertQueue(): playing alert + pending items (skip one), pause/resume, skip current.
+ * - renderAlertHistory(): last 50 alerts (alertHistory) with Replay (alertQueueReplay).
+ * - Live updates from rlo-alert-queue-updated messages.
+ *
+ * • Raid train
+ * - raidTrain (storage): ordered slots { channel, start, end } (ISO times) + enabled/autoExecute.
+ * - renderRaidTrainSlots(): editable rows with reorder/remove; validateRaidTrainSlots().
+ * - exportRaidTrain()/importRaidTrain(): shared JSON plan ({ format: 'rlo-raid-train', version, name, slots }).
+ *
+ * • Raid history
+ * - renderRaidHistory(): per-channel totals + recent outbound/inbound raids (raidJournal).
+ * - exportRaidHistory('csv'|'json') via downloadFile()/toCsv().
+ *
+ * • Chat command bar
+ * - chatCommands (storage): { buttons: [{ id, emoji, label, text, cooldownSec, confirm }] }, edited
+ *   in place (chatCommandButtons) and saved together; content.js renders them next to Send.
+ *
+ * • Chat command responder
+ * - chatResponder (storage): enabled, dryRun, commands [{ id, trigger, aliases, response, permission,
+ *   cooldownSec, userCooldownSec }] edited in place (chatResponderCommands); triggers must be unique.
+ * - renderResponderLog(): responderLog (storage) of replies sent, dry-run or failed.
+ *
+ * • Timed announcements
+ * - chatAnnouncements (storage): enabled, paused (applies instantly), mode interval | messages,
+ *   intervalMin / afterMessages, random, quiet hours, messages; content.js posts them.
+ * - renderAnnouncementLog(): announcementLog (storage) of what was posted or why it wasn't.
+ *
+ * • Chat highlights
+ * - chatHighlights (storage): { moderator|vip: users, mention, keyword: words, question } each with
+ *   enabled/color/badge; rows rendered by loadChatHighlightsForm(), content.js applies them live.
+ *
+ * • Chat moderation
+ * - chatModeration (storage): highlight / flag watch lists (keywords or /regex/flags, validated on save),
+ *   markFirstTime; content.js applies them in the 🛡 panel above chat.
+ * - renderModLog(): modLog (storage) of mute / timeout / delete attempts made from the chat.
+ *
+ * • Chat log
+ * - RloChatLog (chat-log-store.js, IndexedDB): loadChatLogStreams()/loadChatLogMessages() per stream.
+ * - renderChatLog(): user + keyword search and rants-only filter (chatLogFilter()).
+ * - exportChatLog('csv'|'json'|'txt'): exports the filtered messages; txt is a "[time] user: text" transcript.
+ *
+ * • Chat polls
+ * - openPollWindow(): pop-out poll.html (mirrors chatPoll for OBS Window Capture).
+ * - renderPollHistory()/exportPollHistory(): pollHistory (storage) saved by content.js when a poll
+ *   closes; CSV has one row per option.
+ *
+ * • Clip markers
+ * - clipMarkers (storage; adds, note edits and deletes all go through the background): grouped
+ *   per stream (renderClipMarkerStreams()), each with stream time, Open VOD link (?start=), editable note and the chat around it.
+ * - exportClipMarkers('chapters'|'csv'|'edl'): YouTube chapter text (starts at 0:00), CSV, or a
+ *   CMX 3600 EDL with a CLIP_EDL_PRE_SEC / CLIP_EDL_POST_SEC range per marker.
+ *
+ * • Auto-raid
+ * - loadAutoRaidForm()/saveAutoRaidForm(): autoRaid settings (trigger, rule, priority list, countdown);
+ *   AUTO_RAID_DEFAULTS / RAID_TRAIN_DEFAULTS come from raid-defaults.js.
+ *
  * • Background images
  * - applySelectedBackground(): applies chosen background (or default).
  * - renderBgList(): lists uploaded backgrounds with set/delete actions.
  *
  * • Sounds (raid/rant)
- * - renderSoundList(): manage lists of audio files with set/delete actions.
- * - Stored in chrome.storage.local as base64 dataUrls.
+ * - renderSoundList(): manage lists of audio files with preview/set/delete actions; Preview
+ *   plays through the offscreen player (previewSound) on the chosen output device.
+ * - Stored as blobs in the IndexedDB asset store (RloAssets); defaults are *SelectedId keys.
+ * - audioSettings (storage): output deviceId (renderAudioDevices), master volume, ducking.
+ *
+ * • Alert rules
+ * - alertRules (storage): global mute + per event type { enabled, sound, volume, durationMs,
+ *   template, cooldownSec, tiers }; edited one event type at a time (alertRulesDraft).
+ * - Sounds are referenced as 'raid:<addedAt>' / 'rant:<addedAt>' so reordering or deleting
+ *   other sounds keeps the choice; a deleted sound falls back to the default.
  *
  * • API verification
  * - verifyApiKey(): validates stored rumbleApiKey via background fetch.
@@ -79,6 +159,7 @@
  * • Runtime listeners
  * - chrome.runtime.onMessage:
  * • toast → showToast
+ * • rlo-alert-queue-updated → alert queue panel
  * • videos-harvest-complete → refresh list
  * • playlistsUpdated → refresh playlists
  * • playlist-apply-* → update/complete progress
@@ -115,16 +196,15 @@ const defaultFunctionStates = {
     'enable-achievements': false,
     'enable-clips-command': false,
     'enable-chat-enhancements': false,
+    'enable-live-alerts': false,
+    'enable-chat-alerts': false,
+    'enable-chat-log': false,
+    'enable-chat-moderation': false,
+    'enable-clip-markers': false,
+    'enable-chat-poll': false,
 };
 
-const KEYS = {
-    BG_LIST: 'bgImages',
-    BG_SELECTED: 'bgSelectedIndex',
-    RAID_LIST: 'raidSounds',
-    RAID_SELECTED: 'raidSelectedIndex',
-    RANT_LIST: 'rantSounds',
-    RANT_SELECTED: 'rantSelectedIndex'
-};
+const AUTO_RAID_DEFAULTS = self.RloRaidDefaults.autoRaid; // raid-defaults.js
 
 function sleep(ms) {
     return new Promise(r => setTimeout(r, ms));
@@ -359,13 +439,27 @@ function normalizeRumbleUrl(rel) {
     }
 }
 
-function readFileAsDataURL(file) {
-    return new Promise((resolve, reject) => {
-        const fr = new FileReader();
-        fr.onload = () => resolve(fr.result);
-        fr.onerror = reject;
-        fr.readAsDataURL(file);
+function downloadFile(filename, mime, text) {
+    const blob = new Blob([text], {
+        type: mime
     });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+        URL.revokeObjectURL(a.href);
+        a.remove();
+    }, 0);
+}
+
+function toCsv(rows, columns) {
+    const esc = v => {
+        const str = v == null ? '' : String(v);
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return [columns.join(','), ...rows.map(r => columns.map(c => esc(r[c])).join(','))].join('\r\n');
 }
 
 function getPlaylistKey(p) {
@@ -747,117 +841,443 @@ function runClearForSelection() {
     showToast(`Clearing playlists on ${videoUrls.length} video(s)…`, 'info', 4000);
 }
 
-function applySelectedBackground(bgList, selectedIndex) {
+let appliedBgUrl = null;
+let bgThumbUrls = [];
+
+function formatBytes(bytes) {
+    if (!bytes) return '';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDuration(seconds) {
+    if (typeof seconds !== 'number') return '';
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+async function assetObjectUrl(id) {
+    const record = await RloAssets.get(id);
+    return record?.blob ? URL.createObjectURL(record.blob) : null;
+}
+
+function measureAudioDuration(blob) {
+    return new Promise(resolve => {
+        const url = URL.createObjectURL(blob);
+        const audio = new Audio();
+        const done = (value) => {
+            URL.revokeObjectURL(url);
+            resolve(value);
+        };
+        audio.preload = 'metadata';
+        audio.onloadedmetadata = () => done(Number.isFinite(audio.duration) ? audio.duration : null);
+        audio.onerror = () => done(null);
+        audio.src = url;
+    });
+}
+
+// Stores an uploaded file in the IndexedDB library; the first background becomes the default.
+async function addMediaAsset(type, file) {
+    const duration = type === 'bg' ? null : await measureAudioDuration(file);
+    const asset = await RloAssets.put({
+        type,
+        name: file.name,
+        blob: file,
+        duration
+    });
+    if (type === 'bg' && !(await RloAssets.getSelected('bg'))) await RloAssets.setSelected('bg', asset.id);
+    return asset;
+}
+
+async function applySelectedBackground() {
     const body = document.body;
-    if (Array.isArray(bgList) && bgList.length && selectedIndex != null && bgList[selectedIndex]) {
-        const url = bgList[selectedIndex].dataUrl;
-        body.style.background = `radial-gradient(ellipse at center, rgba(0,0,0,0.35), rgba(0,0,0,0.65)), url('${url}') center/cover fixed no-repeat`;
-    } else {
-        body.style.background = `radial-gradient(ellipse at center, rgba(0,0,0,0.35), rgba(0,0,0,0.65)), url('images/bg.jpg') center/cover fixed no-repeat`;
-    }
+    const id = await RloAssets.getSelected('bg');
+    const url = id ? await assetObjectUrl(id) : null;
+    if (appliedBgUrl) URL.revokeObjectURL(appliedBgUrl);
+    appliedBgUrl = url;
+    body.style.background = `radial-gradient(ellipse at center, rgba(0,0,0,0.35), rgba(0,0,0,0.65)), url('${url || 'images/bg.jpg'}') center/cover fixed no-repeat`;
     body.style.backgroundBlendMode = 'multiply';
 }
 
-function renderBgList(bgList = [], selectedIndex = null) {
+async function renderBgList() {
     const listEl = document.getElementById('bg-list');
+    if (!listEl) return;
+    const [items, selectedId] = await Promise.all([RloAssets.list('bg'), RloAssets.getSelected('bg')]);
+    bgThumbUrls.forEach(url => URL.revokeObjectURL(url));
+    bgThumbUrls = [];
     listEl.innerHTML = '';
-    if (!bgList.length) {
+    if (!items.length) {
         listEl.innerHTML = '<p class="help">No background images yet.</p>';
         return;
     }
-    bgList.forEach((item, idx) => {
+    items.forEach(item => {
         const row = document.createElement('div');
         row.className = 'simple-row';
-        row.innerHTML = `<div class="thumb" style="width:56px;height:56px;display:flex;align-items:center;justify-content:center;overflow:hidden;background:#0c1116;border-radius:8px;">${item.dataUrl ? `<img src="${item.dataUrl}" alt="${item.name}" style="max-width:100%;max-height:100%;width:auto;height:auto;object-fit:contain;display:block;" />` : ''}</div><div class="title"><div>${item.name || 'Background'}</div><div class="meta">${formatDateSmart(item.addedAt || Date.now())}</div>${idx === selectedIndex ? `<span class="chip">Default</span>` : ''}</div><div class="actions"><button class="secondary" data-action="select" data-index="${idx}">Set Default</button><button class="ghost" data-action="delete" data-index="${idx}">Delete</button></div>`;
+        row.innerHTML = `<div class="thumb" style="width:56px;height:56px;display:flex;align-items:center;justify-content:center;overflow:hidden;background:#0c1116;border-radius:8px;"><img alt="" style="max-width:100%;max-height:100%;width:auto;height:auto;object-fit:contain;display:block;" /></div><div class="title"><div>${item.name || 'Background'}</div><div class="meta">${[formatDateSmart(item.addedAt || Date.now()), formatBytes(item.size)].filter(Boolean).join(' • ')}</div>${item.id === selectedId ? `<span class="chip">Default</span>` : ''}</div><div class="actions"><button class="secondary" data-action="select">Set Default</button><button class="ghost" data-action="delete">Delete</button></div>`;
         const img = row.querySelector('img');
-        if (img) img.addEventListener('error', () => {
+        img.addEventListener('error', () => {
             img.style.display = 'none';
         });
+        assetObjectUrl(item.id).then(url => {
+            if (!url) return;
+            bgThumbUrls.push(url);
+            img.src = url;
+        });
+        row.querySelector('[data-action="select"]').addEventListener('click', async () => {
+            await RloAssets.setSelected('bg', item.id);
+            await applySelectedBackground();
+            await renderBgList();
+            showToast('Background set as default.', 'success');
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+            await RloAssets.remove(item.id);
+            if (item.id === selectedId) await RloAssets.setSelected('bg', null);
+            await applySelectedBackground();
+            await renderBgList();
+            showToast('Background removed.', 'success');
+        });
         listEl.appendChild(row);
     });
-    listEl.querySelectorAll('button[data-action="select"]').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const idx = Number(btn.dataset.index);
-            chrome.storage.local.set({
-                [KEYS.BG_SELECTED]: idx
-            }, () => {
-                applySelectedBackground(bgList, idx);
-                renderBgList(bgList, idx);
-                showToast('Background set as default.', 'success');
-            });
-        });
+}
+
+const AUDIO_DEFAULTS = {
+    deviceId: '',
+    masterVolume: 1,
+    duck: true,
+    duckLevel: 0.3
+};
+
+// Output device ids are shared by every extension page, so the offscreen player can use them.
+async function renderAudioDevices(selected) {
+    const select = document.getElementById('audio-device');
+    if (!select) return;
+    const current = selected ?? select.value;
+    let devices = [];
+    try {
+        devices = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'audiooutput' && d.deviceId && d.deviceId !== 'default');
+    } catch (e) {
+        console.warn('[RLO] enumerateDevices failed:', e);
+    }
+    select.innerHTML = '<option value="">System default</option>';
+    devices.forEach((d, i) => {
+        const opt = document.createElement('option');
+        opt.value = d.deviceId;
+        opt.textContent = d.label || `Output device ${i + 1}`;
+        select.appendChild(opt);
     });
-    listEl.querySelectorAll('button[data-action="delete"]').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const idx = Number(btn.dataset.index);
-            const newList = bgList.slice(0, idx).concat(bgList.slice(idx + 1));
-            let newSelected = (selectedIndex != null ? selectedIndex : null);
-            if (newSelected != null) {
-                if (idx === selectedIndex) newSelected = newList.length ? 0 : null;
-                else if (idx < selectedIndex) newSelected = selectedIndex - 1;
-            }
-            chrome.storage.local.set({
-                [KEYS.BG_LIST]: newList,
-                [KEYS.BG_SELECTED]: newSelected
-            }, () => {
-                applySelectedBackground(newList, newSelected);
-                renderBgList(newList, newSelected);
-                showToast('Background removed.', 'success');
-            });
+    select.value = current || '';
+    if (select.value !== (current || '')) {
+        const opt = document.createElement('option');
+        opt.value = current;
+        opt.textContent = 'Saved device (not connected)';
+        select.appendChild(opt);
+        select.value = current;
+    }
+}
+
+async function revealAudioDeviceNames() {
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: true
         });
+        stream.getTracks().forEach(t => t.stop());
+        await renderAudioDevices();
+    } catch (e) {
+        showToast('Microphone access was not allowed, so device names stay hidden.', 'error');
+    }
+}
+
+function loadAudioForm() {
+    chrome.storage.local.get('audioSettings', ({
+        audioSettings
+    }) => {
+        const s = {
+            ...AUDIO_DEFAULTS,
+            ...(audioSettings || {})
+        };
+        document.getElementById('audio-master-volume').value = Math.round(s.masterVolume * 100);
+        document.getElementById('audio-duck').checked = !!s.duck;
+        document.getElementById('audio-duck-level').value = Math.round(s.duckLevel * 100);
+        renderAudioDevices(s.deviceId);
     });
 }
 
-function renderSoundList(listEl, sounds = [], selectedIndex = null, type = 'raid') {
+function saveAudioForm() {
+    const percent = (id, fallback) => {
+        const v = readNumberInput(document.getElementById(id));
+        return (v == null ? fallback : Math.min(100, Math.max(0, v))) / 100;
+    };
+    const audioSettings = {
+        deviceId: document.getElementById('audio-device')?.value || '',
+        masterVolume: percent('audio-master-volume', 100),
+        duck: !!document.getElementById('audio-duck')?.checked,
+        duckLevel: percent('audio-duck-level', 30)
+    };
+    chrome.storage.local.set({
+        audioSettings
+    }, () => showToast('Audio output saved.', 'success'));
+}
+
+// Lists only metadata; durations missing from migrated sounds are measured once and saved.
+async function renderSoundList(listEl, type = 'raid') {
+    if (!listEl) return;
+    const [sounds, selectedId] = await Promise.all([RloAssets.list(type), RloAssets.getSelected(type)]);
     listEl.innerHTML = '';
     if (!sounds.length) {
         listEl.innerHTML = `<p class="help">No ${type} sounds yet.</p>`;
         return;
     }
-    sounds.forEach((s, idx) => {
+    const metaText = (s) => [formatDateSmart(s.addedAt || Date.now()), formatDuration(s.duration), formatBytes(s.size)].filter(Boolean).join(' • ');
+    sounds.forEach(s => {
         const row = document.createElement('div');
         row.className = 'simple-row';
-        row.innerHTML = `<div class="thumb"></div><div class="title"><div>${s.name || `${type} sound`}</div><div class="meta">${formatDateSmart(s.addedAt || Date.now())}</div>${idx === selectedIndex ? `<span class="chip">Default</span>` : ''}<audio controls src="${s.dataUrl}" style="margin-top:6px;"></audio></div><div class="actions"><button class="secondary" data-action="select" data-index="${idx}">Set Default</button><button class="ghost" data-action="delete" data-index="${idx}">Delete</button></div>`;
-        listEl.appendChild(row);
-    });
-    listEl.querySelectorAll('button[data-action="select"]').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const idx = Number(btn.dataset.index);
-            const selKey = type === 'raid' ? KEYS.RAID_SELECTED : KEYS.RANT_SELECTED;
-            chrome.storage.local.set({
-                [selKey]: idx
-            }, () => {
-                chrome.storage.local.get([type === 'raid' ? KEYS.RAID_LIST : KEYS.RANT_LIST], (data) => {
-                    const arr = data[type === 'raid' ? KEYS.RAID_LIST : KEYS.RANT_LIST] || [];
-                    renderSoundList(listEl, arr, idx, type);
-                    showToast(`${type === 'raid' ? 'Raid' : 'Rant'} sound set as default.`, 'success');
+        row.innerHTML = `<div class="thumb"></div><div class="title"><div>${s.name || `${type} sound`}</div><div class="meta">${metaText(s)}</div>${s.id === selectedId ? `<span class="chip">Default</span>` : ''}</div><div class="actions"><button class="secondary" data-action="preview">Preview</button><button class="secondary" data-action="select">Set Default</button><button class="ghost" data-action="delete">Delete</button></div>`;
+        if (s.duration == null) {
+            RloAssets.get(s.id).then(record => record?.blob && measureAudioDuration(record.blob)).then(async duration => {
+                if (typeof duration !== 'number') return;
+                const updated = await RloAssets.update(s.id, {
+                    duration
                 });
+                if (updated) row.querySelector('.meta').textContent = metaText(updated);
             });
+        }
+        row.querySelector('[data-action="preview"]').addEventListener('click', async () => {
+            const res = await bgMessage('previewSound', {
+                kind: type,
+                sound: s.id
+            });
+            if (!res?.ok) showToast('Could not play that sound.', 'error');
+        });
+        row.querySelector('[data-action="select"]').addEventListener('click', async () => {
+            await RloAssets.setSelected(type, s.id);
+            await renderSoundList(listEl, type);
+            showToast(`${type === 'raid' ? 'Raid' : 'Rant'} sound set as default.`, 'success');
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+            await RloAssets.remove(s.id);
+            if (s.id === selectedId) await RloAssets.setSelected(type, null);
+            await renderSoundList(listEl, type);
+            refreshAlertSoundOptions();
+            showToast(`${type === 'raid' ? 'Raid' : 'Rant'} sound removed.`, 'success');
         });
+        listEl.appendChild(row);
     });
-    listEl.querySelectorAll('button[data-action="delete"]').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const idx = Number(btn.dataset.index);
-            const listKey = type === 'raid' ? KEYS.RAID_LIST : KEYS.RANT_LIST;
-            const selKey = type === 'raid' ? KEYS.RAID_SELECTED : KEYS.RANT_SELECTED;
-            chrome.storage.local.get([listKey, selKey], (data) => {
-                const arr = data[listKey] || [];
-                const sel = data[selKey] ?? null;
-                const newArr = arr.slice(0, idx).concat(arr.slice(idx + 1));
-                let newSel = sel;
-                if (newSel != null) {
-                    if (idx === sel) newSel = newArr.length ? 0 : null;
-                    else if (idx < sel) newSel = sel - 1;
-                }
-                chrome.storage.local.set({
-                    [listKey]: newArr,
-                    [selKey]: newSel
-                }, () => {
-                    renderSoundList(listEl, newArr, newSel, type);
-                    showToast(`${type === 'raid' ? 'Raid' : 'Rant'} sound removed.`, 'success');
-                });
-            });
+}
+
+const ALERT_RULE_DEFAULTS = {
+    raid: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 6000,
+        template: 'is raiding with {viewers} viewers!',
+        cooldownSec: 0,
+        tiers: []
+    },
+    rant: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 6000,
+        template: '{amount} Rant: {text}',
+        cooldownSec: 0,
+        tiers: []
+    },
+    follow: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 5000,
+        template: 'just followed!',
+        cooldownSec: 0,
+        tiers: []
+    },
+    subscription: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 6000,
+        template: 'just subscribed!',
+        cooldownSec: 0,
+        tiers: []
+    },
+    gifted: {
+        enabled: true,
+        sound: 'default',
+        volume: 1,
+        durationMs: 6000,
+        template: 'gifted {count} subs!',
+        cooldownSec: 0,
+        tiers: []
+    }
+};
+const ALERT_TIER_UNITS = {
+    raid: 'viewers',
+    rant: 'dollars',
+    gifted: 'subs'
+};
+let alertRulesDraft = null;
+let alertRuleKind = 'raid';
+let alertSoundOptions = [];
+
+function readNumberInput(input) {
+    const v = input?.value.trim();
+    return v === '' || v == null || !Number.isFinite(Number(v)) ? null : Number(v);
+}
+
+function fillAlertSoundSelect(select, value, allowInherit) {
+    select.innerHTML = '';
+    const options = [
+        ...(allowInherit ? [
+            ['', 'Rule sound']
+        ] : []),
+        ['default', 'Default sound'],
+        ['none', 'No sound'],
+        ...alertSoundOptions
+    ];
+    options.forEach(([val, label]) => {
+        const opt = document.createElement('option');
+        opt.value = val;
+        opt.textContent = label;
+        select.appendChild(opt);
+    });
+    select.value = value ?? '';
+    if (select.value !== (value ?? '')) select.value = allowInherit ? '' : 'default';
+}
+
+async function loadAlertSoundOptions() {
+    const [raid, rant] = await Promise.all([RloAssets.list('raid'), RloAssets.list('rant')]);
+    alertSoundOptions = [
+        ...raid.map(s => [s.id, `Raid: ${s.name || 'sound'}`]),
+        ...rant.map(s => [s.id, `Rant: ${s.name || 'sound'}`])
+    ];
+}
+
+// Re-fills the rule/tier sound pickers after sounds are added or deleted, keeping unsaved edits.
+async function refreshAlertSoundOptions() {
+    if (!alertRulesDraft) return;
+    commitAlertRuleForm();
+    await loadAlertSoundOptions();
+    renderAlertRuleForm();
+}
+
+function renderAlertRuleTiers() {
+    const wrap = document.getElementById('alert-rule-tiers');
+    const section = document.getElementById('alert-rule-tiers-section');
+    if (!wrap || !section) return;
+    const unit = ALERT_TIER_UNITS[alertRuleKind];
+    section.style.display = unit ? '' : 'none';
+    if (!unit) return;
+    document.getElementById('alert-rule-tiers-label').textContent = `Tiers (by ${unit})`;
+    const tiers = alertRulesDraft.rules[alertRuleKind].tiers;
+    wrap.innerHTML = '';
+    if (!tiers.length) {
+        wrap.innerHTML = '<p class="help">No tiers yet.</p>';
+        return;
+    }
+    tiers.forEach((tier, idx) => {
+        const row = document.createElement('div');
+        row.className = 'alert-tier';
+        row.innerHTML = `<div class="alert-tier-fields"><input type="number" data-field="min" min="0" placeholder="At least (${unit})" /><input type="number" data-field="volume" min="0" max="100" placeholder="Volume %" /><input type="number" data-field="duration" min="1" max="60" placeholder="Seconds" /><select data-field="sound"></select><input type="text" data-field="template" placeholder="Message (blank = rule message)" /></div><div class="actions"><button class="ghost" data-action="remove" title="Remove">✕</button></div>`;
+        row.querySelector('[data-field="min"]').value = tier.min ?? '';
+        row.querySelector('[data-field="volume"]').value = typeof tier.volume === 'number' ? Math.round(tier.volume * 100) : '';
+        row.querySelector('[data-field="duration"]').value = typeof tier.durationMs === 'number' ? Math.round(tier.durationMs / 1000) : '';
+        row.querySelector('[data-field="template"]').value = tier.template || '';
+        fillAlertSoundSelect(row.querySelector('[data-field="sound"]'), tier.sound || '', true);
+        row.querySelectorAll('input, select').forEach(input => input.addEventListener('change', () => {
+            const value = input.dataset.field === 'sound' || input.dataset.field === 'template' ? input.value.trim() : readNumberInput(input);
+            if (input.dataset.field === 'volume') tier.volume = value == null ? undefined : Math.min(100, Math.max(0, value)) / 100;
+            else if (input.dataset.field === 'duration') tier.durationMs = value == null ? undefined : Math.min(60, Math.max(1, value)) * 1000;
+            else tier[input.dataset.field] = value === '' || value == null ? undefined : value;
+        }));
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            tiers.splice(idx, 1);
+            renderAlertRuleTiers();
         });
+        wrap.appendChild(row);
+    });
+}
+
+function renderAlertRuleForm() {
+    const rule = alertRulesDraft.rules[alertRuleKind];
+    document.getElementById('alert-rules-muted').checked = !!alertRulesDraft.muted;
+    document.getElementById('alert-rule-kind').value = alertRuleKind;
+    document.getElementById('alert-rule-enabled').checked = !!rule.enabled;
+    fillAlertSoundSelect(document.getElementById('alert-rule-sound'), rule.sound, false);
+    document.getElementById('alert-rule-volume').value = Math.round(rule.volume * 100);
+    document.getElementById('alert-rule-duration').value = Math.round(rule.durationMs / 1000);
+    document.getElementById('alert-rule-template').value = rule.template || '';
+    document.getElementById('alert-rule-cooldown').value = rule.cooldownSec;
+    renderAlertRuleTiers();
+}
+
+// Copies the visible rule fields back into the draft (tier rows update it as they change).
+function commitAlertRuleForm() {
+    const rule = alertRulesDraft.rules[alertRuleKind];
+    const volume = readNumberInput(document.getElementById('alert-rule-volume'));
+    const duration = readNumberInput(document.getElementById('alert-rule-duration'));
+    const cooldown = readNumberInput(document.getElementById('alert-rule-cooldown'));
+    alertRulesDraft.muted = !!document.getElementById('alert-rules-muted')?.checked;
+    rule.enabled = !!document.getElementById('alert-rule-enabled')?.checked;
+    rule.sound = document.getElementById('alert-rule-sound')?.value || 'default';
+    rule.volume = volume == null ? 1 : Math.min(100, Math.max(0, volume)) / 100;
+    rule.durationMs = (duration == null ? 6 : Math.min(60, Math.max(1, duration))) * 1000;
+    rule.template = (document.getElementById('alert-rule-template')?.value || '').trim();
+    rule.cooldownSec = cooldown == null ? 0 : Math.min(3600, Math.max(0, Math.round(cooldown)));
+}
+
+function loadAlertRulesForm() {
+    chrome.storage.local.get('alertRules', async (data) => {
+        await loadAlertSoundOptions();
+        const rules = {};
+        Object.keys(ALERT_RULE_DEFAULTS).forEach(kind => {
+            const stored = data.alertRules?.rules?.[kind] || {};
+            rules[kind] = {
+                ...ALERT_RULE_DEFAULTS[kind],
+                ...stored,
+                tiers: (stored.tiers || []).map(t => ({
+                    ...t
+                }))
+            };
+        });
+        alertRulesDraft = {
+            muted: !!data.alertRules?.muted,
+            rules
+        };
+        renderAlertRuleForm();
+    });
+}
+
+function switchAlertRuleKind(kind) {
+    commitAlertRuleForm();
+    alertRuleKind = kind;
+    renderAlertRuleForm();
+}
+
+function addAlertRuleTier() {
+    const tiers = alertRulesDraft.rules[alertRuleKind].tiers;
+    const last = tiers[tiers.length - 1];
+    tiers.push({
+        min: last?.min > 0 ? last.min * 10 : (alertRuleKind === 'rant' ? 5 : 10)
+    });
+    renderAlertRuleTiers();
+}
+
+function saveAlertRulesForm() {
+    if (!alertRulesDraft) return;
+    commitAlertRuleForm();
+    for (const [kind, rule] of Object.entries(alertRulesDraft.rules)) {
+        if (!ALERT_TIER_UNITS[kind]) rule.tiers = [];
+        if (rule.tiers.some(t => typeof t.min !== 'number' || t.min < 0)) {
+            return showToast(`Every ${kind} tier needs a minimum of 0 or more.`, 'error');
+        }
+        rule.tiers.sort((a, b) => a.min - b.min);
+    }
+    chrome.storage.local.set({
+        alertRules: alertRulesDraft
+    }, () => {
+        renderAlertRuleTiers();
+        showToast(`Alert rules saved${alertRulesDraft.muted ? ' (sounds muted)' : ''}.`, 'success');
     });
 }
 
@@ -966,144 +1386,1584 @@ function verifyApiKey(key) {
         });
 }
 
-/* ===== INIT ===== */
-document.addEventListener('DOMContentLoaded', () => {
-    setupAccordions();
-    loadFunctionStates();
-    ensurePlaylistProgressStyles();
+function splitList(value, sep = /[\n,]/) {
+    return String(value || '').split(sep).map(v => v.trim()).filter(Boolean);
+}
 
-    const apiKeyInput = document.getElementById('apiKey');
-    const saveBtn = document.getElementById('save');
-    const fetchPlaylistsBtn = document.getElementById('fetch-playlists-btn');
-    const harvestVideosBtn = document.getElementById('harvest-videos-btn');
-    const getRaidTargetsBtn = document.getElementById('get-raid-targets-btn');
-    const bgInput = document.getElementById('bg-image-input');
-    const addBgBtn = document.getElementById('add-bg-btn');
-    const resetBgBtn = document.getElementById('reset-bg-default-btn');
-    const raidInput = document.getElementById('raid-sound-input');
-    const addRaidBtn = document.getElementById('add-raid-sound-btn');
-    const raidListEl = document.getElementById('raid-sounds-list');
-    const rantInput = document.getElementById('rant-sound-input');
-    const addRantBtn = document.getElementById('add-rant-sound-btn');
-    const rantListEl = document.getElementById('rant-sounds-list');
-    const testRaidBtn = document.getElementById('test-raid-btn');
-    const testRantBtn = document.getElementById('test-rant-btn');
-    const testStatusBtn = document.getElementById('test-status-popup-btn');
-    const testLivePopupBtn = document.getElementById('test-live-popup-btn');
-    const achToggle = document.getElementById('enable-achievements');
+const RAID_ROSTER_DEFAULTS = {
+    favorites: [],
+    blocked: [],
+    tags: {},
+    sortMode: 'favorites'
+};
 
-    if (testRaidBtn) {
-        testRaidBtn.addEventListener('click', async () => {
-            const ok = await sendToActiveRumble({
-                type: 'rlo-test-raid',
-                from: 'Awesome Raider'
-            });
-            if (ok) showToast('Simulated RAID sent.', 'success');
-        });
-    }
-    if (testRantBtn) {
-        testRantBtn.addEventListener('click', async () => {
-            const ok = await sendToActiveRumble({
-                type: 'rlo-test-rant',
-                from: 'Awesome Raider',
-                amount: 2
-            });
-            if (ok) showToast('Simulated RANT sent.', 'success');
-        });
-    }
-    if (testLivePopupBtn) {
-        testLivePopupBtn.addEventListener('click', async () => {
-            const ok = await sendToActiveRumble({
-                type: 'rlo-test-live-popup'
-            });
-            if (ok) showToast('Requested Live Popup.', 'success');
-        });
-    }
-    if (testStatusBtn) {
-        testStatusBtn.addEventListener('click', async () => {
-            const ok = await sendToActiveRumble({
-                type: 'rlo-test-status-popup'
-            });
-            if (ok) showToast('Requested Status Popup.', 'info');
-        });
-    }
-    if (achToggle) {
-        achToggle.addEventListener('change', () => {
-            if (achToggle.checked) {
-                achToggle.checked = false;
-                chrome.storage.local.get({
-                    functionStates: defaultFunctionStates
-                }, ({
-                    functionStates
-                }) => {
-                    const next = {
-                        ...(functionStates || defaultFunctionStates),
-                        'enable-achievements': false
-                    };
-                    chrome.storage.local.set({
-                        functionStates: next
-                    });
-                });
-                showToast('Achievements are not available yet.', 'info');
-            }
-        });
-    }
+function parseRosterTags(text) {
+    const tags = {};
+    splitList(text, '\n').forEach(line => {
+        const idx = line.lastIndexOf(':');
+        if (idx <= 0) return;
+        const channel = line.slice(0, idx).trim();
+        const list = splitList(line.slice(idx + 1), ',');
+        if (channel && list.length) tags[channel] = list;
+    });
+    return tags;
+}
 
-    chrome.storage.local.get(['rumbleApiKey', 'userPlaylists', 'userVideos', 'videos', 'harvestingVideos', KEYS.BG_LIST, KEYS.BG_SELECTED, KEYS.RAID_LIST, KEYS.RAID_SELECTED, KEYS.RANT_LIST, KEYS.RANT_SELECTED, 'functionStates'], (data) => {
-        if (data.rumbleApiKey) {
-            apiKeyInput.value = data.rumbleApiKey;
-            verifyApiKey(data.rumbleApiKey);
-        } else {
-            verifyApiKey(null);
-        }
-        if (data.userPlaylists) renderPlaylists(data.userPlaylists);
-        renderVideoManager(data.userVideos || data.videos || []);
-        if (data.harvestingVideos) {
-            harvestVideosBtn.disabled = true;
-            showToast('Fetching videos…', 'info', 4000);
-        }
-        const bgList = data[KEYS.BG_LIST] || [],
-            bgSel = (typeof data[KEYS.BG_SELECTED] === 'number') ? data[KEYS.BG_SELECTED] : null;
-        applySelectedBackground(bgList, bgSel);
-        renderBgList(bgList, bgSel);
-        const raidArr = data[KEYS.RAID_LIST] || [],
-            raidSel = (typeof data[KEYS.RAID_SELECTED] === 'number') ? data[KEYS.RAID_SELECTED] : null;
-        renderSoundList(raidListEl, raidArr, raidSel, 'raid');
-        const rantArr = data[KEYS.RANT_LIST] || [],
-            rantSel = (typeof data[KEYS.RANT_SELECTED] === 'number') ? data[KEYS.RANT_SELECTED] : null;
-        renderSoundList(rantListEl, rantArr, rantSel, 'rant');
-        const hideEnabled = !!(data.functionStates?.['enable-hide-campaigns']);
-        syncHideCampaignsToStudio(hideEnabled);
+function renderLastRaided(lastRaided = {}) {
+    const el = document.getElementById('roster-last-raided');
+    if (!el) return;
+    const entries = Object.entries(lastRaided).sort((a, b) => b[1] - a[1]).slice(0, 10);
+    el.innerHTML = entries.length ? '' : '<p class="help">No raids recorded yet.</p>';
+    entries.forEach(([handle, at]) => {
+        const row = document.createElement('div');
+        row.className = 'simple-row';
+        row.innerHTML = `<div class="thumb"></div><div class="title"><div class="roster-handle"></div><div class="meta">${formatDateSmart(at)}</div></div><div class="actions"></div>`;
+        row.querySelector('.roster-handle').textContent = handle;
+        el.appendChild(row);
     });
+}
 
-    const onSaveClick = () => {
-        const key = (apiKeyInput.value || '').trim();
-        showToast('Saving API key...', 'info');
-        chrome.storage.local.set({
-            rumbleApiKey: key
-        }, () => {
-            verifyApiKey(key);
-        });
+function loadRaidRosterForm() {
+    chrome.storage.local.get(['raidRoster', 'raidLastTargets'], ({
+        raidRoster,
+        raidLastTargets
+    }) => {
+        const r = {
+            ...RAID_ROSTER_DEFAULTS,
+            ...(raidRoster || {})
+        };
+        const set = (id, v) => {
+            const el = document.getElementById(id);
+            if (el) el.value = v;
+        };
+        set('roster-favorites', (r.favorites || []).join('\n'));
+        set('roster-blocked', (r.blocked || []).join('\n'));
+        set('roster-tags', Object.entries(r.tags || {}).map(([k, v]) => `${k}: ${v.join(', ')}`).join('\n'));
+        set('roster-sort', r.sortMode);
+        renderLastRaided(raidLastTargets || {});
+    });
+}
+
+function saveRaidRosterForm() {
+    const val = id => document.getElementById(id)?.value || '';
+    const raidRoster = {
+        favorites: splitList(val('roster-favorites'), '\n'),
+        blocked: splitList(val('roster-blocked'), '\n'),
+        tags: parseRosterTags(val('roster-tags')),
+        sortMode: val('roster-sort') || RAID_ROSTER_DEFAULTS.sortMode
     };
-    if (saveBtn) saveBtn.addEventListener('click', onSaveClick);
+    chrome.storage.local.set({
+        raidRoster
+    }, () => showToast('Raid roster saved.', 'success'));
+}
 
-    if (fetchPlaylistsBtn) {
-        fetchPlaylistsBtn.addEventListener('click', () => {
-            fetchPlaylistsBtn.disabled = true;
-            showToast('Fetching playlists…', 'info');
-            chrome.runtime.sendMessage({
-                type: 'fetchPlaylists'
-            });
+let raidJournalCache = [];
+
+function summarizeRaidJournal(journal) {
+    const byChannel = {};
+    journal.forEach(e => {
+        const key = e.channel || 'unknown';
+        const row = byChannel[key] || (byChannel[key] = {
+            channel: key,
+            outbound: 0,
+            inbound: 0,
+            lastAt: 0
         });
+        if (e.direction === 'inbound') row.inbound += 1;
+        else if (e.confirmed) row.outbound += 1;
+        row.lastAt = Math.max(row.lastAt, e.at || 0);
+    });
+    return Object.values(byChannel).sort((a, b) => (b.outbound + b.inbound) - (a.outbound + a.inbound) || b.lastAt - a.lastAt);
+}
+
+// Journal channels / URLs come from chat and page scrapes: links only to rumble.com over https.
+function rumbleHref(value) {
+    try {
+        const url = new URL(String(value || ''));
+        return url.protocol === 'https:' && url.hostname === 'rumble.com' ? url.href : null;
+    } catch {
+        return null;
     }
-    if (harvestVideosBtn) {
-        harvestVideosBtn.addEventListener('click', () => {
-            harvestVideosBtn.disabled = true;
-            showToast('Starting full video scan…', 'info');
-            chrome.runtime.sendMessage({
-                type: 'harvestVideos'
-            });
-        });
+}
+
+function renderRaidHistory(journal = []) {
+    raidJournalCache = Array.isArray(journal) ? journal : [];
+    const totalsEl = document.getElementById('raid-history-totals');
+    const listEl = document.getElementById('raid-history-list');
+    const statusEl = document.getElementById('raid-history-status');
+    if (!totalsEl || !listEl) return;
+    if (statusEl) statusEl.textContent = `${raidJournalCache.length} entries`;
+
+    totalsEl.innerHTML = '';
+    listEl.innerHTML = '';
+    if (!raidJournalCache.length) {
+        totalsEl.innerHTML = '<p class="help">No raids recorded yet.</p>';
+        return;
+    }
+    summarizeRaidJournal(raidJournalCache).forEach(t => {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        row.innerHTML = `<div class="thumb">🤝</div><div class="title"><div class="raid-history-channel"></div><div class="meta">We raided them ${t.outbound} time${t.outbound === 1 ? '' : 's'} • they raided us ${t.inbound} time${t.inbound === 1 ? '' : 's'}</div></div><div class="actions"><span class="micro">${formatDateSmart(t.lastAt)}</span></div>`;
+        row.querySelector('.raid-history-channel').textContent = t.channel;
+        totalsEl.appendChild(row);
+    });
+    raidJournalCache.slice(-50).reverse().forEach(e => {
+        const outbound = e.direction !== 'inbound';
+        const status = outbound ? (e.confirmed ? 'confirmed' : `failed${e.error ? ` (${e.error})` : ''}`) : 'received';
+        const viewers = typeof e.viewers === 'number' ? ` • ${e.viewers} ${outbound ? 'of our viewers' : 'raiders'}` : '';
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        row.innerHTML = `<div class="thumb">${outbound ? '🚀' : '🛬'}</div><div class="title"><a target="_blank" rel="noopener"></a><div class="meta"></div></div><div class="actions"><span class="micro">${formatDateSmart(e.at)}</span></div>`;
+        const link = row.querySelector('.title a');
+        const href = rumbleHref(e.url);
+        if (href) link.href = href;
+        link.textContent = e.channel || 'unknown';
+        row.querySelector('.meta').textContent = `${outbound ? 'Outbound' : 'Inbound'}${e.auto ? ' (auto)' : ''} • ${status}${viewers}`;
+        listEl.appendChild(row);
+    });
+    recomputeOpenAccordions();
+}
+
+function exportRaidHistory(format) {
+    if (!raidJournalCache.length) return showToast('No raid history to export.', 'error');
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+        downloadFile(`rlo-raid-history-${stamp}.json`, 'application/json', JSON.stringify(raidJournalCache, null, 2));
+        return;
+    }
+    const rows = raidJournalCache.map(e => ({
+        ...e,
+        at: new Date(e.at).toISOString()
+    }));
+    downloadFile(`rlo-raid-history-${stamp}.csv`, 'text/csv', toCsv(rows, ['at', 'direction', 'channel', 'url', 'viewers', 'confirmed', 'auto', 'error']));
+}
+
+let chatLogMessages = [];
+let chatLogStreams = [];
+
+function chatLogFilter() {
+    const user = (document.getElementById('chat-log-user')?.value || '').trim().toLowerCase().replace(/^@/, '');
+    const keyword = (document.getElementById('chat-log-search')?.value || '').trim().toLowerCase();
+    const rantsOnly = !!document.getElementById('chat-log-rants-only')?.checked;
+    return chatLogMessages.filter(m =>
+        (!rantsOnly || typeof m.amount === 'number') &&
+        (!user || String(m.user || '').toLowerCase().includes(user)) &&
+        (!keyword || String(m.text || '').toLowerCase().includes(keyword)));
+}
+
+function formatChatLogTime(at) {
+    const d = new Date(at),
+        pad = n => String(n).padStart(2, '0');
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+// Only the newest 300 matches are drawn; exports always include every match.
+function renderChatLog() {
+    const listEl = document.getElementById('chat-log-list');
+    const statusEl = document.getElementById('chat-log-status');
+    if (!listEl) return;
+    const matches = chatLogFilter();
+    if (statusEl) statusEl.textContent = `${matches.length} of ${chatLogMessages.length} messages`;
+    listEl.innerHTML = '';
+    if (!matches.length) {
+        listEl.innerHTML = `<p class="help">${chatLogMessages.length ? 'No messages match.' : 'No messages logged for this stream.'}</p>`;
+        return;
+    }
+    matches.slice(-300).reverse().forEach(m => {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        row.innerHTML = `<div class="thumb">${typeof m.amount === 'number' ? '💸' : '💬'}</div><div class="title"><div class="chat-log-user"></div><div class="meta"></div></div><div class="actions"><span class="micro">${formatChatLogTime(m.at)}</span></div>`;
+        const badges = (m.badges || []).length ? ` [${m.badges.join(', ')}]` : '';
+        const amount = typeof m.amount === 'number' ? ` • $${m.amount.toFixed(2)} rant` : '';
+        row.querySelector('.chat-log-user').textContent = `${m.user}${badges}${amount}`;
+        row.querySelector('.meta').textContent = m.text || '';
+        listEl.appendChild(row);
+    });
+    recomputeOpenAccordions();
+}
+
+async function loadChatLogMessages() {
+    const streamId = document.getElementById('chat-log-stream')?.value;
+    chatLogMessages = streamId ? await RloChatLog.getMessages(streamId) : [];
+    renderChatLog();
+}
+
+async function loadChatLogStreams() {
+    const select = document.getElementById('chat-log-stream');
+    if (!select) return;
+    const previous = select.value;
+    chatLogStreams = await RloChatLog.listStreams();
+    select.innerHTML = '';
+    if (!chatLogStreams.length) {
+        select.innerHTML = '<option value="">No logged streams yet</option>';
+    }
+    chatLogStreams.forEach(st => {
+        const opt = document.createElement('option');
+        opt.value = st.streamId;
+        opt.textContent = `${formatDateSmart(st.firstAt)} • ${st.title || st.streamId} (${st.count || 0})`;
+        select.appendChild(opt);
+    });
+    if (chatLogStreams.some(st => st.streamId === previous)) select.value = previous;
+    await loadChatLogMessages();
+}
+
+function exportChatLog(format) {
+    const rows = chatLogFilter();
+    if (!rows.length) return showToast('No chat messages to export.', 'error');
+    const streamId = document.getElementById('chat-log-stream')?.value || 'stream';
+    const base = `rlo-chat-${streamId}-${new Date(rows[0].at).toISOString().slice(0, 10)}`;
+    const clean = rows.map(({
+        key,
+        streamId: _s,
+        ...m
+    }) => m);
+    if (format === 'json') {
+        downloadFile(`${base}.json`, 'application/json', JSON.stringify(clean, null, 2));
+        return;
+    }
+    if (format === 'txt') {
+        const lines = clean.map(m => `[${formatChatLogTime(m.at)}] ${m.user}${typeof m.amount === 'number' ? ` ($${m.amount.toFixed(2)} rant)` : ''}: ${m.text}`);
+        downloadFile(`${base}.txt`, 'text/plain', lines.join('\r\n'));
+        return;
+    }
+    const csvRows = clean.map(m => ({
+        ...m,
+        at: new Date(m.at).toISOString(),
+        badges: (m.badges || []).join(' ')
+    }));
+    downloadFile(`${base}.csv`, 'text/csv', toCsv(csvRows, ['at', 'user', 'badges', 'text', 'amount', 'msgId']));
+}
+
+function openPollWindow() {
+    chrome.windows.create({
+        url: chrome.runtime.getURL('poll.html'),
+        type: 'popup',
+        width: 800,
+        height: 450
+    });
+}
+
+function renderPollHistory(history = []) {
+    const listEl = document.getElementById('poll-history');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    if (!history.length) {
+        listEl.innerHTML = '<p class="help">No polls yet.</p>';
+        return;
+    }
+    history.slice().reverse().forEach(p => {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        row.innerHTML = `<div class="thumb">📊</div><div class="title"><div class="poll-history-question"></div><div class="meta"></div></div><div class="actions"><span class="micro">${formatDateSmart(p.closedAt)}</span></div>`;
+        row.querySelector('.poll-history-question').textContent = `${p.question} (${p.total} vote${p.total === 1 ? '' : 's'})`;
+        row.querySelector('.meta').textContent = p.options.map(o => `${o.label}: ${o.votes} (${p.total ? Math.round(o.votes / p.total * 100) : 0}%)`).join(' · ');
+        listEl.appendChild(row);
+    });
+    recomputeOpenAccordions();
+}
+
+function exportPollHistory() {
+    chrome.storage.local.get('pollHistory', ({
+        pollHistory
+    }) => {
+        const rows = (pollHistory || []).flatMap(p => p.options.map(o => ({
+            closedAt: new Date(p.closedAt).toISOString(),
+            question: p.question,
+            option: o.label,
+            votes: o.votes,
+            total: p.total,
+            stream: p.stream
+        })));
+        if (!rows.length) return showToast('No polls to export.', 'error');
+        downloadFile(`rlo-polls-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv', toCsv(rows, ['closedAt', 'question', 'option', 'votes', 'total', 'stream']));
+    });
+}
+
+// EDL events cover a short range around each marker so editors get a usable clip, not a single frame.
+const CLIP_EDL_PRE_SEC = 30;
+const CLIP_EDL_POST_SEC = 10;
+let clipMarkers = [];
+
+function formatElapsed(sec) {
+    const pad = n => String(n).padStart(2, '0');
+    const h = Math.floor(sec / 3600),
+        m = Math.floor(sec / 60) % 60,
+        s = sec % 60;
+    return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+
+function formatEdlTimecode(sec) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(Math.floor(sec / 3600))}:${pad(Math.floor(sec / 60) % 60)}:${pad(sec % 60)}:00`;
+}
+
+function clipMarkerVodUrl(m) {
+    if (!m.streamUrl || m.elapsedSec == null) return null;
+    const url = new URL(m.streamUrl);
+    url.searchParams.set('start', m.elapsedSec);
+    return url.href;
+}
+
+function clipMarkerLabel(m) {
+    return m.note || (m.source === 'chat' ? `Clip by ${m.user}` : 'Clip');
+}
+
+function clipMarkersForStream() {
+    const streamId = document.getElementById('clip-markers-stream')?.value;
+    return clipMarkers.filter(m => m.streamId === streamId).sort((a, b) => a.at - b.at);
+}
+
+function renderClipMarkerStreams() {
+    const select = document.getElementById('clip-markers-stream');
+    if (!select) return;
+    const previous = select.value;
+    const streams = new Map();
+    clipMarkers.forEach(m => {
+        const st = streams.get(m.streamId) || {
+            streamId: m.streamId,
+            title: m.title,
+            firstAt: m.at,
+            lastAt: m.at,
+            count: 0
+        };
+        st.firstAt = Math.min(st.firstAt, m.at);
+        st.lastAt = Math.max(st.lastAt, m.at);
+        st.title ||= m.title;
+        st.count += 1;
+        streams.set(m.streamId, st);
+    });
+    select.innerHTML = '';
+    if (!streams.size) select.innerHTML = '<option value="">No clip markers yet</option>';
+    Array.from(streams.values()).sort((a, b) => b.lastAt - a.lastAt).forEach(st => {
+        const opt = document.createElement('option');
+        opt.value = st.streamId;
+        opt.textContent = `${formatDateSmart(st.firstAt)} • ${st.title || st.streamId} (${st.count})`;
+        select.appendChild(opt);
+    });
+    if (streams.has(previous)) select.value = previous;
+    renderClipMarkers();
+}
+
+function renderClipMarkers() {
+    const listEl = document.getElementById('clip-markers-list');
+    const statusEl = document.getElementById('clip-markers-status');
+    if (!listEl) return;
+    const markers = clipMarkersForStream();
+    if (statusEl) statusEl.textContent = markers.length ? `${markers.length} marker${markers.length === 1 ? '' : 's'}` : '';
+    listEl.innerHTML = '';
+    if (!markers.length) {
+        listEl.innerHTML = '<p class="help">No clip markers for this stream.</p>';
+        return;
+    }
+    markers.forEach(m => {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        row.innerHTML = `<div class="thumb">${m.source === 'chat' ? '💬' : '🎬'}</div><div class="title"><div class="clip-marker-head"></div><input type="text" class="clip-marker-note" placeholder="Add a note..." /><details class="micro"><summary>Chat around this moment</summary><pre class="clip-marker-context"></pre></details></div><div class="actions"><a class="clip-marker-vod" target="_blank" rel="noopener">Open VOD</a><button class="ghost" data-action="remove" title="Delete marker">✕</button></div>`;
+        const at = m.elapsedSec == null ? formatChatLogTime(m.at) : `${formatElapsed(m.elapsedSec)} into stream`;
+        row.querySelector('.clip-marker-head').textContent = `${at} • ${m.source === 'chat' ? `!clip from ${m.user}` : 'Clip button'}`;
+        const context = [...(m.context?.before || []), '── clip ──', ...(m.context?.after || [])];
+        row.querySelector('.clip-marker-context').textContent = context.join('\n');
+        const vod = clipMarkerVodUrl(m);
+        const link = row.querySelector('.clip-marker-vod');
+        if (vod) link.href = vod;
+        else link.remove();
+        const note = row.querySelector('.clip-marker-note');
+        note.value = m.note || '';
+        note.addEventListener('change', () => sendClipMarkerEdit('clipMarkerUpdate', {
+            id: m.id,
+            patch: {
+                note: note.value
+            }
+        }));
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => sendClipMarkerEdit('clipMarkerRemove', {
+            id: m.id
+        }));
+        listEl.appendChild(row);
+    });
+    recomputeOpenAccordions();
+}
+
+// The background owns clipMarkers writes (one chain with new markers); the list re-renders
+// from storage.onChanged.
+function sendClipMarkerEdit(type, payload, done) {
+    chrome.runtime.sendMessage({
+        type,
+        payload
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) return showToast('Could not update clip markers.', 'error');
+        done?.();
+    });
+}
+
+function exportClipMarkers(format) {
+    const markers = clipMarkersForStream();
+    if (!markers.length) return showToast('No clip markers to export.', 'error');
+    const timed = markers.filter(m => m.elapsedSec != null);
+    const base = `rlo-clips-${markers[0].streamId}-${new Date(markers[0].at).toISOString().slice(0, 10)}`;
+    if (format === 'csv') {
+        const rows = markers.map(m => ({
+            ...m,
+            at: new Date(m.at).toISOString(),
+            elapsed: m.elapsedSec == null ? '' : formatElapsed(m.elapsedSec),
+            vodUrl: clipMarkerVodUrl(m) || '',
+            context: [...(m.context?.before || []), ...(m.context?.after || [])].join(' | ')
+        }));
+        downloadFile(`${base}.csv`, 'text/csv', toCsv(rows, ['elapsed', 'elapsedSec', 'at', 'source', 'user', 'note', 'vodUrl', 'context']));
+        return;
+    }
+    if (!timed.length) return showToast('None of these markers has a stream time (the stream start was unknown).', 'error');
+    if (format === 'chapters') {
+        // YouTube only accepts chapter lists that start at 0:00.
+        const lines = timed.map(m => `${formatElapsed(m.elapsedSec)} ${clipMarkerLabel(m)}`);
+        if (timed[0].elapsedSec > 0) lines.unshift('0:00 Start');
+        downloadFile(`${base}-chapters.txt`, 'text/plain', lines.join('\r\n'));
+        return;
+    }
+    const lines = [`TITLE: ${(markers[0].title || markers[0].streamId).replace(/[\r\n]+/g, ' ')}`, 'FCM: NON-DROP FRAME', ''];
+    timed.forEach((m, i) => {
+        const from = formatEdlTimecode(Math.max(0, m.elapsedSec - CLIP_EDL_PRE_SEC));
+        const to = formatEdlTimecode(m.elapsedSec + CLIP_EDL_POST_SEC);
+        const label = clipMarkerLabel(m).replace(/[\r\n]+/g, ' ');
+        lines.push(`${String(i + 1).padStart(3, '0')}  AX       V     C        ${from} ${to} ${from} ${to}`);
+        lines.push(`* FROM CLIP NAME: ${label}`);
+        lines.push(`* LOC: ${formatEdlTimecode(m.elapsedSec)} RED ${label}`);
+        lines.push('');
+    });
+    downloadFile(`${base}.edl`, 'text/plain', lines.join('\r\n'));
+}
+
+const CHAT_COMMAND_DEFAULTS = {
+    buttons: [{
+        id: 'clip',
+        emoji: '🎬',
+        label: 'Clip',
+        text: '!clip',
+        cooldownSec: 30,
+        confirm: false
+    }]
+};
+let chatCommandButtons = [];
+
+function renderChatCommandRows() {
+    const wrap = document.getElementById('chat-command-rows');
+    if (!wrap) return;
+    wrap.innerHTML = '';
+    if (!chatCommandButtons.length) {
+        wrap.innerHTML = '<p class="help">No buttons yet.</p>';
+        return;
+    }
+    chatCommandButtons.forEach((cmd, idx) => {
+        const row = document.createElement('div');
+        row.className = 'cmd-row';
+        row.innerHTML = `<div class="cmd-row-fields"><input type="text" data-field="emoji" maxlength="4" placeholder="🎬" /><input type="text" data-field="label" placeholder="Label" /><input type="number" data-field="cooldownSec" min="0" max="3600" title="Cooldown (seconds)" /><input type="text" data-field="text" placeholder="!clip or Now playing: {title}" /><label class="micro"><input type="checkbox" data-field="confirm"> Ask before sending</label></div><div class="actions"><button class="ghost" data-action="up" title="Move up">↑</button><button class="ghost" data-action="down" title="Move down">↓</button><button class="ghost" data-action="remove" title="Remove">✕</button></div>`;
+        row.querySelectorAll('input[data-field]').forEach(input => {
+            const field = input.dataset.field;
+            if (input.type === 'checkbox') input.checked = !!cmd[field];
+            else input.value = cmd[field] ?? '';
+            input.addEventListener('change', () => {
+                chatCommandButtons[idx][field] = input.type === 'checkbox' ? input.checked : input.type === 'number' ? Math.max(0, parseInt(input.value, 10) || 0) : input.value.trim();
+            });
+        });
+        row.querySelectorAll('button[data-action]').forEach(btn => btn.addEventListener('click', () => {
+            const action = btn.dataset.action;
+            if (action === 'remove') chatCommandButtons.splice(idx, 1);
+            const to = action === 'up' ? idx - 1 : action === 'down' ? idx + 1 : -1;
+            if (to >= 0 && to < chatCommandButtons.length) {
+                [chatCommandButtons[idx], chatCommandButtons[to]] = [chatCommandButtons[to], chatCommandButtons[idx]];
+            }
+            renderChatCommandRows();
+        }));
+        wrap.appendChild(row);
+    });
+    recomputeOpenAccordions();
+}
+
+function addChatCommandButton() {
+    chatCommandButtons.push({
+        id: `cmd-${Date.now()}`,
+        emoji: '',
+        label: '',
+        text: '',
+        cooldownSec: 10,
+        confirm: false
+    });
+    renderChatCommandRows();
+}
+
+function loadChatCommandsForm() {
+    chrome.storage.local.get('chatCommands', ({
+        chatCommands
+    }) => {
+        chatCommandButtons = (chatCommands?.buttons || CHAT_COMMAND_DEFAULTS.buttons).map(cmd => ({
+            ...cmd
+        }));
+        renderChatCommandRows();
+    });
+}
+
+function saveChatCommandsForm() {
+    const empty = chatCommandButtons.findIndex(cmd => !cmd.text);
+    if (empty >= 0) return showToast(`Button #${empty + 1} has no message.`, 'error');
+    chrome.storage.local.set({
+        chatCommands: {
+            buttons: chatCommandButtons
+        }
+    }, () => showToast('Command bar saved.', 'success'));
+}
+
+const CHAT_RESPONDER_DEFAULTS = {
+    enabled: false,
+    dryRun: true,
+    commands: []
+};
+const RESPONDER_PERMISSIONS = {
+    everyone: 'Everyone',
+    subscribers: 'Subscribers',
+    moderators: 'Moderators'
+};
+let chatResponderCommands = [];
+
+function renderResponderRows() {
+    const wrap = document.getElementById('responder-rows');
+    if (!wrap) return;
+    wrap.innerHTML = '';
+    if (!chatResponderCommands.length) {
+        wrap.innerHTML = '<p class="help">No commands yet.</p>';
+        return;
+    }
+    const permissionOptions = Object.entries(RESPONDER_PERMISSIONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    chatResponderCommands.forEach((cmd, idx) => {
+        const row = document.createElement('div');
+        row.className = 'cmd-row resp-row';
+        row.innerHTML = `<div class="cmd-row-fields"><input type="text" data-field="trigger" placeholder="!schedule" /><select data-field="permission" title="Who can use it">${permissionOptions}</select><input type="number" data-field="cooldownSec" min="0" max="3600" title="Command cooldown (seconds)" /><input type="number" data-field="userCooldownSec" min="0" max="3600" title="Per-viewer cooldown (seconds)" /><input type="text" data-field="aliases" placeholder="Aliases, comma separated (!sched, !when)" /><input type="text" data-field="response" placeholder="@{user} I'm live Mon/Wed/Fri at 7pm ET" /></div><div class="actions"><button class="ghost" data-action="remove" title="Remove">✕</button></div>`;
+        row.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.dataset.field;
+            input.value = field === 'aliases' ? (cmd.aliases || []).join(', ') : cmd[field] ?? '';
+            input.addEventListener('change', () => {
+                chatResponderCommands[idx][field] = field === 'aliases' ? splitList(input.value, ',') : input.type === 'number' ? Math.max(0, parseInt(input.value, 10) || 0) : input.value.trim();
+            });
+        });
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            chatResponderCommands.splice(idx, 1);
+            renderResponderRows();
+        });
+        wrap.appendChild(row);
+    });
+    recomputeOpenAccordions();
+}
+
+function addResponderCommand() {
+    chatResponderCommands.push({
+        id: `resp-${Date.now()}`,
+        trigger: '',
+        aliases: [],
+        response: '',
+        permission: 'everyone',
+        cooldownSec: 30,
+        userCooldownSec: 120
+    });
+    renderResponderRows();
+}
+
+function loadResponderForm() {
+    chrome.storage.local.get('chatResponder', ({
+        chatResponder
+    }) => {
+        const s = {
+            ...CHAT_RESPONDER_DEFAULTS,
+            ...(chatResponder || {})
+        };
+        document.getElementById('responder-enabled').checked = !!s.enabled;
+        document.getElementById('responder-dry-run').checked = !!s.dryRun;
+        chatResponderCommands = (s.commands || []).map(cmd => ({
+            ...cmd
+        }));
+        renderResponderRows();
+    });
+}
+
+function saveResponderForm() {
+    const invalid = chatResponderCommands.findIndex(cmd => !cmd.trigger || !cmd.response);
+    if (invalid >= 0) return showToast(`Command #${invalid + 1} needs a trigger and a reply.`, 'error');
+    const triggers = chatResponderCommands.flatMap(cmd => [cmd.trigger, ...(cmd.aliases || [])].map(t => t.toLowerCase()));
+    const dupe = triggers.find((t, i) => triggers.indexOf(t) !== i);
+    if (dupe) return showToast(`"${dupe}" is used by more than one command.`, 'error');
+    chrome.storage.local.set({
+        chatResponder: {
+            enabled: !!document.getElementById('responder-enabled')?.checked,
+            dryRun: !!document.getElementById('responder-dry-run')?.checked,
+            commands: chatResponderCommands
+        }
+    }, () => showToast('Responder saved.', 'success'));
+}
+
+function renderResponderLog(log = []) {
+    const listEl = document.getElementById('responder-log');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    if (!log.length) {
+        listEl.innerHTML = '<p class="help">No replies yet.</p>';
+        return;
+    }
+    log.slice(-30).reverse().forEach(e => {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        row.innerHTML = `<div class="thumb">${!e.ok ? '⚠️' : e.dryRun ? '🧪' : '💬'}</div><div class="title"><div class="responder-text"></div><div class="meta"></div></div><div class="actions"><span class="micro">${formatDateSmart(e.at)}</span></div>`;
+        row.querySelector('.responder-text').textContent = e.text;
+        const status = !e.ok ? `not sent: ${e.reason || 'unknown error'}` : e.dryRun ? 'dry run, not sent' : 'sent';
+        row.querySelector('.meta').textContent = `${e.trigger} from ${e.user} · ${status}`;
+        listEl.appendChild(row);
+    });
+    recomputeOpenAccordions();
+}
+
+const ANNOUNCEMENT_DEFAULTS = {
+    enabled: false,
+    paused: false,
+    mode: 'interval',
+    intervalMin: 15,
+    afterMessages: 50,
+    random: true,
+    quietStart: '',
+    quietEnd: '',
+    messages: []
+};
+
+function updateAnnouncementFormVisibility() {
+    const mode = document.getElementById('announce-mode')?.value;
+    [
+        ['announce-interval', mode !== 'messages'],
+        ['announce-after-messages', mode === 'messages']
+    ].forEach(([id, visible]) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.style.display = visible ? '' : 'none';
+        const label = document.querySelector(`label[for="${id}"]`);
+        if (label) label.style.display = visible ? '' : 'none';
+    });
+}
+
+function loadAnnouncementForm() {
+    chrome.storage.local.get('chatAnnouncements', ({
+        chatAnnouncements
+    }) => {
+        const s = {
+            ...ANNOUNCEMENT_DEFAULTS,
+            ...(chatAnnouncements || {})
+        };
+        document.getElementById('announce-enabled').checked = !!s.enabled;
+        document.getElementById('announce-paused').checked = !!s.paused;
+        document.getElementById('announce-random').checked = !!s.random;
+        document.getElementById('announce-mode').value = s.mode;
+        document.getElementById('announce-interval').value = s.intervalMin;
+        document.getElementById('announce-after-messages').value = s.afterMessages;
+        document.getElementById('announce-quiet-start').value = s.quietStart || '';
+        document.getElementById('announce-quiet-end').value = s.quietEnd || '';
+        document.getElementById('announce-messages').value = (s.messages || []).join('\n');
+        updateAnnouncementFormVisibility();
+    });
+}
+
+function saveAnnouncementForm() {
+    const val = id => document.getElementById(id)?.value || '';
+    const chatAnnouncements = {
+        enabled: !!document.getElementById('announce-enabled')?.checked,
+        paused: !!document.getElementById('announce-paused')?.checked,
+        random: !!document.getElementById('announce-random')?.checked,
+        mode: val('announce-mode') || ANNOUNCEMENT_DEFAULTS.mode,
+        intervalMin: Math.min(240, Math.max(1, parseInt(val('announce-interval'), 10) || ANNOUNCEMENT_DEFAULTS.intervalMin)),
+        afterMessages: Math.min(1000, Math.max(1, parseInt(val('announce-after-messages'), 10) || ANNOUNCEMENT_DEFAULTS.afterMessages)),
+        quietStart: val('announce-quiet-start'),
+        quietEnd: val('announce-quiet-end'),
+        messages: splitList(val('announce-messages'), '\n')
+    };
+    if (chatAnnouncements.enabled && !chatAnnouncements.messages.length) return showToast('Add at least one message.', 'error');
+    chrome.storage.local.set({
+        chatAnnouncements
+    }, () => showToast('Announcements saved.', 'success'));
+}
+
+// The pause switch takes effect immediately, without the Save button.
+function toggleAnnouncementPause(paused) {
+    chrome.storage.local.get('chatAnnouncements', ({
+        chatAnnouncements
+    }) => {
+        chrome.storage.local.set({
+            chatAnnouncements: {
+                ...ANNOUNCEMENT_DEFAULTS,
+                ...(chatAnnouncements || {}),
+                paused
+            }
+        }, () => showToast(paused ? 'Announcements paused.' : 'Announcements resumed.', 'success'));
+    });
+}
+
+function renderAnnouncementLog(log = []) {
+    const listEl = document.getElementById('announce-log');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    if (!log.length) {
+        listEl.innerHTML = '<p class="help">Nothing posted yet.</p>';
+        return;
+    }
+    log.slice(-30).reverse().forEach(e => {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        row.innerHTML = `<div class="thumb">${e.ok ? '📣' : '⚠️'}</div><div class="title"><div class="announce-text"></div><div class="meta"></div></div><div class="actions"><span class="micro">${formatDateSmart(e.at)}</span></div>`;
+        row.querySelector('.announce-text').textContent = e.text;
+        row.querySelector('.meta').textContent = e.ok ? 'Posted' : `Not posted: ${e.reason || 'unknown error'}`;
+        listEl.appendChild(row);
+    });
+    recomputeOpenAccordions();
+}
+
+const CHAT_HIGHLIGHT_DEFAULTS = {
+    moderator: {
+        enabled: false,
+        color: '#4fc3f7',
+        badge: 'MOD',
+        users: []
+    },
+    vip: {
+        enabled: false,
+        color: '#ffd54f',
+        badge: 'VIP',
+        users: []
+    },
+    mention: {
+        enabled: true,
+        color: '#85c742',
+        badge: '@ME'
+    },
+    keyword: {
+        enabled: false,
+        color: '#ff8a65',
+        badge: '',
+        words: []
+    },
+    question: {
+        enabled: false,
+        color: '#ba68c8',
+        badge: '?'
+    }
+};
+const CHAT_HIGHLIGHT_LABELS = {
+    moderator: ['Moderators', 'users', 'One username per line'],
+    vip: ['VIPs', 'users', 'One username per line'],
+    mention: ['Mentions of my channel name'],
+    keyword: ['Keywords', 'words', 'One keyword per line'],
+    question: ['Questions (ending with "?")']
+};
+
+function loadChatHighlightsForm() {
+    chrome.storage.local.get('chatHighlights', ({
+        chatHighlights
+    }) => {
+        const host = document.getElementById('chat-highlight-rules');
+        if (!host) return;
+        host.innerHTML = '';
+        Object.keys(CHAT_HIGHLIGHT_DEFAULTS).forEach(kind => {
+            const rule = {
+                ...CHAT_HIGHLIGHT_DEFAULTS[kind],
+                ...(chatHighlights?.[kind] || {})
+            };
+            const [label, listKey, placeholder] = CHAT_HIGHLIGHT_LABELS[kind];
+            const row = document.createElement('div');
+            row.className = 'hl-rule';
+            row.dataset.kind = kind;
+            row.innerHTML = `<label><input type="checkbox" data-field="enabled"> <span></span></label><input type="color" data-field="color" title="Colour"><input type="text" data-field="badge" maxlength="8" placeholder="Badge">${listKey ? `<textarea rows="2" data-field="${listKey}"></textarea>` : ''}`;
+            row.querySelector('span').textContent = label;
+            row.querySelector('[data-field="enabled"]').checked = !!rule.enabled;
+            row.querySelector('[data-field="color"]').value = rule.color;
+            row.querySelector('[data-field="badge"]').value = rule.badge || '';
+            if (listKey) {
+                const ta = row.querySelector('textarea');
+                ta.placeholder = placeholder;
+                ta.value = (rule[listKey] || []).join('\n');
+            }
+            host.appendChild(row);
+        });
+        recomputeOpenAccordions();
+    });
+}
+
+function saveChatHighlightsForm() {
+    const chatHighlights = {};
+    document.querySelectorAll('#chat-highlight-rules .hl-rule').forEach(row => {
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        const rule = {
+            enabled: !!field('enabled').checked,
+            color: field('color').value || CHAT_HIGHLIGHT_DEFAULTS[row.dataset.kind].color,
+            badge: field('badge').value.trim()
+        };
+        ['users', 'words'].forEach(key => {
+            if (field(key)) rule[key] = splitList(field(key).value, '\n');
+        });
+        chatHighlights[row.dataset.kind] = rule;
+    });
+    chrome.storage.local.set({
+        chatHighlights
+    }, () => showToast('Chat highlights saved.', 'success'));
+}
+
+const MOD_ACTION_LABELS = {
+    mute: '🔇 Muted',
+    timeout: '⏱ Timed out',
+    delete: '🗑 Deleted message of'
+};
+
+function loadModerationForm() {
+    chrome.storage.local.get('chatModeration', ({
+        chatModeration
+    }) => {
+        const m = chatModeration || {};
+        document.getElementById('mod-mark-first').checked = m.markFirstTime !== false;
+        document.getElementById('mod-highlight').value = (m.highlight || []).join('\n');
+        document.getElementById('mod-flag').value = (m.flag || []).join('\n');
+    });
+}
+
+function saveModerationForm() {
+    const chatModeration = {
+        markFirstTime: !!document.getElementById('mod-mark-first')?.checked,
+        highlight: splitList(document.getElementById('mod-highlight')?.value || '', '\n'),
+        flag: splitList(document.getElementById('mod-flag')?.value || '', '\n')
+    };
+    const bad = [...chatModeration.highlight, ...chatModeration.flag].filter(p => {
+        const m = p.match(/^\/(.+)\/([a-z]*)$/i);
+        if (!m) return false;
+        try {
+            new RegExp(m[1], m[2]);
+            return false;
+        } catch {
+            return true;
+        }
+    });
+    if (bad.length) return showToast(`Invalid pattern: ${bad[0]}`, 'error');
+    chrome.storage.local.set({
+        chatModeration
+    }, () => showToast('Moderation settings saved.', 'success'));
+}
+
+function renderModLog(modLog = []) {
+    const listEl = document.getElementById('mod-log-list');
+    const statusEl = document.getElementById('mod-log-status');
+    if (!listEl) return;
+    if (statusEl) statusEl.textContent = `${modLog.length} actions`;
+    listEl.innerHTML = '';
+    if (!modLog.length) {
+        listEl.innerHTML = '<p class="help">No moderation actions yet.</p>';
+        return;
+    }
+    modLog.slice(-50).reverse().forEach(e => {
+        const row = document.createElement('div');
+        row.className = 'list-row';
+        row.innerHTML = `<div class="title"><div class="mod-log-what"></div><div class="meta"></div></div><div class="actions"><span class="micro">${formatDateSmart(e.at)}</span></div>`;
+        row.querySelector('.mod-log-what').textContent = `${MOD_ACTION_LABELS[e.action] || e.action} ${e.user}${e.ok ? '' : ' (failed)'}`;
+        row.querySelector('.meta').textContent = e.ok ? e.text : `${e.reason} • ${e.text}`;
+        listEl.appendChild(row);
+    });
+    recomputeOpenAccordions();
+}
+
+function updateAutoRaidFormVisibility() {
+    const trigger = document.getElementById('auto-raid-trigger')?.value;
+    const rule = document.getElementById('auto-raid-rule')?.value;
+    const show = (id, visible) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.style.display = visible ? '' : 'none';
+        const label = document.querySelector(`label[for="${id}"]`);
+        if (label) label.style.display = visible ? '' : 'none';
+    };
+    show('auto-raid-phrases', trigger !== 'time');
+    show('auto-raid-time', trigger !== 'chat');
+    show('auto-raid-target-url', rule === 'specific');
+    show('auto-raid-priority', rule === 'priority');
+    recomputeOpenAccordions();
+}
+
+function loadAutoRaidForm() {
+    chrome.storage.local.get('autoRaid', ({
+        autoRaid
+    }) => {
+        const s = {
+            ...AUTO_RAID_DEFAULTS,
+            ...(autoRaid || {})
+        };
+        const set = (id, prop, v) => {
+            const el = document.getElementById(id);
+            if (el) el[prop] = v;
+        };
+        set('auto-raid-enabled', 'checked', !!s.enabled);
+        set('auto-raid-trigger', 'value', s.trigger);
+        set('auto-raid-phrases', 'value', (s.phrases || []).join(', '));
+        set('auto-raid-time', 'value', s.time || '');
+        set('auto-raid-rule', 'value', s.rule);
+        set('auto-raid-target-url', 'value', s.targetUrl || '');
+        set('auto-raid-priority', 'value', (s.priority || []).join('\n'));
+        set('auto-raid-countdown', 'value', s.countdownSec);
+        updateAutoRaidFormVisibility();
+    });
+}
+
+function saveAutoRaidForm() {
+    const val = id => document.getElementById(id)?.value || '';
+    const autoRaid = {
+        enabled: !!document.getElementById('auto-raid-enabled')?.checked,
+        trigger: val('auto-raid-trigger') || AUTO_RAID_DEFAULTS.trigger,
+        phrases: splitList(val('auto-raid-phrases'), ','),
+        time: val('auto-raid-time'),
+        rule: val('auto-raid-rule') || AUTO_RAID_DEFAULTS.rule,
+        targetUrl: val('auto-raid-target-url').trim(),
+        priority: splitList(val('auto-raid-priority'), '\n'),
+        countdownSec: Math.min(120, Math.max(3, parseInt(val('auto-raid-countdown'), 10) || AUTO_RAID_DEFAULTS.countdownSec))
+    };
+    if (autoRaid.enabled && autoRaid.trigger !== 'chat' && !autoRaid.time) {
+        showToast('Pick a raid time first.', 'error');
+        return;
+    }
+    if (autoRaid.enabled && autoRaid.rule === 'specific' && !autoRaid.targetUrl) {
+        showToast('Enter the channel to raid.', 'error');
+        return;
+    }
+    chrome.storage.local.set({
+        autoRaid
+    }, () => showToast(`Auto-Raid ${autoRaid.enabled ? 'armed' : 'saved (off)'}.`, 'success'));
+}
+
+const OVERLAY_DEFAULTS = {
+    theme: 'default',
+    durationMs: 6000
+};
+
+function loadChatTimestampForm() {
+    chrome.storage.local.get('chatTimestampSettings', ({
+        chatTimestampSettings
+    }) => {
+        const select = document.getElementById('chat-timestamp-mode');
+        if (select) select.value = chatTimestampSettings?.mode || 'clock';
+    });
+}
+
+function saveChatTimestampForm() {
+    chrome.storage.local.set({
+        chatTimestampSettings: {
+            mode: document.getElementById('chat-timestamp-mode')?.value || 'clock'
+        }
+    }, () => showToast('Chat timestamp format saved.', 'success'));
+}
+
+function sendOverlayTestAlert(event) {
+    bgMessage('overlayTestAlert', {
+        event
+    });
+}
+
+function loadOverlayForm() {
+    chrome.storage.local.get('overlaySettings', ({
+        overlaySettings
+    }) => {
+        const s = {
+            ...OVERLAY_DEFAULTS,
+            ...(overlaySettings || {})
+        };
+        document.getElementById('overlay-theme').value = s.theme;
+        document.getElementById('overlay-duration').value = Math.round(s.durationMs / 1000);
+        document.getElementById('overlay-url').value = chrome.runtime.getURL('overlay.html');
+    });
+}
+
+function saveOverlayForm() {
+    const overlaySettings = {
+        theme: document.getElementById('overlay-theme')?.value || OVERLAY_DEFAULTS.theme,
+        durationMs: Math.min(60, Math.max(2, parseInt(document.getElementById('overlay-duration')?.value, 10) || 6)) * 1000
+    };
+    chrome.storage.local.set({
+        overlaySettings
+    }, () => showToast('Overlay saved.', 'success'));
+}
+
+function openOverlayWindow() {
+    chrome.windows.create({
+        url: chrome.runtime.getURL('overlay.html'),
+        type: 'popup',
+        width: 800,
+        height: 450
+    });
+}
+
+const ALERT_KIND_ICONS = {
+    raid: '🚀',
+    rant: '💸',
+    follow: '➕',
+    subscription: '⭐',
+    gifted: '🎁'
+};
+
+function describeQueuedAlert(event = {}) {
+    const bits = [event.kind || 'alert'];
+    if (typeof event.amount === 'number') bits.push(`$${event.amount.toFixed(2)}`);
+    if (typeof event.viewers === 'number') bits.push(`${event.viewers} viewers`);
+    if (typeof event.count === 'number') bits.push(`${event.count} subs`);
+    if (event.test) bits.push('test');
+    if (event.replay) bits.push('replay');
+    return bits.join(' • ');
+}
+
+function alertQueueRow(item, action, label, at) {
+    const event = item.event || {};
+    const row = document.createElement('div');
+    row.className = 'list-row';
+    row.innerHTML = `<div class="thumb">${ALERT_KIND_ICONS[event.kind] || '🔔'}</div><div class="title"><div class="alert-user"></div><div class="meta"></div></div><div class="actions"><span class="micro">${formatDateSmart(at)}</span><button class="ghost" data-action="${action}">${label}</button></div>`;
+    row.querySelector('.alert-user').textContent = event.user || 'Someone';
+    row.querySelector('.meta').textContent = event.alert?.message || describeQueuedAlert(event);
+    return row;
+}
+
+function renderAlertQueue(status) {
+    const nowEl = document.getElementById('alert-queue-now');
+    const pendingEl = document.getElementById('alert-queue-pending');
+    const pauseBtn = document.getElementById('alert-queue-pause');
+    if (!nowEl || !pendingEl || !status) return;
+    const current = status.current?.event;
+    nowEl.textContent = `${status.paused ? '⏸ Paused. ' : ''}${current ? `Playing: ${current.user || 'Someone'} (${describeQueuedAlert(current)})` : 'Nothing playing.'}`;
+    if (pauseBtn) pauseBtn.textContent = status.paused ? 'Resume Queue' : 'Pause Queue';
+    pendingEl.innerHTML = '';
+    if (!status.pending?.length) {
+        pendingEl.innerHTML = '<p class="help">Queue is empty.</p>';
+        return;
+    }
+    status.pending.forEach(item => {
+        const row = alertQueueRow(item, 'remove', 'Skip', item.queuedAt);
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => bgMessage('alertQueueSkip', {
+            id: item.id
+        }));
+        pendingEl.appendChild(row);
+    });
+}
+
+function renderAlertHistory(history = []) {
+    const listEl = document.getElementById('alert-queue-history');
+    if (!listEl) return;
+    listEl.innerHTML = '';
+    if (!history.length) {
+        listEl.innerHTML = '<p class="help">No alerts yet.</p>';
+        return;
+    }
+    history.slice().reverse().forEach(entry => {
+        const row = alertQueueRow(entry, 'replay', 'Replay', entry.at);
+        row.querySelector('[data-action="replay"]').addEventListener('click', async () => {
+            const res = await bgMessage('alertQueueReplay', {
+                id: entry.id
+            });
+            showToast(res?.ok ? 'Alert queued for replay.' : 'Could not replay that alert.', res?.ok ? 'success' : 'error');
+        });
+        listEl.appendChild(row);
+    });
+}
+
+async function refreshAlertQueue() {
+    renderAlertQueue(await bgMessage('alertQueueStatus'));
+}
+
+const TTS_DEFAULTS = {
+    enabled: false,
+    minAmount: 5,
+    maxLength: 200,
+    filterProfanity: true,
+    filterUrls: true,
+    blockedWords: [],
+    voice: '',
+    rate: 1,
+    volume: 1
+};
+
+// Voices load asynchronously in Chrome; re-run on voiceschanged.
+function renderTtsVoices(selected) {
+    const select = document.getElementById('tts-voice');
+    if (!select) return;
+    const current = selected ?? select.value;
+    select.innerHTML = '<option value="">System default</option>';
+    speechSynthesis.getVoices().forEach(v => {
+        const opt = document.createElement('option');
+        opt.value = v.name;
+        opt.textContent = `${v.name} (${v.lang})`;
+        select.appendChild(opt);
+    });
+    select.value = current || '';
+}
+
+function loadTtsForm() {
+    chrome.storage.local.get('ttsSettings', ({
+        ttsSettings
+    }) => {
+        const s = {
+            ...TTS_DEFAULTS,
+            ...(ttsSettings || {})
+        };
+        document.getElementById('tts-enabled').checked = !!s.enabled;
+        document.getElementById('tts-filter-profanity').checked = !!s.filterProfanity;
+        document.getElementById('tts-filter-urls').checked = !!s.filterUrls;
+        document.getElementById('tts-min-amount').value = s.minAmount;
+        document.getElementById('tts-max-length').value = s.maxLength;
+        document.getElementById('tts-blocked-words').value = (s.blockedWords || []).join(', ');
+        document.getElementById('tts-rate').value = s.rate;
+        renderTtsVoices(s.voice);
+    });
+}
+
+function saveTtsForm() {
+    const ttsSettings = {
+        ...TTS_DEFAULTS,
+        enabled: !!document.getElementById('tts-enabled')?.checked,
+        filterProfanity: !!document.getElementById('tts-filter-profanity')?.checked,
+        filterUrls: !!document.getElementById('tts-filter-urls')?.checked,
+        minAmount: Math.max(0, Number(document.getElementById('tts-min-amount')?.value) || 0),
+        maxLength: Math.min(1000, Math.max(20, parseInt(document.getElementById('tts-max-length')?.value, 10) || TTS_DEFAULTS.maxLength)),
+        blockedWords: splitList(document.getElementById('tts-blocked-words')?.value),
+        voice: document.getElementById('tts-voice')?.value || '',
+        rate: Math.min(2, Math.max(0.5, Number(document.getElementById('tts-rate')?.value) || 1))
+    };
+    return new Promise(resolve => chrome.storage.local.set({
+        ttsSettings
+    }, () => {
+        showToast(`Text-to-speech ${ttsSettings.enabled ? 'on' : 'off'}.`, 'success');
+        resolve();
+    }));
+}
+
+const RAID_TRAIN_DEFAULTS = self.RloRaidDefaults.raidTrain; // raid-defaults.js
+let raidTrainSlots = [];
+
+function isoToLocalInput(iso) {
+    const d = new Date(iso);
+    if (!iso || isNaN(d)) return '';
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function localInputToIso(value) {
+    const d = new Date(value);
+    return value && !isNaN(d) ? d.toISOString() : '';
+}
+
+function renderRaidTrainSlots() {
+    const wrap = document.getElementById('raid-train-slots');
+    if (!wrap) return;
+    wrap.innerHTML = '';
+    if (!raidTrainSlots.length) {
+        wrap.innerHTML = '<p class="help">No slots yet.</p>';
+        return;
+    }
+    raidTrainSlots.forEach((slot, idx) => {
+        const row = document.createElement('div');
+        row.className = 'train-slot';
+        row.innerHTML = `<div class="micro">#${idx + 1}</div><div class="train-slot-fields"><input type="text" data-field="channel" placeholder="https://rumble.com/c/... or handle" /><input type="datetime-local" data-field="start" title="Slot start" /><input type="datetime-local" data-field="end" title="Slot end" /></div><div class="actions"><button class="ghost" data-action="up" title="Move up">↑</button><button class="ghost" data-action="down" title="Move down">↓</button><button class="ghost" data-action="remove" title="Remove">✕</button></div>`;
+        row.querySelector('[data-field="channel"]').value = slot.channel || '';
+        row.querySelector('[data-field="start"]').value = isoToLocalInput(slot.start);
+        row.querySelector('[data-field="end"]').value = isoToLocalInput(slot.end);
+        row.querySelectorAll('input').forEach(input => input.addEventListener('change', () => {
+            const field = input.dataset.field;
+            raidTrainSlots[idx][field] = field === 'channel' ? input.value.trim() : localInputToIso(input.value);
+        }));
+        row.querySelectorAll('button[data-action]').forEach(btn => btn.addEventListener('click', () => {
+            const action = btn.dataset.action;
+            if (action === 'remove') raidTrainSlots.splice(idx, 1);
+            const to = action === 'up' ? idx - 1 : action === 'down' ? idx + 1 : -1;
+            if (to >= 0 && to < raidTrainSlots.length) {
+                [raidTrainSlots[idx], raidTrainSlots[to]] = [raidTrainSlots[to], raidTrainSlots[idx]];
+            }
+            renderRaidTrainSlots();
+        }));
+        wrap.appendChild(row);
+    });
+}
+
+function addRaidTrainSlot() {
+    const last = raidTrainSlots[raidTrainSlots.length - 1];
+    const start = last?.end ? new Date(last.end) : new Date();
+    raidTrainSlots.push({
+        channel: '',
+        start: start.toISOString(),
+        end: new Date(start.getTime() + 60 * 60 * 1000).toISOString()
+    });
+    renderRaidTrainSlots();
+}
+
+function loadRaidTrainForm() {
+    chrome.storage.local.get('raidTrain', ({
+        raidTrain
+    }) => {
+        const s = {
+            ...RAID_TRAIN_DEFAULTS,
+            ...(raidTrain || {})
+        };
+        document.getElementById('raid-train-enabled').checked = !!s.enabled;
+        document.getElementById('raid-train-auto').checked = !!s.autoExecute;
+        document.getElementById('raid-train-name').value = s.name || '';
+        document.getElementById('raid-train-countdown').value = s.countdownSec;
+        raidTrainSlots = (s.slots || []).map(slot => ({
+            ...slot
+        }));
+        renderRaidTrainSlots();
+    });
+}
+
+// Returns an error message, or '' when the slots are usable.
+function validateRaidTrainSlots(slots) {
+    if (!Array.isArray(slots)) return 'Slots must be a list.';
+    for (let i = 0; i < slots.length; i++) {
+        const slot = slots[i] || {};
+        if (!String(slot.channel || '').trim()) return `Slot #${i + 1} has no channel.`;
+        const start = Date.parse(slot.start),
+            end = Date.parse(slot.end);
+        if (!Number.isFinite(start) || !Number.isFinite(end)) return `Slot #${i + 1} needs a start and end time.`;
+        if (end <= start) return `Slot #${i + 1} ends before it starts.`;
+    }
+    return '';
+}
+
+function saveRaidTrainForm() {
+    const error = validateRaidTrainSlots(raidTrainSlots);
+    if (error) return showToast(error, 'error');
+    const raidTrain = {
+        enabled: !!document.getElementById('raid-train-enabled')?.checked,
+        autoExecute: !!document.getElementById('raid-train-auto')?.checked,
+        name: (document.getElementById('raid-train-name')?.value || '').trim(),
+        countdownSec: Math.min(120, Math.max(3, parseInt(document.getElementById('raid-train-countdown')?.value, 10) || RAID_TRAIN_DEFAULTS.countdownSec)),
+        slots: raidTrainSlots.map(slot => ({
+            channel: slot.channel.trim(),
+            start: slot.start,
+            end: slot.end
+        }))
+    };
+    if (raidTrain.enabled && !raidTrain.slots.length) return showToast('Add at least one slot.', 'error');
+    chrome.storage.local.set({
+        raidTrain
+    }, () => showToast(`Raid Train ${raidTrain.enabled ? 'armed' : 'saved (off)'}.`, 'success'));
+}
+
+// Only the shared schedule is exported; enabled/auto-raid stay per participant.
+function exportRaidTrain() {
+    const error = validateRaidTrainSlots(raidTrainSlots);
+    if (error) return showToast(error, 'error');
+    const name = (document.getElementById('raid-train-name')?.value || '').trim();
+    const plan = {
+        format: 'rlo-raid-train',
+        version: 1,
+        name,
+        slots: raidTrainSlots
+    };
+    const slug = (name || 'raid-train').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadFile(`${slug || 'raid-train'}.json`, 'application/json', JSON.stringify(plan, null, 2));
+}
+
+function importRaidTrain(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const plan = JSON.parse(reader.result);
+            if (plan?.format !== 'rlo-raid-train') throw new Error('Not a raid train file.');
+            const error = validateRaidTrainSlots(plan.slots);
+            if (error) throw new Error(error);
+            raidTrainSlots = plan.slots.map(slot => ({
+                channel: String(slot.channel).trim(),
+                start: new Date(slot.start).toISOString(),
+                end: new Date(slot.end).toISOString()
+            }));
+            document.getElementById('raid-train-name').value = plan.name || '';
+            renderRaidTrainSlots();
+            showToast(`Imported ${raidTrainSlots.length} slots. Save to apply.`, 'success');
+        } catch (e) {
+            showToast(`Import failed: ${e.message}`, 'error');
+        }
+    };
+    reader.readAsText(file);
+}
+
+/* ===== INIT ===== */
+document.addEventListener('DOMContentLoaded', () => {
+    setupAccordions();
+    loadFunctionStates();
+    ensurePlaylistProgressStyles();
+    loadAutoRaidForm();
+    loadRaidRosterForm();
+    chrome.storage.local.get('raidJournal', ({
+        raidJournal
+    }) => renderRaidHistory(raidJournal || []));
+    document.getElementById('raid-history-export-csv')?.addEventListener('click', () => exportRaidHistory('csv'));
+    document.getElementById('raid-history-export-json')?.addEventListener('click', () => exportRaidHistory('json'));
+    loadResponderForm();
+    chrome.storage.local.get('responderLog', ({
+        responderLog
+    }) => renderResponderLog(responderLog || []));
+    document.getElementById('responder-add')?.addEventListener('click', addResponderCommand);
+    document.getElementById('responder-save')?.addEventListener('click', saveResponderForm);
+    document.getElementById('responder-log-clear')?.addEventListener('click', () => {
+        chrome.storage.local.set({
+            responderLog: []
+        }, () => showToast('Responder log cleared.', 'success'));
+    });
+    loadAnnouncementForm();
+    chrome.storage.local.get('announcementLog', ({
+        announcementLog
+    }) => renderAnnouncementLog(announcementLog || []));
+    document.getElementById('announce-mode')?.addEventListener('change', updateAnnouncementFormVisibility);
+    document.getElementById('announce-paused')?.addEventListener('change', (e) => toggleAnnouncementPause(e.target.checked));
+    document.getElementById('announce-save')?.addEventListener('click', saveAnnouncementForm);
+    document.getElementById('announce-log-clear')?.addEventListener('click', () => {
+        chrome.storage.local.set({
+            announcementLog: []
+        }, () => showToast('Announcement log cleared.', 'success'));
+    });
+    loadChatCommandsForm();
+    document.getElementById('chat-command-add')?.addEventListener('click', addChatCommandButton);
+    document.getElementById('chat-commands-save')?.addEventListener('click', saveChatCommandsForm);
+    loadChatHighlightsForm();
+    document.getElementById('chat-highlights-save')?.addEventListener('click', saveChatHighlightsForm);
+    loadModerationForm();
+    chrome.storage.local.get('modLog', ({
+        modLog
+    }) => renderModLog(modLog || []));
+    document.getElementById('mod-save')?.addEventListener('click', saveModerationForm);
+    document.getElementById('mod-log-clear')?.addEventListener('click', () => {
+        if (!confirm('Clear the moderation log?')) return;
+        chrome.storage.local.set({
+            modLog: []
+        }, () => showToast('Moderation log cleared.', 'success'));
+    });
+    loadChatLogStreams();
+    document.getElementById('chat-log-stream')?.addEventListener('change', loadChatLogMessages);
+    ['chat-log-user', 'chat-log-search'].forEach(id => document.getElementById(id)?.addEventListener('input', renderChatLog));
+    document.getElementById('chat-log-rants-only')?.addEventListener('change', renderChatLog);
+    document.getElementById('chat-log-refresh')?.addEventListener('click', loadChatLogStreams);
+    document.getElementById('chat-log-export-csv')?.addEventListener('click', () => exportChatLog('csv'));
+    document.getElementById('chat-log-export-json')?.addEventListener('click', () => exportChatLog('json'));
+    document.getElementById('chat-log-export-txt')?.addEventListener('click', () => exportChatLog('txt'));
+    document.getElementById('chat-log-delete')?.addEventListener('click', async () => {
+        const streamId = document.getElementById('chat-log-stream')?.value;
+        if (!streamId || !confirm('Delete the chat log for this stream?')) return;
+        await RloChatLog.removeStream(streamId);
+        await loadChatLogStreams();
+        showToast('Chat log deleted.', 'success');
+    });
+    document.getElementById('poll-url').value = chrome.runtime.getURL('poll.html');
+    document.getElementById('poll-open')?.addEventListener('click', openPollWindow);
+    chrome.storage.local.get('pollHistory', ({
+        pollHistory
+    }) => renderPollHistory(pollHistory || []));
+    document.getElementById('poll-history-export')?.addEventListener('click', exportPollHistory);
+    document.getElementById('poll-history-clear')?.addEventListener('click', () => {
+        if (!confirm('Clear all saved poll results?')) return;
+        chrome.storage.local.set({
+            pollHistory: []
+        }, () => showToast('Poll history cleared.', 'success'));
+    });
+    chrome.storage.local.get('clipMarkers', ({
+        clipMarkers: stored
+    }) => {
+        clipMarkers = stored || [];
+        renderClipMarkerStreams();
+    });
+    document.getElementById('clip-markers-stream')?.addEventListener('change', renderClipMarkers);
+    document.getElementById('clip-markers-export-chapters')?.addEventListener('click', () => exportClipMarkers('chapters'));
+    document.getElementById('clip-markers-export-csv')?.addEventListener('click', () => exportClipMarkers('csv'));
+    document.getElementById('clip-markers-export-edl')?.addEventListener('click', () => exportClipMarkers('edl'));
+    document.getElementById('clip-markers-delete')?.addEventListener('click', () => {
+        const streamId = document.getElementById('clip-markers-stream')?.value;
+        if (!streamId || !confirm('Delete all clip markers for this stream?')) return;
+        sendClipMarkerEdit('clipMarkerRemove', {
+            streamId
+        }, () => showToast('Clip markers deleted.', 'success'));
+    });
+    document.getElementById('raid-history-clear')?.addEventListener('click', () => {
+        if (!confirm('Clear all raid history?')) return;
+        chrome.storage.local.set({
+            raidJournal: []
+        }, () => showToast('Raid history cleared.', 'success'));
+    });
+    document.getElementById('roster-save')?.addEventListener('click', saveRaidRosterForm);
+    document.getElementById('auto-raid-trigger')?.addEventListener('change', updateAutoRaidFormVisibility);
+    document.getElementById('auto-raid-rule')?.addEventListener('change', updateAutoRaidFormVisibility);
+    document.getElementById('auto-raid-save')?.addEventListener('click', saveAutoRaidForm);
+    loadOverlayForm();
+    loadChatTimestampForm();
+    document.getElementById('chat-timestamp-mode')?.addEventListener('change', saveChatTimestampForm);
+    document.getElementById('overlay-save')?.addEventListener('click', saveOverlayForm);
+    document.getElementById('overlay-open')?.addEventListener('click', openOverlayWindow);
+    loadAudioForm();
+    document.getElementById('audio-device-names')?.addEventListener('click', revealAudioDeviceNames);
+    document.getElementById('audio-save')?.addEventListener('click', saveAudioForm);
+    navigator.mediaDevices?.addEventListener('devicechange', () => renderAudioDevices());
+    loadAlertRulesForm();
+    document.getElementById('alert-rule-kind')?.addEventListener('change', (e) => switchAlertRuleKind(e.target.value));
+    document.getElementById('alert-rule-add-tier')?.addEventListener('click', addAlertRuleTier);
+    document.getElementById('alert-rules-save')?.addEventListener('click', saveAlertRulesForm);
+    loadTtsForm();
+    speechSynthesis.addEventListener('voiceschanged', () => renderTtsVoices());
+    document.getElementById('tts-save')?.addEventListener('click', saveTtsForm);
+    document.getElementById('tts-test')?.addEventListener('click', async () => {
+        await saveTtsForm();
+        const res = await bgMessage('ttsTest');
+        if (!res?.ok) showToast('Could not start text-to-speech.', 'error');
+    });
+    document.getElementById('tts-skip')?.addEventListener('click', () => bgMessage('alertQueueSkip'));
+    refreshAlertQueue();
+    chrome.storage.local.get('alertHistory', ({
+        alertHistory
+    }) => renderAlertHistory(alertHistory || []));
+    document.getElementById('alert-queue-skip')?.addEventListener('click', () => bgMessage('alertQueueSkip'));
+    document.getElementById('alert-queue-pause')?.addEventListener('click', async () => {
+        const status = await bgMessage('alertQueueStatus');
+        await bgMessage('alertQueuePause', {
+            paused: !status?.paused
+        });
+    });
+    loadRaidTrainForm();
+    document.getElementById('raid-train-add-slot')?.addEventListener('click', addRaidTrainSlot);
+    document.getElementById('raid-train-save')?.addEventListener('click', saveRaidTrainForm);
+    document.getElementById('raid-train-export')?.addEventListener('click', exportRaidTrain);
+    document.getElementById('raid-train-import-btn')?.addEventListener('click', () => document.getElementById('raid-train-import')?.click());
+    document.getElementById('raid-train-import')?.addEventListener('change', (e) => {
+        importRaidTrain(e.target.files?.[0]);
+        e.target.value = '';
+    });
+
+    const apiKeyInput = document.getElementById('apiKey');
+    const saveBtn = document.getElementById('save');
+    const fetchPlaylistsBtn = document.getElementById('fetch-playlists-btn');
+    const harvestVideosBtn = document.getElementById('harvest-videos-btn');
+    const getRaidTargetsBtn = document.getElementById('get-raid-targets-btn');
+    const bgInput = document.getElementById('bg-image-input');
+    const addBgBtn = document.getElementById('add-bg-btn');
+    const resetBgBtn = document.getElementById('reset-bg-default-btn');
+    const raidInput = document.getElementById('raid-sound-input');
+    const addRaidBtn = document.getElementById('add-raid-sound-btn');
+    const raidListEl = document.getElementById('raid-sounds-list');
+    const rantInput = document.getElementById('rant-sound-input');
+    const addRantBtn = document.getElementById('add-rant-sound-btn');
+    const rantListEl = document.getElementById('rant-sounds-list');
+    const testRaidBtn = document.getElementById('test-raid-btn');
+    const testRantBtn = document.getElementById('test-rant-btn');
+    const testStatusBtn = document.getElementById('test-status-popup-btn');
+    const testLivePopupBtn = document.getElementById('test-live-popup-btn');
+    const achToggle = document.getElementById('enable-achievements');
+
+    if (testRaidBtn) {
+        testRaidBtn.addEventListener('click', async () => {
+            sendOverlayTestAlert({
+                kind: 'raid',
+                user: 'Awesome Raider',
+                viewers: 42
+            });
+            const ok = await sendToActiveRumble({
+                type: 'rlo-test-raid',
+                from: 'Awesome Raider'
+            });
+            if (ok) showToast('Simulated RAID sent.', 'success');
+        });
+    }
+    if (testRantBtn) {
+        testRantBtn.addEventListener('click', async () => {
+            sendOverlayTestAlert({
+                kind: 'rant',
+                user: 'Awesome Raider',
+                amount: 2,
+                text: 'Great stream!'
+            });
+            const ok = await sendToActiveRumble({
+                type: 'rlo-test-rant',
+                from: 'Awesome Raider',
+                amount: 2
+            });
+            if (ok) showToast('Simulated RANT sent.', 'success');
+        });
+    }
+    if (testLivePopupBtn) {
+        testLivePopupBtn.addEventListener('click', async () => {
+            const ok = await sendToActiveRumble({
+                type: 'rlo-test-live-popup'
+            });
+            if (ok) showToast('Requested Live Popup.', 'success');
+        });
+    }
+    if (testStatusBtn) {
+        testStatusBtn.addEventListener('click', async () => {
+            const ok = await sendToActiveRumble({
+                type: 'rlo-test-status-popup'
+            });
+            if (ok) showToast('Requested Status Popup.', 'info');
+        });
+    }
+    if (achToggle) {
+        achToggle.addEventListener('change', () => {
+            if (achToggle.checked) {
+                achToggle.checked = false;
+                chrome.storage.local.get({
+                    functionStates: defaultFunctionStates
+                }, ({
+                    functionStates
+                }) => {
+                    const next = {
+                        ...(functionStates || defaultFunctionStates),
+                        'enable-achievements': false
+                    };
+                    chrome.storage.local.set({
+                        functionStates: next
+                    });
+                });
+                showToast('Achievements are not available yet.', 'info');
+            }
+        });
+    }
+
+    chrome.storage.local.get(['rumbleApiKey', 'userPlaylists', 'userVideos', 'videos', 'harvestingVideos', 'functionStates'], (data) => {
+        if (data.rumbleApiKey) {
+            apiKeyInput.value = data.rumbleApiKey;
+            verifyApiKey(data.rumbleApiKey);
+        } else {
+            verifyApiKey(null);
+        }
+        if (data.userPlaylists) renderPlaylists(data.userPlaylists);
+        renderVideoManager(data.userVideos || data.videos || []);
+        if (data.harvestingVideos) {
+            harvestVideosBtn.disabled = true;
+            showToast('Fetching videos…', 'info', 4000);
+        }
+        const hideEnabled = !!(data.functionStates?.['enable-hide-campaigns']);
+        syncHideCampaignsToStudio(hideEnabled);
+    });
+
+    const onSaveClick = () => {
+        const key = (apiKeyInput.value || '').trim();
+        showToast('Saving API key...', 'info');
+        chrome.storage.local.set({
+            rumbleApiKey: key
+        }, () => {
+            verifyApiKey(key);
+        });
+    };
+    if (saveBtn) saveBtn.addEventListener('click', onSaveClick);
+
+    if (fetchPlaylistsBtn) {
+        fetchPlaylistsBtn.addEventListener('click', () => {
+            fetchPlaylistsBtn.disabled = true;
+            showToast('Fetching playlists…', 'info');
+            chrome.runtime.sendMessage({
+                type: 'fetchPlaylists'
+            });
+        });
+    }
+    if (harvestVideosBtn) {
+        harvestVideosBtn.addEventListener('click', () => {
+            harvestVideosBtn.disabled = true;
+            showToast('Starting full video scan…', 'info');
+            chrome.runtime.sendMessage({
+                type: 'harvestVideos'
+            });
+        });
     }
     if (getRaidTargetsBtn) {
         getRaidTargetsBtn.addEventListener('click', () => {
@@ -1158,7 +3018,11 @@ document.addEventListener('DOMContentLoaded', () => {
             username: t.username || 'Unknown',
             avatarUrl: t.avatarUrl,
             url: t.url,
-            viewers: (typeof t.viewers === 'number') ? t.viewers : undefined
+            viewers: (typeof t.viewers === 'number') ? t.viewers : undefined,
+            section: t.section,
+            favorite: !!t.favorite,
+            tags: t.tags || [],
+            lastRaidedAt: t.lastRaidedAt || null
         }));
 
         const ok = await sendToActiveRumble({
@@ -1196,37 +3060,18 @@ document.addEventListener('DOMContentLoaded', () => {
     if (bgInput) bgInput.addEventListener('change', onBgChange);
     if (addBgBtn) addBgBtn.addEventListener('click', async () => {
         if (!pendingBgFile) return showToast('Choose an image first.', 'error');
-        const dataUrl = await readFileAsDataURL(pendingBgFile);
-        chrome.storage.local.get([KEYS.BG_LIST, KEYS.BG_SELECTED], (data) => {
-            const list = data[KEYS.BG_LIST] || [];
-            list.push({
-                name: pendingBgFile.name,
-                dataUrl,
-                addedAt: Date.now()
-            });
-            const sel = (typeof data[KEYS.BG_SELECTED] === 'number') ? data[KEYS.BG_SELECTED] : (list.length - 1);
-            chrome.storage.local.set({
-                [KEYS.BG_LIST]: list,
-                [KEYS.BG_SELECTED]: sel
-            }, () => {
-                applySelectedBackground(list, sel);
-                renderBgList(list, sel);
-                pendingBgFile = null;
-                if (bgInput) bgInput.value = '';
-                showToast('Background added.', 'success');
-            });
-        });
+        await addMediaAsset('bg', pendingBgFile);
+        await applySelectedBackground();
+        await renderBgList();
+        pendingBgFile = null;
+        if (bgInput) bgInput.value = '';
+        showToast('Background added.', 'success');
     });
-    if (resetBgBtn) resetBgBtn.addEventListener('click', () => {
-        chrome.storage.local.set({
-            [KEYS.BG_SELECTED]: null
-        }, () => {
-            chrome.storage.local.get([KEYS.BG_LIST], (data) => {
-                applySelectedBackground(data[KEYS.BG_LIST] || [], null);
-                renderBgList(data[KEYS.BG_LIST] || [], null);
-                showToast('Using default background.', 'success');
-            });
-        });
+    if (resetBgBtn) resetBgBtn.addEventListener('click', async () => {
+        await RloAssets.setSelected('bg', null);
+        await applySelectedBackground();
+        await renderBgList();
+        showToast('Using default background.', 'success');
     });
 
     let pendingRaidFile = null,
@@ -1239,52 +3084,37 @@ document.addEventListener('DOMContentLoaded', () => {
     };
     if (raidInput) raidInput.addEventListener('change', onRaidChange);
     if (rantInput) rantInput.addEventListener('change', onRantChange);
+    const addSound = async (type, file, input, listEl) => {
+        const label = type === 'raid' ? 'Raid' : 'Rant';
+        if (!file) return showToast(`Choose a ${type} sound first.`, 'error');
+        await addMediaAsset(type, file);
+        await renderSoundList(listEl, type);
+        refreshAlertSoundOptions();
+        if (input) input.value = '';
+        showToast(`${label} sound added.`, 'success');
+    };
     if (addRaidBtn) addRaidBtn.addEventListener('click', async () => {
-        if (!pendingRaidFile) return showToast('Choose a raid sound first.', 'error');
-        const dataUrl = await readFileAsDataURL(pendingRaidFile);
-        chrome.storage.local.get([KEYS.RAID_LIST, KEYS.RAID_SELECTED], (data) => {
-            const list = data[KEYS.RAID_LIST] || [];
-            list.push({
-                name: pendingRaidFile.name,
-                dataUrl,
-                addedAt: Date.now()
-            });
-            const sel = (typeof data[KEYS.RAID_SELECTED] === 'number') ? data[KEYS.RAID_SELECTED] : (list.length - 1);
-            chrome.storage.local.set({
-                [KEYS.RAID_LIST]: list,
-                [KEYS.RAID_SELECTED]: sel
-            }, () => {
-                renderSoundList(raidListEl, list, sel, 'raid');
-                pendingRaidFile = null;
-                if (raidInput) raidInput.value = '';
-                showToast('Raid sound added.', 'success');
-            });
-        });
+        await addSound('raid', pendingRaidFile, raidInput, raidListEl);
+        pendingRaidFile = null;
     });
     if (addRantBtn) addRantBtn.addEventListener('click', async () => {
-        if (!pendingRantFile) return showToast('Choose a rant sound first.', 'error');
-        const dataUrl = await readFileAsDataURL(pendingRantFile);
-        chrome.storage.local.get([KEYS.RANT_LIST, KEYS.RANT_SELECTED], (data) => {
-            const list = data[KEYS.RANT_LIST] || [];
-            list.push({
-                name: pendingRantFile.name,
-                dataUrl,
-                addedAt: Date.now()
-            });
-            const sel = (typeof data[KEYS.RANT_SELECTED] === 'number') ? data[KEYS.RANT_SELECTED] : (list.length - 1);
-            chrome.storage.local.set({
-                [KEYS.RANT_LIST]: list,
-                [KEYS.RANT_SELECTED]: sel
-            }, () => {
-                renderSoundList(rantListEl, list, sel, 'rant');
-                pendingRantFile = null;
-                if (rantInput) rantInput.value = '';
-                showToast('Rant sound added.', 'success');
-            });
-        });
+        await addSound('rant', pendingRantFile, rantInput, rantListEl);
+        pendingRantFile = null;
+    });
+
+    // Legacy base64 lists move to IndexedDB first (no-op once migrated), then the media lists render.
+    RloAssets.migrateFromStorage().catch(e => console.warn('[Assets] migration failed:', e)).then(() => {
+        applySelectedBackground();
+        renderBgList();
+        renderSoundList(raidListEl, 'raid');
+        renderSoundList(rantListEl, 'rant');
+        refreshAlertSoundOptions();
     });
 
     chrome.runtime.onMessage.addListener((message) => {
+        if (message.type === 'rlo-alert-queue-updated') {
+            renderAlertQueue(message.status);
+        }
         if (message.type === 'toast') {
             showToast(message.message || 'Notice', message.level || 'info');
         }
@@ -1325,6 +3155,31 @@ document.addEventListener('DOMContentLoaded', () => {
             const vids = (changes.userVideos?.newValue) || (changes.videos?.newValue) || [];
             renderVideoManager(vids);
         }
+        if (changes.raidJournal) {
+            renderRaidHistory(changes.raidJournal.newValue || []);
+        }
+        if (changes.alertHistory) {
+            renderAlertHistory(changes.alertHistory.newValue || []);
+        }
+        if (changes.pollHistory) {
+            renderPollHistory(changes.pollHistory.newValue || []);
+        }
+        if (changes.clipMarkers) {
+            clipMarkers = changes.clipMarkers.newValue || [];
+            renderClipMarkerStreams();
+        }
+        if (changes.responderLog) {
+            renderResponderLog(changes.responderLog.newValue || []);
+        }
+        if (changes.announcementLog) {
+            renderAnnouncementLog(changes.announcementLog.newValue || []);
+        }
+        if (changes.modLog) {
+            renderModLog(changes.modLog.newValue || []);
+        }
+        if (changes.raidLastTargets) {
+            renderLastRaided(changes.raidLastTargets.newValue || {});
+        }
         if (changes.userPlaylists) {
             renderPlaylists(changes.userPlaylists.newValue || []);
             if (isPlaylistModalOpen) renderPlaylistModalList(cachedPlaylists, document.getElementById('playlist-filter-input')?.value || '');
@@ -0,0 +1,161 @@
+/*!
+ * Rumble Live Ops - overlay.js
+ * Version: v4.0.0
+ * Description: Alert overlay for OBS (pop-out window + Window Capture) or any
+ *              extension window. Shows queued, animated alert cards.
+ *
+ * Core responsibilities
+ * ─────────────────────
+ * • Input
+ *   - Listens for {type:'rlo-overlay-alert', event} broadcast by the background
+ *     (real events from emitLiveEvent, test events from the Simulate buttons).
+ *   - Reads ?theme= and ?bg= from the URL; otherwise overlaySettings.theme from storage.
+ *
+ * • Queue
+ *   - Alerts are queued and shown strictly one at a time; each card stays for the
+ *     alert rule's durationMs (else overlaySettings.durationMs).
+ *   - Card text is event.alert.message (rule template) when the background could fill it.
+ *
+ * • Sounds
+ *   - None here: the background alert queue plays every alert sound in the offscreen document
+ *     (on the chosen output device), so the overlay window stays silent in OBS.
+ *
+ * Author: TheRealTombi
+ * Website: https://rumble.com/TheRealTombi
+ * License: MIT
+ */
+
+console.log("✅ [RLO] Overlay loaded:", location.href);
+
+/* =========================
+   Settings
+========================= */
+const OVERLAY_DEFAULTS = {
+    theme: 'default',
+    durationMs: 6000
+};
+const OVERLAY_ICONS = {
+    raid: '🚀',
+    rant: '💸',
+    follow: '➕',
+    subscription: '⭐',
+    gifted: '🎁'
+};
+const OVERLAY_LABELS = {
+    raid: 'Raid',
+    rant: 'Rant',
+    follow: 'New Follower',
+    subscription: 'New Subscriber',
+    gifted: 'Gifted Subs'
+};
+const params = new URLSearchParams(location.search);
+let overlaySettings = {
+    ...OVERLAY_DEFAULTS
+};
+
+function applyTheme() {
+    document.body.dataset.theme = params.get('theme') || overlaySettings.theme || OVERLAY_DEFAULTS.theme;
+    if (params.get('bg')) document.body.dataset.bg = params.get('bg');
+}
+
+async function loadOverlaySettings() {
+    const {
+        overlaySettings: stored
+    } = await chrome.storage.local.get('overlaySettings');
+    overlaySettings = {
+        ...OVERLAY_DEFAULTS,
+        ...(stored || {})
+    };
+    applyTheme();
+}
+
+/* =========================
+   Rendering
+========================= */
+function formatDollars(amount) {
+    return typeof amount === 'number' ? `$${amount.toFixed(2)}` : '';
+}
+
+function describeAlert(event) {
+    switch (event.kind) {
+        case 'raid':
+            return typeof event.viewers === 'number' ? `is raiding with ${event.viewers} viewers!` : 'is raiding!';
+        case 'rant':
+            return `${formatDollars(event.amount) || 'sent a'} Rant${event.text ? `: ${event.text}` : ''}`;
+        case 'gifted':
+            return event.count ? `gifted ${event.count} sub${event.count === 1 ? '' : 's'}!` : 'gifted subs!';
+        case 'subscription':
+            return 'just subscribed!';
+        case 'follow':
+            return 'just followed!';
+        default:
+            return '';
+    }
+}
+
+function renderCard(event) {
+    const card = document.createElement('div');
+    card.className = 'alert-card';
+    card.innerHTML = `<div class="alert-icon"></div><div><div class="alert-kind"></div><div class="alert-user"></div><div class="alert-text"></div></div>`;
+    card.querySelector('.alert-icon').textContent = OVERLAY_ICONS[event.kind] || '🔔';
+    card.querySelector('.alert-kind').textContent = OVERLAY_LABELS[event.kind] || 'Alert';
+    if (event.test) {
+        const badge = document.createElement('span');
+        badge.className = 'alert-test';
+        badge.textContent = 'TEST';
+        card.querySelector('.alert-kind').appendChild(badge);
+    }
+    card.querySelector('.alert-user').textContent = event.user || 'Someone';
+    card.querySelector('.alert-text').textContent = event.alert?.message || describeAlert(event);
+    return card;
+}
+
+/* =========================
+   Queue
+========================= */
+const alertQueue = [];
+let playing = false;
+
+const wait = ms => new Promise(r => setTimeout(r, ms));
+
+async function playNext() {
+    if (playing || !alertQueue.length) return;
+    playing = true;
+    const event = alertQueue.shift();
+    const stage = document.getElementById('stage');
+    const card = renderCard(event);
+    stage.appendChild(card);
+    requestAnimationFrame(() => card.classList.add('show'));
+    await wait(event.alert?.durationMs || overlaySettings.durationMs);
+    card.classList.add('hide');
+    await wait(400);
+    card.remove();
+    playing = false;
+    playNext();
+}
+
+function enqueueAlert(event) {
+    if (!event || !event.kind) return;
+    alertQueue.push(event);
+    playNext();
+}
+
+/* =========================
+   Wiring
+========================= */
+chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'rlo-overlay-alert') enqueueAlert(message.event);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.overlaySettings) {
+        overlaySettings = {
+            ...OVERLAY_DEFAULTS,
+            ...(changes.overlaySettings.newValue || {})
+        };
+        applyTheme();
+    }
+});
+
+loadOverlaySettings();
+setTimeout(() => document.getElementById('idle')?.remove(), 5000);
@@ -0,0 +1,110 @@
+/*!
+ * Rumble Live Ops - poll.js
+ * Version: v4.0.0
+ * Description: Chat poll results for OBS (pop-out window + Window Capture) or any
+ *              extension window. Mirrors the poll running in the Rumble chat.
+ *
+ * Core responsibilities
+ * ─────────────────────
+ * • Input
+ *   - chatPoll (storage) written by content.js; re-rendered on every storage change and
+ *     once a second for the countdown.
+ *   - Reads ?bg= from the URL (green = chroma-key background).
+ *
+ * • Rendering
+ *   - Question, status (countdown / Open / Final) and one bar per option sized by its share;
+ *     the leading option is highlighted.
+ *   - A closed poll stays up for POLL_RESULT_HOLD_MS, then the page is empty again.
+ *
+ * Author: TheRealTombi
+ * Website: https://rumble.com/TheRealTombi
+ * License: MIT
+ */
+
+console.log("✅ [RLO] Poll page loaded:", location.href);
+
+/* =========================
+   State
+========================= */
+const POLL_RESULT_HOLD_MS = 60000;
+const params = new URLSearchParams(location.search);
+let poll = null;
+
+if (params.get('bg')) document.body.dataset.bg = params.get('bg');
+
+function tallies(p) {
+    const counts = p.options.map(() => 0);
+    Object.values(p.votes || {}).forEach(i => {
+        if (counts[i] !== undefined) counts[i] += 1;
+    });
+    return counts;
+}
+
+function formatRemaining(ms) {
+    const sec = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+/* =========================
+   Rendering
+========================= */
+function buildCard() {
+    const card = document.createElement('div');
+    card.className = 'poll-card';
+    card.dataset.pollId = poll.id;
+    card.innerHTML = `<div class="poll-head"><div class="poll-question"></div><div class="poll-status"></div></div>`;
+    card.querySelector('.poll-question').textContent = poll.question;
+    poll.options.forEach((label, i) => {
+        const row = document.createElement('div');
+        row.className = 'poll-option';
+        row.innerHTML = `<div class="poll-fill"></div><span class="poll-label"></span><span class="poll-count"></span>`;
+        row.querySelector('.poll-label').textContent = `${i + 1}. ${label}`;
+        card.appendChild(row);
+    });
+    return card;
+}
+
+// The card is reused while the same poll runs so the bars animate between counts.
+function render() {
+    const stage = document.getElementById('poll');
+    const visible = poll && (poll.status === 'open' || Date.now() - (poll.closedAt || 0) < POLL_RESULT_HOLD_MS);
+    if (!visible) {
+        stage.replaceChildren();
+        return;
+    }
+    let card = stage.querySelector('.poll-card');
+    if (card?.dataset.pollId !== poll.id) {
+        card = buildCard();
+        stage.replaceChildren(card);
+    }
+    const counts = tallies(poll);
+    const total = counts.reduce((a, b) => a + b, 0);
+    const lead = Math.max(...counts);
+    const status = poll.status === 'closed' ? 'Final' : poll.endsAt ? formatRemaining(poll.endsAt - Date.now()) : 'Open';
+    card.querySelector('.poll-status').textContent = `${total} vote${total === 1 ? '' : 's'} · ${status}`;
+    card.querySelectorAll('.poll-option').forEach((row, i) => {
+        const pct = total ? Math.round(counts[i] / total * 100) : 0;
+        row.classList.toggle('lead', total > 0 && counts[i] === lead);
+        row.querySelector('.poll-fill').style.width = `${pct}%`;
+        row.querySelector('.poll-count').textContent = `${counts[i]} · ${pct}%`;
+    });
+}
+
+/* =========================
+   Wiring
+========================= */
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.chatPoll) {
+        poll = changes.chatPoll.newValue || null;
+        render();
+    }
+});
+
+chrome.storage.local.get('chatPoll', ({
+    chatPoll
+}) => {
+    poll = chatPoll || null;
+    render();
+});
+setInterval(render, 1000);
+setTimeout(() => document.getElementById('idle')?.remove(), 5000);
@@ -0,0 +1,38 @@
+/*!
+ * Rumble Live Ops - raid-defaults.js
+ * Version: v4.0.0
+ * Description: Default autoRaid / raidTrain settings, shared by the background (importScripts),
+ *              content.js (listed before it in the manifest) and the options page.
+ *
+ * Core responsibilities
+ * ─────────────────────
+ * • API (self.RloRaidDefaults)
+ *   - autoRaid: trigger ('chat'|'time'|'both'), time, end-of-stream phrases, rule
+ *     ('largest'|'specific'|'priority'), targetUrl, priority list, countdownSec.
+ *   - raidTrain: enabled, autoExecute, name, countdownSec, slots.
+ *   - Frozen; callers spread them under the stored settings ({ ...defaults, ...stored }).
+ *
+ * Author: TheRealTombi
+ * Website: https://rumble.com/TheRealTombi
+ * License: MIT
+ */
+
+self.RloRaidDefaults = Object.freeze({
+    autoRaid: Object.freeze({
+        enabled: false,
+        trigger: 'chat',
+        time: '',
+        phrases: Object.freeze(['stream is ending', 'ending the stream']),
+        rule: 'largest',
+        targetUrl: '',
+        priority: Object.freeze([]),
+        countdownSec: 15
+    }),
+    raidTrain: Object.freeze({
+        enabled: false,
+        autoExecute: false,
+        name: '',
+        countdownSec: 15,
+        slots: Object.freeze([])
+    })
+});